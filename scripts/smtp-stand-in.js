@@ -0,0 +1,55 @@
+// A local SMTP server that accepts every message and keeps it in memory instead of delivering it.
+// Run it with `npm run smtp` and leave SMTP_HOST/SMTP_PORT at their defaults (localhost:1025) to
+// see reminder emails without sending them; the tests start one on a free port.
+const { SMTPServer } = require('smtp-server');
+
+const startSmtpStandIn = ({ port = parseInt(process.env.SMTP_PORT || '1025', 10), host = '127.0.0.1', onMessage } = {}) => {
+  const messages = [];
+
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        const message = {
+          from: session.envelope.mailFrom?.address,
+          to: session.envelope.rcptTo.map(r => r.address),
+          raw: Buffer.concat(chunks).toString()
+        };
+        messages.push(message);
+        if (onMessage) onMessage(message);
+        callback();
+      });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.server.address().port,
+        messages,
+        stop: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  startSmtpStandIn({
+    onMessage: ({ to, raw }) => {
+      const subject = raw.match(/^Subject: (.*)$/m)?.[1];
+      console.log(`Mail to ${to.join(', ')}: ${subject}`);
+    }
+  })
+    .then(({ port }) => console.log(`SMTP stand-in listening on port ${port}`))
+    .catch(error => {
+      console.error('Could not start the SMTP stand-in:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { startSmtpStandIn };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+
+const facultyRoutes = require('./routes/faculty');
+const studentRoutes = require('./routes/student');
+const courseRoutes = require('./routes/course');
+const semesterRoutes = require('./routes/semester');
+const mappingProfileRoutes = require('./routes/mappingProfile');
+const scoreBatchRoutes = require('./routes/scoreBatch');
+const unmatchedScoreRoutes = require('./routes/unmatchedScore');
+const importJobRoutes = require('./routes/importJob');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/user');
+const reminderRoutes = require('./routes/reminder');
+const { departmentRoutes, batchRoutes } = require('./routes/referenceData');
+const { authenticate } = require('./middleware/auth');
+const { AppError, toAppError } = require('./utils/errors');
+const logger = require('./utils/logger');
+
+// The API without a database connection or listener: src/index.js starts those, and the tests
+// drive the app directly
+const app = express();
+
+// CORS Middleware
+app.use(cors({
+  origin: process.env.CORS_ORIGIN || '*', // In production, set CORS_ORIGIN to your frontend domain
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
+}));
+
+// Tag every request with an id (the caller's X-Request-Id, or a new one) for error reports and logs
+app.use((req, res, next) => {
+  req.id = req.get('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// Middleware
+app.use(express.json());
+
+// Routes
+app.use('/api/auth', authRoutes);
+
+// Everything else requires a token; routers check roles per route
+app.use('/api/users', authenticate, userRoutes);
+app.use('/api/faculty', authenticate, facultyRoutes);
+app.use('/api/students', authenticate, studentRoutes);
+app.use('/api/courses', authenticate, courseRoutes);
+app.use('/api/semesters', authenticate, semesterRoutes);
+app.use('/api/mapping-profiles', authenticate, mappingProfileRoutes);
+app.use('/api/score-batches', authenticate, scoreBatchRoutes);
+app.use('/api/unmatched-scores', authenticate, unmatchedScoreRoutes);
+app.use('/api/import-jobs', authenticate, importJobRoutes);
+app.use('/api/reminders', authenticate, reminderRoutes);
+app.use('/api/departments', authenticate, departmentRoutes);
+app.use('/api/batches', authenticate, batchRoutes);
+
+// Unknown paths, including ids that are not ObjectIds
+app.use((req, res, next) => {
+  next(new AppError(404, `Cannot ${req.method} ${req.path}`));
+});
+
+// Every error leaves in one envelope:
+// { error: { code, message, fields?: [{ field, message }], details?, requestId } }
+app.use((err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.status >= 500) {
+    logger.error(`Request ${req.id} ${req.method} ${req.originalUrl} failed:`, error.cause || err);
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.fields?.length && { fields: error.fields }),
+      ...(error.details && { details: error.details }),
+      requestId: req.id
+    }
+  });
+});
+
+module.exports = app;
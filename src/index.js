@@ -1,38 +1,22 @@
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 require('dotenv').config();
 
-const facultyRoutes = require('./routes/faculty');
-const studentRoutes = require('./routes/student');
-
-const app = express();
-
-// CORS Middleware
-app.use(cors({
-  origin: '*', // In production, replace with your frontend domain
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
-}));
-
-// Middleware
-app.use(express.json());
+const app = require('./app');
+const User = require('./models/User');
+const { startReminderScheduler } = require('./jobs/reminderScheduler');
+const { startImportQueue } = require('./jobs/importQueue');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/faculty-student-db')
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    const admin = await User.ensureBootstrapAdmin();
+    if (admin) console.log(`Created bootstrap admin account ${admin.username}`);
+    startReminderScheduler();
+    await startImportQueue();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
-// Routes
-app.use('/api/faculty', facultyRoutes);
-app.use('/api/students', studentRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
-
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
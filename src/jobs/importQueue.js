@@ -0,0 +1,199 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const ImportRowChunk = require('../models/ImportRowChunk');
+const ImportSession = require('../models/ImportSession');
+const ScoreBatch = require('../models/ScoreBatch');
+const { commitEnrollmentSession, commitReport } = require('../utils/enrollmentImport');
+const { importScoreFile } = require('../utils/scoreImport');
+const { refreshSummariesQuietly } = require('../utils/statistics');
+const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Jobs run at a time; imports are already chunked, so more mostly adds database load
+const CONCURRENCY = Math.max(1, parseInt(process.env.IMPORT_JOB_CONCURRENCY || '1', 10));
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// What each kind of job runs, and how to leave its records when it stops without finishing
+// (failed, cancelled before it started, or cut off by a restart)
+const HANDLERS = {
+  'enrollment-commit': {
+    run: async (job, context) => {
+      const session = await ImportSession.findById(job.session);
+      logger.bulkUpload(`Committing import session ${session._id} (${session.summary.accepted} accepted rows)`);
+      const summary = await commitEnrollmentSession(session, context);
+      refreshSummariesQuietly();
+      logger.bulkUpload(`Created: ${summary.created}, updated: ${summary.updated}, unchanged: ${summary.unchanged}, conflicting: ${summary.conflicting}, failed: ${summary.failed}`);
+      return commitReport(session, summary);
+    },
+    // Committing again is safe: rows already applied come out unchanged
+    onStopped: (job) => ImportSession.updateOne({ _id: job.session, status: 'committing' }, { $set: { status: 'pending' } })
+  },
+  scores: {
+    run: (job, context) => importScoreFile(job.payload, { ...context, chunks: stagedChunks(job._id) }),
+    // Chunks already written keep their snapshots, so the batch can still be rolled back
+    onStopped: (job) => ScoreBatch.updateOne({ _id: job.batch, status: 'in-progress' }, { $set: { status: 'applied' } })
+  }
+};
+
+// Rows staged for a job, a chunk at a time in file order
+const stagedChunks = async function* (jobId) {
+  const cursor = ImportRowChunk.find({ job: jobId }).sort({ index: 1 }).batchSize(2).lean().cursor();
+  for await (const chunk of cursor) yield chunk.rows;
+};
+
+// Remove a job's staged rows once it can no longer run
+const releaseInput = (jobId) => ImportRowChunk.deleteMany({ job: jobId })
+  .catch(error => logger.error(`Could not remove staged rows of import job ${jobId}:`, error));
+
+// Progress and completion of every job, keyed by job id (see /api/import-jobs/:id/events)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const publish = (job) => {
+  if (job) jobEvents.emit(job._id.toString(), job);
+};
+
+let running = 0;
+
+const runJob = async (job) => {
+  const handler = HANDLERS[job.kind];
+  let stopped = false;
+  const context = {
+    progress: async (progress) => {
+      publish(await ImportJob.findByIdAndUpdate(job._id, { $set: { progress } }, { new: true }).select('-payload -report'));
+    },
+    // Checked between chunks
+    shouldStop: async () => {
+      stopped = Boolean(await ImportJob.exists({ _id: job._id, cancelRequested: true }));
+      return stopped;
+    }
+  };
+
+  const update = {};
+  try {
+    logger.bulkUpload(`Import job ${job._id} (${job.kind}) started`);
+    update.report = await handler.run(job, context);
+    update.status = stopped ? 'cancelled' : 'completed';
+  } catch (error) {
+    logger.error(`Import job ${job._id} (${job.kind}) failed:`, error);
+    update.status = 'failed';
+    update.error = error.message;
+    await handler.onStopped(job).catch(e => logger.error(`Could not release import job ${job._id}:`, e));
+  }
+  update.finishedAt = new Date();
+
+  logger.bulkUpload(`Import job ${job._id} ${update.status}`);
+  publish(await ImportJob.findByIdAndUpdate(job._id, { $set: update, $unset: { payload: 1 } }, { new: true }).select('-payload -report'));
+  await releaseInput(job._id);
+};
+
+// Start queued jobs, oldest first, while fewer than CONCURRENCY are running
+const drain = async () => {
+  while (running < CONCURRENCY) {
+    running++;
+    let job;
+    try {
+      job = await ImportJob.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date() } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+    } catch (error) {
+      running--;
+      throw error;
+    }
+    if (!job) {
+      running--;
+      return;
+    }
+    runJob(job)
+      .catch(error => logger.error(`Import job ${job._id} could not be finished:`, error))
+      .finally(() => {
+        running--;
+        drainQuietly();
+      });
+  }
+};
+
+const drainQuietly = () => {
+  drain().catch(error => logger.error('Import queue failed to start a job:', error));
+};
+
+// Queue an import; it starts as soon as a slot is free. Rows to work through are staged in
+// chunks of chunkSize first, so the job never starts without them.
+const enqueueImport = async (fields, { rows, chunkSize } = {}) => {
+  const jobId = new mongoose.Types.ObjectId();
+  if (rows?.length) {
+    const chunks = [];
+    for (let start = 0; start < rows.length; start += chunkSize) {
+      chunks.push({ job: jobId, index: chunks.length, rows: rows.slice(start, start + chunkSize) });
+    }
+    await ImportRowChunk.insertMany(chunks);
+  }
+
+  let job;
+  try {
+    job = await ImportJob.create({ _id: jobId, ...fields });
+  } catch (error) {
+    await releaseInput(jobId);
+    throw error;
+  }
+  logger.bulkUpload(`Queued import job ${job._id} (${job.kind})`);
+  drainQuietly();
+  return job;
+};
+
+// Cancel a job: a queued one never starts, a running one stops before its next chunk
+const cancelImport = async (id) => {
+  const queued = await ImportJob.findOneAndUpdate(
+    { _id: id, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() }, $unset: { payload: 1 } },
+    { new: true }
+  ).select('-payload -report');
+  if (queued) {
+    await HANDLERS[queued.kind].onStopped(queued);
+    await releaseInput(queued._id);
+    publish(queued);
+    return queued;
+  }
+
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: id, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  ).select('-payload -report');
+  if (job) {
+    publish(job);
+    return job;
+  }
+
+  const existing = await ImportJob.findById(id).select('status');
+  if (!existing) throw new AppError(404, 'Import job not found');
+  throw new AppError(409, `Import job is already ${existing.status}`);
+};
+
+// Jobs still marked running were cut off by a restart (the queue lives in this process); mark them
+// failed, release their records and start whatever is queued
+const startImportQueue = async () => {
+  const interrupted = await ImportJob.find({ status: 'running' }).select('-payload');
+  for (const job of interrupted) {
+    await HANDLERS[job.kind].onStopped(job);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() }, $unset: { payload: 1 } }
+    );
+    await releaseInput(job._id);
+    logger.error(`Import job ${job._id} (${job.kind}) was interrupted by a restart`);
+  }
+  drainQuietly();
+};
+
+module.exports = {
+  FINISHED,
+  jobEvents,
+  enqueueImport,
+  cancelImport,
+  startImportQueue
+};
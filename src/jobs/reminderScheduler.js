@@ -0,0 +1,45 @@
+const Course = require('../models/Course');
+const { sendWeekReminders } = require('../utils/reminders');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Remind non-submitters of every assignment due within the next REMINDER_DAYS_BEFORE days.
+// Repeat runs are harmless: students already reminded for a week are skipped.
+const runScheduledReminders = async (now = new Date()) => {
+  const daysBefore = parseFloat(process.env.REMINDER_DAYS_BEFORE || '2');
+  const windowEnd = new Date(now.getTime() + daysBefore * DAY_MS);
+
+  const courses = await Course.find({
+    assignments: { $elemMatch: { dueDate: { $gt: now, $lte: windowEnd } } }
+  }).lean();
+
+  const reports = [];
+  for (const course of courses) {
+    const dueSoon = course.assignments.filter(a => a.dueDate > now && a.dueDate <= windowEnd);
+    for (const assignment of dueSoon) {
+      reports.push(await sendWeekReminders({
+        courseId: course.courseId,
+        week: assignment.week,
+        ccMentor: process.env.REMINDER_CC_MENTOR === 'true',
+        trigger: 'scheduled',
+        sentBy: 'scheduler'
+      }));
+    }
+  }
+  return reports;
+};
+
+// Check on an interval when REMINDER_SCHEDULE_ENABLED=true
+const startReminderScheduler = () => {
+  if (process.env.REMINDER_SCHEDULE_ENABLED !== 'true') return null;
+
+  const minutes = parseFloat(process.env.REMINDER_CHECK_INTERVAL_MINUTES || '60');
+  logger.general(`Reminder scheduler checking every ${minutes} minutes`);
+
+  return setInterval(() => {
+    runScheduledReminders().catch(error => logger.error('Scheduled reminder run failed:', error));
+  }, minutes * 60 * 1000);
+};
+
+module.exports = { runScheduledReminders, startReminderScheduler };
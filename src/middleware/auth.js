@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using a random secret, so tokens will not survive a restart');
+}
+
+// Session tokens carry their own audience so other tokens signed with the secret
+// (such as confirmation tokens) are not accepted as logins
+const SESSION_AUDIENCE = 'session';
+
+const signToken = (user) => jwt.sign(
+  { sub: user._id.toString(), role: user.role, ver: user.tokenVersion || 0 },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN, audience: SESSION_AUDIENCE }
+);
+
+// Require a valid "Authorization: Bearer <token>" header and load req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return next(new AppError(401, 'Authentication required'));
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET, { audience: SESSION_AUDIENCE });
+    } catch (error) {
+      return next(new AppError(401, 'Invalid or expired token'));
+    }
+
+    const user = await User.findById(payload.sub).populate('faculty', 'name');
+    if (!user || !user.active) {
+      return next(new AppError(401, 'Account not found or disabled'));
+    }
+    // Signed before a password change or deactivation
+    if (payload.ver !== (user.tokenVersion || 0)) {
+      return next(new AppError(401, 'Session has been revoked; sign in again'));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Allow only the given roles through
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) return next(new AppError(401, 'Authentication required'));
+  if (!roles.includes(req.user.role)) {
+    return next(new AppError(403, `Requires role: ${roles.join(' or ')}`));
+  }
+  next();
+};
+
+// Student filter limiting a mentor to their own mentees; other roles see everyone
+const mentorScope = (req) => {
+  if (req.user?.role !== 'mentor') return {};
+  return { 'courses.mentor': req.user.faculty?._id ?? null };
+};
+
+// Everyone who may read, and the groups used for writes
+const ROLES = {
+  read: ['admin', 'coordinator', 'mentor', 'viewer'],
+  reports: ['admin', 'coordinator', 'viewer'],
+  edit: ['admin', 'coordinator', 'mentor'],
+  manage: ['admin', 'coordinator'],
+  destructive: ['admin']
+};
+
+module.exports = {
+  signToken,
+  authenticate,
+  authorize,
+  mentorScope,
+  ROLES
+};
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../utils/errors');
+const { EXPORT_FORMATS } = require('../utils/exporter');
+
+// Declarative request checks. A schema maps each field to a rule:
+//   type       string | number | integer | boolean | date | objectId | email | array | object | any
+//   required   the field must be present and non-empty
+//   enum       allowed values
+//   min/max    bounds for numbers; minLength/maxLength for strings and arrays
+//   pattern    RegExp a string must match
+//   lowercase  lowercase a string before checking it
+//   trim       false keeps surrounding whitespace, e.g. in passwords (strings are trimmed by default)
+//   items      rule for each element of an array
+//   properties schema for an object (or for each element when items.type is object)
+// Values are coerced from strings, so the same rules serve query strings and multipart forms.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Check one value; returns { value } or { error }
+const checkValue = (rule, raw, path, strict, fields) => {
+  let value = raw;
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      if (rule.trim !== false) value = value.trim();
+      if (rule.lowercase || rule.type === 'email') value = value.toLowerCase();
+      if (rule.type === 'email' && !EMAIL.test(value)) return { error: 'must be an email address' };
+      if (rule.minLength !== undefined && value.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+      if (rule.pattern && !rule.pattern.test(value)) return { error: 'has an invalid format' };
+      break;
+    case 'number':
+    case 'integer':
+      value = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof value !== 'number' || Number.isNaN(value)) return { error: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'must be a whole number' };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      break;
+    case 'boolean':
+      if (value === 'true' || value === '1') value = true;
+      if (value === 'false' || value === '0') value = false;
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      break;
+    case 'date':
+      value = new Date(value);
+      if (Number.isNaN(value.getTime())) return { error: 'must be a date' };
+      break;
+    case 'objectId':
+      if (!mongoose.isValidObjectId(value)) return { error: 'must be an id' };
+      value = String(value);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      if (rule.minLength !== undefined && value.length < rule.minLength) return { error: `must have at least ${rule.minLength} entries` };
+      if (rule.items) {
+        value = value.map((item, i) => {
+          const checked = checkValue(rule.items, item, `${path}.${i}`, strict, fields);
+          if (checked.error) fields.push({ field: `${path}.${i}`, message: checked.error });
+          return checked.value;
+        });
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return { error: 'must be an object' };
+      if (rule.properties) value = checkObject(rule.properties, value, path, strict, fields);
+      break;
+    case 'any':
+    case undefined:
+      break;
+    default:
+      throw new Error(`Unknown rule type "${rule.type}" for ${path}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of: ${rule.enum.join(', ')}` };
+  return { value };
+};
+
+// Check an object against a schema, collecting field errors; returns the checked copy
+const checkObject = (schema, input, prefix, strict, fields) => {
+  const source = input || {};
+  const output = strict ? {} : { ...source };
+  const at = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const raw = source[key];
+    if (isBlank(raw)) {
+      if (rule.required) fields.push({ field: at(key), message: 'is required' });
+      else if (rule.default !== undefined) output[key] = rule.default;
+      else if (!strict && key in source) delete output[key];
+      else if (strict && raw === null) output[key] = null;
+      return;
+    }
+    const checked = checkValue(rule, raw, at(key), strict, fields);
+    if (checked.error) fields.push({ field: at(key), message: checked.error });
+    else output[key] = checked.value;
+  });
+
+  if (strict) {
+    Object.keys(source)
+      .filter(key => !(key in schema))
+      .forEach(key => fields.push({ field: at(key), message: 'is not allowed' }));
+  }
+  return output;
+};
+
+// Middleware checking req.params, req.query and req.body against their schemas.
+// Bodies are whitelisted: fields the schema does not name are rejected.
+// Checked (and coerced) values replace the originals.
+const validate = ({ params, query, body }) => (req, res, next) => {
+  const fields = [];
+  const checked = {};
+  if (params) checked.params = checkObject(params, req.params, '', false, fields);
+  if (query) checked.query = checkObject(query, req.query, '', false, fields);
+  if (body) checked.body = checkObject(body, req.body, '', true, fields);
+
+  if (fields.length > 0) {
+    return next(new AppError(400, 'Request is not valid', { code: 'VALIDATION_FAILED', fields }));
+  }
+  Object.assign(req.params, checked.params);
+  if (checked.query) req.query = checked.query;
+  if (checked.body) req.body = checked.body;
+  next();
+};
+
+// Rules shared across resources
+const rules = {
+  id: { type: 'objectId', required: true },
+  courseId: { type: 'string', lowercase: true },
+  format: { type: 'string', enum: ['json', ...EXPORT_FORMATS] }
+};
+
+module.exports = { validate, rules };
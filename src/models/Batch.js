@@ -0,0 +1,7 @@
+const mongoose = require("mongoose");
+const { referenceSchema } = require("../utils/aliases");
+
+// Student batches or years of study ("year" on Student), e.g. 3 with aliases "III", "3rd year"
+const BatchSchema = referenceSchema();
+
+module.exports = mongoose.model("Batch", BatchSchema);
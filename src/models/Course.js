@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { standardizeWeekFormat } = require("../utils/week");
+
+const CourseSchema = new mongoose.Schema({
+  // Full NPTEL identifier as it appears in portal exports, e.g. "noc25-cs52"; enrollments copy it,
+  // so it never changes once the course exists
+  courseId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true,
+    trim: true,
+    lowercase: true
+  },
+  // Semester run, e.g. "noc25"
+  run: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // NPTEL discipline code, e.g. "cs", "ce"
+  discipline: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  durationWeeks: {
+    type: Number,
+    min: 1
+  },
+  assignments: [
+    {
+      week: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      dueDate: Date,
+      maxMarks: {
+        type: Number,
+        min: 0
+      }
+    }
+  ],
+  examDate: Date,
+  // NPTEL scoring rule; unset values fall back to DEFAULT_SCORING in utils/progress
+  scoring: {
+    // Assignment score is the average of the best N weekly assignments
+    bestOf: { type: Number, min: 1 },
+    assignmentWeight: { type: Number, min: 0 },
+    examWeight: { type: Number, min: 0 },
+    // Cutoffs on the weighted components and the final score
+    assignmentCutoff: { type: Number, min: 0 },
+    examCutoff: { type: Number, min: 0 },
+    finalCutoff: { type: Number, min: 0 },
+    // Used for results imported without max marks
+    defaultMaxMarks: { type: Number, min: 1 }
+  },
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Faculty"
+  }
+}, { timestamps: true });
+
+CourseSchema.index({ run: 1, discipline: 1 });
+
+// Split an NPTEL course id ("noc25-cs52") into its run and discipline code
+CourseSchema.statics.parseCourseId = function(courseId) {
+  const match = String(courseId || '').trim().toLowerCase().match(/^([a-z]+\d+)-([a-z]+)(\d+)$/);
+  if (!match) return null;
+  return { run: match[1], discipline: match[2], number: match[3] };
+};
+
+// Find a course by id, registering it from an enrollment sheet if it is new
+CourseSchema.statics.findOrCreateByCourseId = async function(courseId, title) {
+  const normalizedId = String(courseId).trim().toLowerCase();
+  const parsed = this.parseCourseId(normalizedId) || {};
+
+  return this.findOneAndUpdate(
+    { courseId: normalizedId },
+    {
+      $setOnInsert: {
+        courseId: normalizedId,
+        run: parsed.run || 'unknown',
+        discipline: parsed.discipline,
+        title: title || normalizedId
+      }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Fill in run/discipline from the course id and keep week labels consistent
+CourseSchema.pre("validate", function(next) {
+  const parsed = this.constructor.parseCourseId(this.courseId);
+  if (parsed) {
+    if (!this.run) this.run = parsed.run;
+    if (!this.discipline) this.discipline = parsed.discipline;
+  }
+  this.assignments.forEach(assignment => {
+    assignment.week = standardizeWeekFormat(assignment.week);
+  });
+  next();
+});
+
+module.exports = mongoose.model("Course", CourseSchema);
@@ -0,0 +1,7 @@
+const mongoose = require("mongoose");
+const { referenceSchema } = require("../utils/aliases");
+
+// Student departments ("branch" on Student), e.g. CSE with aliases "Computer Science", "CS&E"
+const DepartmentSchema = referenceSchema({ uppercaseCode: true });
+
+module.exports = mongoose.model("Department", DepartmentSchema);
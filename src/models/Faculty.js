@@ -3,8 +3,10 @@ const mongoose = require("mongoose");
 const FacultySchema = new mongoose.Schema({
   name: { type: String, unique: true, required: true },
   phoneNumber: { type: String, default: "Not Provided" },
+  email: { type: String, trim: true, lowercase: true },
   courses: [
     {
+      course: { type: mongoose.Schema.Types.ObjectId, ref: "Course" },
       courseId: String,
       courseName: String,
       branch: String,
@@ -12,4 +14,15 @@ const FacultySchema = new mongoose.Schema({
   ],
 }, { timestamps: true });
 
+// Mentor names in sheets vary in case and spacing
+FacultySchema.statics.normalizeName = function(name) {
+  return String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+};
+
+// Map of normalized name to faculty, for resolving subjectMentor strings
+FacultySchema.statics.indexByName = async function() {
+  const faculties = await this.find().select("name").lean();
+  return new Map(faculties.map(f => [this.normalizeName(f.name), f]));
+};
+
 module.exports = mongoose.model("Faculty", FacultySchema);
\ No newline at end of file
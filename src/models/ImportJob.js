@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// A large import run in the background by jobs/importQueue, with its progress and final report
+const ImportJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['enrollment-commit', 'scores'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  createdBy: String,
+  // What the job works on
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ImportSession"
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScoreBatch"
+  },
+  courseId: {
+    type: String,
+    lowercase: true
+  },
+  filename: String,
+  // Settings the worker needs (the rows are staged in ImportRowChunk); cleared once the job ends
+  payload: mongoose.Schema.Types.Mixed,
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    // Outcome counts so far, e.g. { created, updated, failed } or { successful, queued, failed }
+    counts: mongoose.Schema.Types.Mixed
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // The response the import used to return synchronously
+  report: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true, minimize: false });
+
+ImportJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ImportJob", ImportJobSchema);
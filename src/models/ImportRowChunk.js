@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Parsed rows of a background import, staged a chunk per document so a large file never has to
+// fit in one ImportJob; removed once the job ends
+const ImportRowChunkSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ImportJob",
+    required: true
+  },
+  // Position of the chunk in the file
+  index: {
+    type: Number,
+    required: true
+  },
+  rows: [mongoose.Schema.Types.Mixed]
+}, { timestamps: true });
+
+ImportRowChunkSchema.index({ job: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model("ImportRowChunk", ImportRowChunkSchema);
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+
+const ImportSessionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['enrollment'],
+    default: 'enrollment'
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  sheetName: String,
+  // Mapping profile used to read the sheet and the column each field came from
+  mapping: {
+    profile: String,
+    columns: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'committing', 'committed'],
+    default: 'pending'
+  },
+  // Background job applying the session (see jobs/importQueue)
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ImportJob"
+  },
+  options: {
+    registerCourses: { type: Boolean, default: false }
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+  // Branch and year values no department or batch matched, with the rows they appear in
+  unmapped: {
+    branch: [{ value: String, rows: [Number] }],
+    year: [{ value: String, rows: [Number] }]
+  },
+  rows: [
+    {
+      // Spreadsheet row number, counting the header as row 1
+      rowNumber: Number,
+      status: {
+        type: String,
+        enum: ['accepted', 'rejected'],
+        required: true
+      },
+      data: {
+        rollNumber: String,
+        name: String,
+        branch: String,
+        year: String,
+        email: String,
+        courseId: String,
+        courseName: String,
+        subjectMentor: String
+      },
+      validationErrors: [String],
+      warnings: [String],
+      // Branch and year values replaced by their reference code, and fields no entry matched
+      normalized: [
+        {
+          field: String,
+          from: String,
+          to: String
+        }
+      ],
+      unmapped: [String],
+      // Filled in on commit
+      outcome: {
+        type: String,
+        enum: ['created', 'updated', 'unchanged', 'conflicting', 'failed']
+      },
+      // Fields the commit filled in, and stored values that differ from the upload (kept as stored)
+      changes: [String],
+      conflicts: [
+        {
+          field: String,
+          current: String,
+          incoming: String
+        }
+      ],
+      outcomeError: String
+    }
+  ],
+  committedAt: Date,
+  commitSummary: {
+    created: Number,
+    updated: Number,
+    unchanged: Number,
+    conflicting: Number,
+    failed: Number
+  }
+}, { timestamps: true });
+
+ImportSessionSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ImportSession", ImportSessionSchema);
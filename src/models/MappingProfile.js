@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { FIELDS, DEFAULT_MAPPINGS, detectMapping } = require("../utils/columnMapping");
+
+const MappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: Object.keys(FIELDS),
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Each field is read from a named header or, failing that, a zero-based column position
+  mappings: [
+    {
+      field: {
+        type: String,
+        required: true
+      },
+      header: {
+        type: String,
+        trim: true
+      },
+      index: {
+        type: Number,
+        min: 0
+      }
+    }
+  ]
+}, { timestamps: true });
+
+MappingProfileSchema.pre("validate", function(next) {
+  const allowed = FIELDS[this.kind] || [];
+  const seen = new Set();
+  this.mappings.forEach((mapping, i) => {
+    if (!allowed.includes(mapping.field)) {
+      this.invalidate(`mappings.${i}.field`, `Unknown ${this.kind} field "${mapping.field}". Allowed: ${allowed.join(', ')}`);
+    } else if (seen.has(mapping.field)) {
+      this.invalidate(`mappings.${i}.field`, `Field "${mapping.field}" is mapped more than once`);
+    } else if (!mapping.header && mapping.index === undefined) {
+      this.invalidate(`mappings.${i}`, `Field "${mapping.field}" needs a header or an index`);
+    }
+    seen.add(mapping.field);
+  });
+  next();
+});
+
+// Pick the mapping for an upload: a saved profile by name or id, "auto" to detect it
+// from the header row, or the built-in layout when no profile is given
+MappingProfileSchema.statics.forUpload = async function(kind, selector, headers) {
+  if (!selector) return { profile: 'default', mappings: DEFAULT_MAPPINGS[kind] };
+  if (selector === 'auto') return { profile: 'auto', mappings: detectMapping(kind, headers).mappings };
+
+  const query = mongoose.isValidObjectId(selector) ? { _id: selector } : { name: selector };
+  const profile = await this.findOne({ ...query, kind }).lean();
+  if (!profile) return null;
+  return { profile: profile.name, mappings: profile.mappings };
+};
+
+module.exports = mongoose.model("MappingProfile", MappingProfileSchema);
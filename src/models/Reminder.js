@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Delivery log of assignment reminder emails
+const ReminderSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course"
+  },
+  courseId: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  week: {
+    type: String,
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true
+  },
+  rollNumber: String,
+  to: String,
+  cc: [String],
+  subject: String,
+  // "sending" from the claim until the mail server answers
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    required: true
+  },
+  // Set while the entry holds the one reminder a student gets for a course week (see the index below)
+  claimed: Boolean,
+  error: String,
+  messageId: String,
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual'
+  },
+  sentBy: String
+}, { timestamps: true });
+
+ReminderSchema.index({ courseId: 1, week: 1, student: 1, status: 1 });
+ReminderSchema.index({ createdAt: -1 });
+// A reminder is claimed before it is sent, so overlapping runs cannot email the same student twice
+ReminderSchema.index(
+  { courseId: 1, week: 1, student: 1 },
+  { unique: true, partialFilterExpression: { claimed: true } }
+);
+
+module.exports = mongoose.model("Reminder", ReminderSchema);
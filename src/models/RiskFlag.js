@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// One at-risk rule firing for an enrollment, from when it was raised until it cleared
+const RiskFlagSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true
+  },
+  rollNumber: String,
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course"
+  },
+  courseId: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Faculty"
+  },
+  rule: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  raisedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null while the flag is open
+  clearedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+RiskFlagSchema.index({ clearedAt: 1, courseId: 1 });
+RiskFlagSchema.index({ student: 1, courseId: 1, rule: 1, raisedAt: -1 });
+
+module.exports = mongoose.model("RiskFlag", RiskFlagSchema);
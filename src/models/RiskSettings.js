@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Thresholds for the at-risk rules; a single document keyed "default"
+const RiskSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  // Flag a student whose latest N due weeks were all missed
+  consecutiveMisses: {
+    type: Number,
+    min: 1,
+    default: 2
+  },
+  // Flag a student who submitted less than this share of the due weeks
+  minSubmissionRate: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  },
+  // Flag a student with nothing submitted after this week
+  inactiveAfterWeek: {
+    type: Number,
+    min: 0,
+    default: 3
+  },
+  // Rules that are switched off, by id
+  disabledRules: {
+    type: [String],
+    default: []
+  },
+  updatedBy: String
+}, { timestamps: true });
+
+// Current settings, or the defaults when none have been saved
+RiskSettingsSchema.statics.getCurrent = async function() {
+  const settings = await this.findOne({ key: 'default' }).lean();
+  return settings || new this().toObject();
+};
+
+module.exports = mongoose.model("RiskSettings", RiskSettingsSchema);
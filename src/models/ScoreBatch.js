@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// One score import, reset, student archive or duplicate merge, with the per-student snapshots
+// of imports, resets and merges kept in ScoreChange
+const ScoreBatchSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['import', 'reset', 'archive', 'merge'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'applied', 'rolled-back'],
+    default: 'in-progress'
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course"
+  },
+  courseId: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // How imported scores were reconciled with stored ones (see CONFLICT_POLICIES)
+  conflictPolicy: String,
+  // What a reset or archive was scoped to, e.g. { route: 'reset-results', courseId: 'noc25-cs52', week: 'Week 3 Assignment' }
+  scope: mongoose.Schema.Types.Mixed,
+  counts: {
+    rows: { type: Number, default: 0 },
+    successful: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Rows waiting in the unmatched score queue
+    queued: { type: Number, default: 0 },
+    studentsChanged: { type: Number, default: 0 }
+  },
+  rolledBackAt: Date,
+  rolledBackBy: String
+}, { timestamps: true });
+
+ScoreBatchSchema.index({ courseId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ScoreBatch", ScoreBatchSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Before/after snapshot of one enrollment's results within a ScoreBatch
+const ScoreChangeSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScoreBatch",
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true
+  },
+  rollNumber: String,
+  courseId: {
+    type: String,
+    lowercase: true
+  },
+  // The batch added this course to the student, so rolling back removes it
+  createdEnrollment: {
+    type: Boolean,
+    default: false
+  },
+  before: [mongoose.Schema.Types.Mixed],
+  after: [mongoose.Schema.Types.Mixed],
+  // Merge snapshots cover the whole record: before and after hold every enrollment,
+  // profile the profile fields before the merge, merged the duplicates archived into it
+  // and references the records re-pointed from them
+  profile: mongoose.Schema.Types.Mixed,
+  merged: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student"
+  }],
+  references: [{
+    _id: false,
+    kind: String,
+    student: mongoose.Schema.Types.ObjectId,
+    rollNumber: String,
+    ids: [mongoose.Schema.Types.ObjectId]
+  }]
+}, { timestamps: true });
+
+ScoreChangeSchema.index({ batch: 1 });
+ScoreChangeSchema.index({ student: 1, courseId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ScoreChange", ScoreChangeSchema);
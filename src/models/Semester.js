@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Discipline codes the score importer accepted before runs were configurable
+const DEFAULT_DISCIPLINES = ['cs', 'me', 'ce', 'ee', 'ece', 'ch', 'ge', 'de', 'mm'];
+
+const SemesterSchema = new mongoose.Schema({
+  // NPTEL run prefix used in course ids, e.g. "noc25"
+  run: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z]+\d+$/
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  disciplines: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: () => [...DEFAULT_DISCIPLINES]
+  },
+  startDate: Date,
+  endDate: Date,
+  isActive: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+// Only one semester run can be active at a time
+SemesterSchema.post("save", async function(doc) {
+  if (doc.isActive) {
+    await doc.constructor.updateMany(
+      { _id: { $ne: doc._id }, isActive: true },
+      { $set: { isActive: false } }
+    );
+  }
+});
+
+// Active semester, or the pre-configuration defaults when none has been set up
+SemesterSchema.statics.getActive = async function() {
+  const active = await this.findOne({ isActive: true }).lean();
+  return active || { run: 'noc25', disciplines: DEFAULT_DISCIPLINES, isDefault: true };
+};
+
+SemesterSchema.statics.DEFAULT_DISCIPLINES = DEFAULT_DISCIPLINES;
+
+module.exports = mongoose.model("Semester", SemesterSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Precomputed dashboard statistics, one document per report (see utils/statistics)
+const StatsSummarySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: ['upload-statistics', 'course-stats'],
+    required: true,
+    unique: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  refreshedAt: Date,
+  // How long the aggregation took, to see when summaries stop paying off
+  durationMs: Number
+}, { timestamps: true, minimize: false });
+
+module.exports = mongoose.model("StatsSummary", StatsSummarySchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const { SUBMISSION_STATUSES } = require("../utils/week");
+
+const ENROLLMENT_STATUSES = ['active', 'completed', 'dropped', 'transferred'];
 
 const StudentSchema = new mongoose.Schema({
   name: {
@@ -25,6 +28,10 @@ const StudentSchema = new mongoose.Schema({
   },
   courses: [
     {
+      course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+      },
       courseId: {
         type: String,
         required: true,
@@ -35,19 +42,41 @@ const StudentSchema = new mongoose.Schema({
         trim: true,
         required: true
       },
+      // Name as it appeared in the enrollment sheet
       subjectMentor: {
         type: String,
         trim: true
       },
+      // Faculty record the mentor name resolved to
+      mentor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty'
+      },
       registeredOn: {
         type: Date,
         default: Date.now
       },
       status: {
         type: String,
-        enum: ['active', 'completed', 'dropped'],
+        enum: ENROLLMENT_STATUSES,
         default: 'active'
       },
+      // Every status change, oldest first
+      statusHistory: [
+        {
+          status: {
+            type: String,
+            enum: ENROLLMENT_STATUSES,
+            required: true
+          },
+          at: {
+            type: Date,
+            default: Date.now
+          },
+          by: String,
+          note: String
+        }
+      ],
       results: [
         {
           week: {
@@ -59,42 +88,119 @@ const StudentSchema = new mongoose.Schema({
             type: Number,
             default: 0
           },
+          // Older results have no status; see resultStatus in utils/week
+          status: {
+            type: String,
+            enum: SUBMISSION_STATUSES
+          },
+          maxMarks: {
+            type: Number,
+            min: 0
+          },
           submittedAt: {
             type: Date,
             default: Date.now
+          },
+          updatedAt: Date,
+          // Score import that last wrote this week
+          batch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ScoreBatch'
           }
         }
       ]
     },
   ],
+  // Archived students are kept for restore but left out of queries (see hideArchived)
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: String,
+  // Mass archive this student was part of, so the whole batch can be restored
+  archiveBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScoreBatch'
+  },
+  // Duplicate record archived by a merge: the student it was merged into
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }
 }, { timestamps: true });
 
 // Add indexes for better query performance
 StudentSchema.index({ rollNumber: 1 });
 StudentSchema.index({ 'courses.courseId': 1 });
+StudentSchema.index({ 'courses.course': 1 });
+StudentSchema.index({ 'courses.mentor': 1 });
 StudentSchema.index({ 'courses.courseName': 1 });
+StudentSchema.index({ archivedAt: 1 });
+
+// Leave archived students out unless the query filters on archivedAt itself
+// (at the top level or inside $and) or sets the includeArchived option
+const mentionsArchived = (filter = {}) => 'archivedAt' in filter || (filter.$and || []).some(mentionsArchived);
+
+const hideArchived = function() {
+  if (this.getOptions().includeArchived || mentionsArchived(this.getFilter())) return;
+  this.where({ archivedAt: null });
+};
+StudentSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndDelete'], hideArchived);
+StudentSchema.pre('aggregate', function() {
+  if (this.options.includeArchived || mentionsArchived(this.pipeline()[0]?.$match)) return;
+  this.pipeline().unshift({ $match: { archivedAt: null } });
+});
 
 // Virtual for getting active courses
 StudentSchema.virtual('activeCourses').get(function() {
   return this.courses.filter(course => course.status === 'active');
 });
 
-// Method to add a new course
-StudentSchema.methods.addCourse = function(courseData) {
-  const existingCourse = this.courses.find(c => c.courseId === courseData.courseId);
-  if (!existingCourse) {
-    this.courses.push(courseData);
-  }
-  return this;
+// A student has at most one enrollment per course
+StudentSchema.pre("validate", function(next) {
+  const seen = new Set();
+  this.courses.forEach((enrollment, i) => {
+    const key = enrollment.courseId?.toLowerCase();
+    if (seen.has(key)) {
+      this.invalidate(`courses.${i}.courseId`, `Already enrolled in ${enrollment.courseId}`);
+    }
+    seen.add(key);
+  });
+  next();
+});
+
+// Enrollment for a course id, ignoring case
+StudentSchema.methods.findCourse = function(courseId) {
+  const key = courseId?.toLowerCase();
+  return this.courses.find(c => c.courseId?.toLowerCase() === key);
+};
+
+// A new active enrollment with its first status history entry, for adding to a student
+StudentSchema.statics.newEnrollment = function(courseData, { by, note } = {}) {
+  return {
+    ...courseData,
+    status: 'active',
+    statusHistory: [{ status: 'active', at: new Date(), by, note }]
+  };
 };
 
-// Method to update course status
-StudentSchema.methods.updateCourseStatus = function(courseId, status) {
-  const course = this.courses.find(c => c.courseId === courseId);
-  if (course) {
-    course.status = status;
+// Enroll in a course; returns the new enrollment, or null when there already is one for that course
+StudentSchema.methods.addCourse = function(courseData, { by, note } = {}) {
+  if (this.findCourse(courseData.courseId)) return null;
+  this.courses.push(this.constructor.newEnrollment(courseData, { by, note }));
+  return this.courses[this.courses.length - 1];
+};
+
+// Move an enrollment to a new status, recording the change; returns the enrollment, or null
+StudentSchema.methods.updateCourseStatus = function(courseId, status, { by, note } = {}) {
+  const enrollment = this.findCourse(courseId);
+  if (enrollment && enrollment.status !== status) {
+    enrollment.status = status;
+    enrollment.statusHistory.push({ status, at: new Date(), by, note });
   }
-  return this;
+  return enrollment || null;
 };
 
+StudentSchema.statics.ENROLLMENT_STATUSES = ENROLLMENT_STATUSES;
+
 module.exports = mongoose.model("Student", StudentSchema);
\ No newline at end of file
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// A score row no student could be matched to with confidence, kept with its parsed week results
+// until a coordinator picks the student (the scores are then applied as part of the original batch)
+const UnmatchedScoreSchema = new mongoose.Schema({
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScoreBatch",
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Course"
+  },
+  courseId: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  filename: String,
+  // Line of the score file the row came from
+  line: Number,
+  conflictPolicy: String,
+  reason: {
+    type: String,
+    enum: ['unmatched', 'ambiguous'],
+    required: true
+  },
+  // Identifiers as uploaded
+  input: {
+    rollNumber: String,
+    email: String,
+    name: String
+  },
+  results: [mongoose.Schema.Types.Mixed],
+  // Students the matcher suggested, best first (see utils/studentMatch)
+  candidates: [
+    {
+      student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student"
+      },
+      rollNumber: String,
+      name: String,
+      email: String,
+      enrolled: Boolean,
+      method: String,
+      confidence: Number
+    }
+  ],
+  status: {
+    type: String,
+    enum: ['open', 'resolving', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  resolvedStudent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student"
+  },
+  rollNumber: String,
+  changedWeeks: [String],
+  resolvedBy: String,
+  resolvedAt: Date,
+  note: String,
+  // Why the last attempt to resolve the row failed
+  error: String
+}, { timestamps: true });
+
+UnmatchedScoreSchema.index({ status: 1, courseId: 1, createdAt: -1 });
+UnmatchedScoreSchema.index({ batch: 1 });
+
+module.exports = mongoose.model("UnmatchedScore", UnmatchedScoreSchema);
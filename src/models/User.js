@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { AppError } = require("../utils/errors");
+
+// admin: everything, including destructive bulk routes
+// coordinator: imports, reports and edits
+// mentor: only students whose enrollments reference their faculty record
+// viewer: read-only
+const ROLES = ['admin', 'coordinator', 'mentor', 'viewer'];
+
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  // Faculty record a mentor account acts as
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Faculty"
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Tokens carry the version they were signed with; bumping it signs the account out everywhere
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+UserSchema.pre("validate", function(next) {
+  if (this.role === 'mentor' && !this.faculty) {
+    this.invalidate('faculty', 'Mentor accounts must be linked to a faculty record');
+  }
+  next();
+});
+
+UserSchema.methods.setPassword = async function(password) {
+  if (!password || password.length < 8) {
+    throw new AppError(400, 'Password must be at least 8 characters', {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'password', message: 'must be at least 8 characters' }]
+    });
+  }
+  this.passwordHash = await bcrypt.hash(password, 10);
+  return this.revokeTokens();
+};
+
+// Invalidate every token issued so far (see authenticate)
+UserSchema.methods.revokeTokens = function() {
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  return this;
+};
+
+UserSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password || '', this.passwordHash);
+};
+
+UserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no accounts yet
+UserSchema.statics.ensureBootstrapAdmin = async function() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+  if (await this.exists({})) return null;
+
+  const admin = new this({ username: ADMIN_USERNAME, name: 'Administrator', role: 'admin' });
+  await admin.setPassword(ADMIN_PASSWORD);
+  await admin.save();
+  return admin;
+};
+
+UserSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model("User", UserSchema);
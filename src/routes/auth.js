@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { signToken, authenticate } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+
+// Exchange username and password for a bearer token
+router.post('/login', validate(schemas.login), async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+    const user = await User.findOne({ username, active: true }).select('+passwordHash');
+    if (!user || !(await user.comparePassword(password))) {
+      logger.general(`Failed login for ${username}`);
+      throw new AppError(401, 'Invalid username or password');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    logger.general(`User ${user.username} logged in`);
+
+    res.json({
+      token: signToken(user),
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Current account
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// Change own password
+router.put('/me/password', authenticate, validate(schemas.changePassword), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+passwordHash');
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new AppError(401, 'Current password is incorrect');
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+    // Other sessions are signed out; this one continues with a fresh token
+    res.json({ message: 'Password updated successfully', token: signToken(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
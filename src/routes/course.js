@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const Student = require('../models/Student');
+const logger = require('../utils/logger');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/course');
+
+// Keep the mentor's Faculty.courses in step with the course's mentor field
+const syncMentorAssignment = async (course) => {
+  await Faculty.updateMany(
+    { _id: { $ne: course.mentor }, 'courses.course': course._id },
+    { $pull: { courses: { course: course._id } } }
+  );
+
+  if (!course.mentor) return;
+
+  await Faculty.updateOne(
+    { _id: course.mentor, 'courses.course': { $ne: course._id } },
+    {
+      $push: {
+        courses: {
+          course: course._id,
+          courseId: course.courseId,
+          courseName: course.title,
+          branch: course.discipline?.toUpperCase()
+        }
+      }
+    }
+  );
+};
+
+// Create new course
+router.post('/', authorize(...ROLES.manage), validate(schemas.create), async (req, res, next) => {
+  try {
+    const course = new Course(req.body);
+    await course.save();
+    await syncMentorAssignment(course);
+    logger.general(`Created course ${course.courseId}`);
+    res.status(201).json(course);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all courses, optionally filtered by run or discipline
+router.get('/', authorize(...ROLES.read), validate(schemas.list), async (req, res, next) => {
+  try {
+    const { run, discipline } = req.query;
+    const query = {};
+    if (run) query.run = run;
+    if (discipline) query.discipline = discipline;
+
+    const courses = await Course.find(query)
+      .populate('mentor', 'name phoneNumber')
+      .sort({ courseId: 1 });
+    res.json(courses);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get course by ID
+router.get('/:id', authorize(...ROLES.read), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id).populate('mentor', 'name phoneNumber');
+    if (!course) throw new AppError(404, 'Course not found');
+    res.json(course);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update course
+router.put('/:id', authorize(...ROLES.manage), validate(schemas.update), async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) throw new AppError(404, 'Course not found');
+
+    course.set(req.body);
+    await course.save();
+    await syncMentorAssignment(course);
+
+    // Enrollments carry a copy of the title for the existing reports
+    if (req.body.title) {
+      await Student.updateMany(
+        { 'courses.course': course._id },
+        { $set: { 'courses.$[enrollment].courseName': course.title } },
+        { arrayFilters: [{ 'enrollment.course': course._id }] }
+      );
+    }
+
+    res.json(course);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete course
+router.delete('/:id', authorize(...ROLES.destructive), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) throw new AppError(404, 'Course not found');
+
+    const enrolled = await Student.countDocuments({ 'courses.course': course._id });
+    if (enrolled > 0) {
+      throw new AppError(409, 'Course still has enrolled students', { details: { enrolled } });
+    }
+
+    await course.deleteOne();
+    await Faculty.updateMany(
+      { 'courses.course': course._id },
+      { $pull: { courses: { course: course._id } } }
+    );
+    res.json({ message: 'Course deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,62 +1,303 @@
 const express = require('express');
 const router = express.Router();
 const Faculty = require('../models/Faculty');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { authorize, ROLES } = require('../middleware/auth');
+const RiskSettings = require('../models/RiskSettings');
+const { loadCourseWeeks, completionRow } = require('../utils/mentees');
+const { evaluateEnrollment } = require('../utils/atRisk');
+const logger = require('../utils/logger');
+const { searchFilter, parseListQuery, paginate } = require('../utils/listQuery');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/faculty');
+
+// Mentors may only open their own dashboard
+const ownFacultyOnly = (req, res, next) => {
+  if (req.user.role === 'mentor' && req.user.faculty?._id.toString() !== req.params.id) {
+    return next(new AppError(403, 'Mentors can only view their own mentees'));
+  }
+  next();
+};
+
+// A mentor's enrollments grouped by course, each with its week list and due weeks
+const loadMentorCourses = async (facultyId, courseId) => {
+  const enrollmentMatch = { mentor: facultyId };
+  if (courseId) enrollmentMatch.courseId = courseId.toLowerCase();
+
+  const students = await Student.find({ courses: { $elemMatch: enrollmentMatch } })
+    .select('name rollNumber email branch year courses')
+    .sort({ rollNumber: 1 })
+    .lean();
+
+  const groups = new Map();
+  students.forEach(student => {
+    student.courses
+      .filter(c => c.mentor?.toString() === facultyId.toString() && (!courseId || c.courseId === enrollmentMatch.courseId))
+      .forEach(enrollment => {
+        if (!groups.has(enrollment.courseId)) {
+          groups.set(enrollment.courseId, { courseId: enrollment.courseId, courseName: enrollment.courseName, mentees: [] });
+        }
+        const { courses, ...profile } = student;
+        groups.get(enrollment.courseId).mentees.push({ student: profile, enrollment });
+      });
+  });
+
+  const courses = await Course.find({ courseId: { $in: [...groups.keys()] } }).lean();
+  const coursesById = new Map(courses.map(c => [c.courseId, c]));
+  const weeksById = await loadCourseWeeks([...groups.keys()], coursesById);
+
+  return [...groups.values()].map(group => {
+    const course = coursesById.get(group.courseId);
+    return {
+      ...group,
+      courseName: course?.title || group.courseName,
+      course,
+      ...weeksById.get(group.courseId)
+    };
+  });
+};
+
+// Resolve free-text subjectMentor names on existing enrollments to faculty references
+router.post('/link-mentees', authorize(...ROLES.manage), async (req, res, next) => {
+  try {
+    const mentorsByName = await Faculty.indexByName();
+    const courseMentors = new Map(
+      (await Course.find({ mentor: { $exists: true } }).select('courseId mentor').lean())
+        .map(c => [c.courseId, c.mentor])
+    );
+
+    const students = await Student.find({ courses: { $elemMatch: { mentor: { $exists: false } } } });
+    const unmatched = new Map();
+    let linked = 0;
+
+    for (const student of students) {
+      let changed = false;
+      student.courses.forEach(enrollment => {
+        if (enrollment.mentor) return;
+        const faculty = mentorsByName.get(Faculty.normalizeName(enrollment.subjectMentor));
+        const mentor = faculty?._id || (!enrollment.subjectMentor && courseMentors.get(enrollment.courseId?.toLowerCase()));
+        if (mentor) {
+          enrollment.mentor = mentor;
+          changed = true;
+          linked++;
+        } else if (enrollment.subjectMentor) {
+          unmatched.set(enrollment.subjectMentor, (unmatched.get(enrollment.subjectMentor) || 0) + 1);
+        }
+      });
+      if (changed) await student.save({ validateModifiedOnly: true });
+    }
+
+    logger.general(`Linked ${linked} enrollments to faculty mentors, ${unmatched.size} names unmatched`);
+
+    res.json({
+      message: `Linked ${linked} enrollments to faculty mentors`,
+      linked,
+      unmatched: [...unmatched.entries()].map(([name, enrollments]) => ({ name, enrollments }))
+    });
+  } catch (error) {
+    logger.error('Error linking mentees to faculty:', error);
+    next(error);
+  }
+});
 
 // Create new faculty
-router.post('/', async (req, res) => {
+router.post('/', authorize(...ROLES.manage), validate(schemas.create), async (req, res, next) => {
   try {
     const faculty = new Faculty(req.body);
     await faculty.save();
     res.status(201).json(faculty);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
   }
 });
 
-// Get all faculty
-router.get('/', async (req, res) => {
+// List faculty a page at a time.
+// Filters: courseId, branch (of a mentored course), search (name, email or phone number).
+// Paging, sort and fields work as for GET /api/students.
+router.get('/', authorize(...ROLES.read), validate(schemas.list), async (req, res, next) => {
   try {
-    const faculties = await Faculty.find();
-    res.json(faculties);
+    const { courseId, branch, search } = req.query;
+    const options = parseListQuery(req.query, {
+      sortable: ['name', 'email', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'email', 'phoneNumber', 'courses', 'createdAt', 'updatedAt'],
+      defaultSort: 'name',
+      dateFields: ['createdAt', 'updatedAt']
+    });
+
+    const filter = searchFilter(search, ['name', 'email', 'phoneNumber']);
+    const course = {};
+    if (courseId) course.courseId = courseId;
+    if (branch) course.branch = branch;
+    if (Object.keys(course).length > 0) filter.courses = { $elemMatch: course };
+
+    const { meta, docs } = await paginate(Faculty, filter, options);
+    res.json({ ...meta, faculty: docs });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Get faculty by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize(...ROLES.read), validate(schemas.byId), async (req, res, next) => {
   try {
-    const faculty = await Faculty.findById(req.params.id);
-    if (!faculty) return res.status(404).json({ error: 'Faculty not found' });
+    const faculty = await Faculty.findById(req.params.id)
+      .populate('courses.course', 'courseId run title durationWeeks examDate');
+    if (!faculty) throw new AppError(404, 'Faculty not found');
     res.json(faculty);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 // Update faculty
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize(...ROLES.manage), validate(schemas.update), async (req, res, next) => {
   try {
     const faculty = await Faculty.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     );
-    if (!faculty) return res.status(404).json({ error: 'Faculty not found' });
+    if (!faculty) throw new AppError(404, 'Faculty not found');
+
+    // Keep the display name on linked enrollments current
+    if (req.body.name) {
+      await Student.updateMany(
+        { 'courses.mentor': faculty._id },
+        { $set: { 'courses.$[enrollment].subjectMentor': faculty.name } },
+        { arrayFilters: [{ 'enrollment.mentor': faculty._id }] }
+      );
+    }
+
     res.json(faculty);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Mentees of a faculty member, per course
+router.get('/:id/mentees', authorize(...ROLES.read), ownFacultyOnly, validate(schemas.dashboard), async (req, res, next) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id).select('name');
+    if (!faculty) throw new AppError(404, 'Faculty not found');
+
+    const courses = await loadMentorCourses(faculty._id, req.query.courseId);
+    res.json({
+      faculty,
+      totalMentees: courses.reduce((sum, c) => sum + c.mentees.length, 0),
+      courses: courses.map(c => ({
+        courseId: c.courseId,
+        courseName: c.courseName,
+        count: c.mentees.length,
+        mentees: c.mentees.map(({ student, enrollment }) => ({ ...student, status: enrollment.status }))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Week-by-week completion grid of a faculty member's mentees
+router.get('/:id/grid', authorize(...ROLES.read), ownFacultyOnly, validate(schemas.dashboard), async (req, res, next) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id).select('name');
+    if (!faculty) throw new AppError(404, 'Faculty not found');
+
+    const courses = await loadMentorCourses(faculty._id, req.query.courseId);
+    res.json({
+      faculty,
+      courses: courses.map(c => ({
+        courseId: c.courseId,
+        courseName: c.courseName,
+        weeks: c.weeks,
+        rows: c.mentees.map(({ student, enrollment }) => ({
+          ...student,
+          weeks: completionRow(enrollment, c.weeks, c.due)
+        }))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mentees who are falling behind
+router.get('/:id/at-risk', authorize(...ROLES.read), ownFacultyOnly, validate(schemas.dashboard), async (req, res, next) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id).select('name');
+    if (!faculty) throw new AppError(404, 'Faculty not found');
+
+    const settings = await RiskSettings.getCurrent();
+    const courses = await loadMentorCourses(faculty._id, req.query.courseId);
+    const students = courses.flatMap(c => c.mentees
+      .filter(({ enrollment }) => enrollment.status === 'active')
+      .map(({ student, enrollment }) => ({
+        ...student,
+        courseId: c.courseId,
+        courseName: c.courseName,
+        reasons: evaluateEnrollment(enrollment, c.course, { weeks: c.weeks, due: c.due, settings })
+          .map(r => r.reason)
+      }))
+      .filter(s => s.reasons.length > 0));
+
+    res.json({ faculty, count: students.length, students });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Due assignments a faculty member's mentees have not submitted
+router.get('/:id/follow-ups', authorize(...ROLES.read), ownFacultyOnly, validate(schemas.dashboard), async (req, res, next) => {
+  try {
+    const faculty = await Faculty.findById(req.params.id).select('name');
+    if (!faculty) throw new AppError(404, 'Faculty not found');
+
+    const courses = await loadMentorCourses(faculty._id, req.query.courseId);
+    const followUps = courses.flatMap(c => {
+      const dueDates = new Map((c.course?.assignments || []).map(a => [a.week, a.dueDate]));
+      return c.mentees
+        .filter(({ enrollment }) => enrollment.status === 'active')
+        .flatMap(({ student, enrollment }) => completionRow(enrollment, c.weeks, c.due)
+          .filter(cell => cell.status === 'not-submitted')
+          .map(cell => ({
+            ...student,
+            courseId: c.courseId,
+            courseName: c.courseName,
+            week: cell.week,
+            dueDate: dueDates.get(cell.week)
+          })));
+    });
+
+    res.json({ faculty, count: followUps.length, followUps });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Delete faculty
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize(...ROLES.destructive), validate(schemas.byId), async (req, res, next) => {
   try {
-    const faculty = await Faculty.findByIdAndDelete(req.params.id);
-    if (!faculty) return res.status(404).json({ error: 'Faculty not found' });
+    const faculty = await Faculty.findById(req.params.id);
+    if (!faculty) throw new AppError(404, 'Faculty not found');
+
+    // Archived students count too, since restoring them would bring the reference back
+    const [students, courses, users] = await Promise.all([
+      Student.countDocuments({ 'courses.mentor': faculty._id }).setOptions({ includeArchived: true }),
+      Course.countDocuments({ mentor: faculty._id }),
+      User.countDocuments({ faculty: faculty._id })
+    ]);
+    if (students + courses + users > 0) {
+      throw new AppError(409, 'Faculty is still referenced; reassign these first', {
+        details: { students, courses, users }
+      });
+    }
+
+    await faculty.deleteOne();
     res.json({ message: 'Faculty deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const ImportJob = require('../models/ImportJob');
+const { FINISHED, jobEvents, cancelImport } = require('../jobs/importQueue');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/importJob');
+
+// Comment lines keeping an idle event stream open through proxies
+const KEEPALIVE_MS = 15 * 1000;
+
+// List import jobs, newest first
+router.get('/', authorize(...ROLES.reports), validate(schemas.list), async (req, res, next) => {
+  try {
+    const { kind, status } = req.query;
+    const query = {};
+    if (kind) query.kind = kind;
+    if (status) query.status = status;
+
+    const jobs = await ImportJob.find(query).select('-payload -report').sort({ createdAt: -1 });
+    res.json(jobs);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Status and progress of a job
+router.get('/:id', authorize(...ROLES.reports), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).select('-payload -report');
+    if (!job) throw new AppError(404, 'Import job not found');
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Progress as server-sent events: "progress" while the job runs, then one "end" with the final status
+router.get('/:id/events', authorize(...ROLES.reports), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).select('-payload -report');
+    if (!job) throw new AppError(404, 'Import job not found');
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const key = job._id.toString();
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    const close = () => {
+      clearInterval(keepalive);
+      jobEvents.off(key, send);
+      res.end();
+    };
+    const send = (update) => {
+      const finished = FINISHED.includes(update.status);
+      res.write(`event: ${finished ? 'end' : 'progress'}\ndata: ${JSON.stringify(update)}\n\n`);
+      if (finished) close();
+    };
+
+    jobEvents.on(key, send);
+    req.on('close', close);
+    // Read again now that updates are heard, so a job finishing since the first read still ends the stream
+    const current = await ImportJob.findById(key).select('-payload -report').catch(() => null);
+    if (res.writableEnded) return;
+    send(current || job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The final report of a finished job (what the import used to return directly)
+router.get('/:id/report', authorize(...ROLES.reports), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).select('-payload');
+    if (!job) throw new AppError(404, 'Import job not found');
+    if (!FINISHED.includes(job.status)) {
+      throw new AppError(409, `Import job is still ${job.status}`, {
+        details: { progress: job.progress }
+      });
+    }
+    res.json({
+      jobId: job._id,
+      status: job.status,
+      error: job.error,
+      finishedAt: job.finishedAt,
+      report: job.report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a queued job, or stop a running one before its next chunk
+router.post('/:id/cancel', authorize(...ROLES.manage), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const job = await cancelImport(req.params.id);
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const XLSX = require('xlsx');
+const MappingProfile = require('../models/MappingProfile');
+const { FIELDS, DEFAULT_MAPPINGS, detectMapping } = require('../utils/columnMapping');
+const logger = require('../utils/logger');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/mappingProfile');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Create new mapping profile
+router.post('/', authorize(...ROLES.manage), validate(schemas.create), async (req, res, next) => {
+  try {
+    const profile = new MappingProfile(req.body);
+    await profile.save();
+    logger.general(`Created ${profile.kind} mapping profile ${profile.name}`);
+    res.status(201).json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all mapping profiles, optionally for one kind of import
+router.get('/', authorize(...ROLES.read), validate(schemas.list), async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.kind) query.kind = req.query.kind;
+
+    const profiles = await MappingProfile.find(query).sort({ kind: 1, name: 1 });
+    res.json(profiles);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fields each kind of import can map, and the layout used when no profile is chosen
+router.get('/fields', authorize(...ROLES.read), (req, res) => {
+  res.json({ fields: FIELDS, defaults: DEFAULT_MAPPINGS });
+});
+
+// Propose a mapping from the header row of an uploaded file, or from a JSON list of headers
+router.post('/detect', authorize(...ROLES.manage), upload.single('file'), validate(schemas.detect), async (req, res, next) => {
+  try {
+    const { kind } = req.body;
+
+    let headers = req.body.headers;
+    if (req.file) {
+      const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      headers = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })[0] || [];
+    }
+
+    if (!Array.isArray(headers) || headers.length === 0) {
+      throw new AppError(400, 'Please upload a file or provide a headers array');
+    }
+
+    res.json({ headers, ...detectMapping(kind, headers.map(h => String(h).trim())) });
+  } catch (error) {
+    logger.error('Error detecting column mapping:', error);
+    next(error);
+  }
+});
+
+// Get mapping profile by ID
+router.get('/:id', authorize(...ROLES.read), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const profile = await MappingProfile.findById(req.params.id);
+    if (!profile) throw new AppError(404, 'Mapping profile not found');
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update mapping profile
+router.put('/:id', authorize(...ROLES.manage), validate(schemas.update), async (req, res, next) => {
+  try {
+    const profile = await MappingProfile.findById(req.params.id);
+    if (!profile) throw new AppError(404, 'Mapping profile not found');
+
+    profile.set(req.body);
+    await profile.save();
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete mapping profile
+router.delete('/:id', authorize(...ROLES.destructive), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const profile = await MappingProfile.findByIdAndDelete(req.params.id);
+    if (!profile) throw new AppError(404, 'Mapping profile not found');
+    res.json({ message: 'Mapping profile deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const Department = require('../models/Department');
+const Batch = require('../models/Batch');
+const logger = require('../utils/logger');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const { valueReport, migrateValues } = require('../utils/referenceData');
+const schemas = require('../schemas/referenceData');
+
+// Routes for one reference list; field is the student field its codes are stored in
+const referenceRouter = (Model, { field, label }) => {
+  const router = express.Router();
+
+  // Create an entry
+  router.post('/', authorize(...ROLES.manage), validate(schemas.create), async (req, res, next) => {
+    try {
+      const entry = await Model.create(req.body);
+      logger.general(`Created ${label.toLowerCase()} ${entry.code}`);
+      res.status(201).json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List entries (active=true|false to filter)
+  router.get('/', authorize(...ROLES.read), validate(schemas.list), async (req, res, next) => {
+    try {
+      const filter = req.query.active === undefined ? {} : { active: req.query.active };
+      const entries = await Model.find(filter).sort({ code: 1 });
+      res.json(entries);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Stored student values grouped into codes, aliases that map to a code, and values nothing matches
+  router.get('/unmapped', authorize(...ROLES.reports), async (req, res, next) => {
+    try {
+      res.json(await valueReport(field));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rewrite stored student values that are aliases to their code; dryRun previews the changes
+  router.post('/migrate', authorize(...ROLES.manage), validate(schemas.migrate), async (req, res, next) => {
+    try {
+      res.json(await migrateValues(field, { dryRun: req.body.dryRun }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get an entry by ID
+  router.get('/:id', authorize(...ROLES.read), validate(schemas.byId), async (req, res, next) => {
+    try {
+      const entry = await Model.findById(req.params.id);
+      if (!entry) throw new AppError(404, `${label} not found`);
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update an entry; renaming the code does not touch students until they are migrated
+  router.put('/:id', authorize(...ROLES.manage), validate(schemas.update), async (req, res, next) => {
+    try {
+      const entry = await Model.findById(req.params.id);
+      if (!entry) throw new AppError(404, `${label} not found`);
+
+      entry.set(req.body);
+      await entry.save();
+      logger.general(`Updated ${label.toLowerCase()} ${entry.code}`);
+      res.json(entry);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete an entry; students keep their values, which then show up as unmapped
+  router.delete('/:id', authorize(...ROLES.destructive), validate(schemas.byId), async (req, res, next) => {
+    try {
+      const entry = await Model.findByIdAndDelete(req.params.id);
+      if (!entry) throw new AppError(404, `${label} not found`);
+      logger.general(`Deleted ${label.toLowerCase()} ${entry.code}`);
+      res.json({ message: `${label} deleted successfully` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  departmentRoutes: referenceRouter(Department, { field: 'branch', label: 'Department' }),
+  batchRoutes: referenceRouter(Batch, { field: 'year', label: 'Batch' })
+};
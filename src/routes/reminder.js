@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const Reminder = require('../models/Reminder');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reminder');
+const { DEFAULT_TEMPLATE, weekLabel, sendWeekReminders } = require('../utils/reminders');
+const { runScheduledReminders } = require('../jobs/reminderScheduler');
+const logger = require('../utils/logger');
+
+// Email students who have not submitted a week's assignment
+router.post('/send', authorize(...ROLES.edit), validate(schemas.send), async (req, res, next) => {
+  try {
+    const { courseId, week, ccMentor, subject, text, resend, dryRun } = req.body;
+    const report = await sendWeekReminders({
+      courseId,
+      week,
+      ccMentor: Boolean(ccMentor),
+      template: { subject, text },
+      resend: Boolean(resend),
+      dryRun: Boolean(dryRun),
+      // Mentors can only remind their own mentees
+      mentorId: req.user.role === 'mentor' ? req.user.faculty?._id ?? null : undefined,
+      sentBy: req.user.username
+    });
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Error sending reminders:', error);
+    next(error);
+  }
+});
+
+// Default reminder template and its placeholders
+router.get('/template', authorize(...ROLES.read), (req, res) => {
+  res.json({
+    ...DEFAULT_TEMPLATE,
+    placeholders: ['name', 'rollNumber', 'courseId', 'courseName', 'week', 'dueDate', 'mentorName']
+  });
+});
+
+// Delivery log
+router.get('/', authorize(...ROLES.reports), validate(schemas.list), async (req, res, next) => {
+  try {
+    const { courseId, week, rollNumber, status, trigger } = req.query;
+    const query = {};
+    if (courseId) query.courseId = courseId;
+    if (week) query.week = weekLabel(week);
+    if (rollNumber) query.rollNumber = rollNumber;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const reminders = await Reminder.find(query).sort({ createdAt: -1 }).limit(1000);
+    res.json({ count: reminders.length, reminders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run the due-date reminder job now instead of waiting for the scheduler
+router.post('/run-scheduled', authorize(...ROLES.manage), async (req, res, next) => {
+  try {
+    const reports = await runScheduledReminders();
+    res.json({ message: `Checked ${reports.length} assignments due soon`, reports });
+  } catch (error) {
+    logger.error('Error running scheduled reminders:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const ScoreBatch = require('../models/ScoreBatch');
+const ScoreChange = require('../models/ScoreChange');
+const { diffResults, rollbackBatch } = require('../utils/scoreHistory');
+const { refreshRiskFlagsQuietly } = require('../utils/atRisk');
+const { refreshSummariesQuietly } = require('../utils/statistics');
+const logger = require('../utils/logger');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/scoreBatch');
+
+// List score imports and resets, newest first
+router.get('/', authorize(...ROLES.reports), validate(schemas.list), async (req, res, next) => {
+  try {
+    const { courseId, kind, status } = req.query;
+    const query = {};
+    if (courseId) query.courseId = courseId;
+    if (kind) query.kind = kind;
+    if (status) query.status = status;
+
+    const batches = await ScoreBatch.find(query).sort({ createdAt: -1 });
+    res.json(batches);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a batch by ID
+router.get('/:id', authorize(...ROLES.reports), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const batch = await ScoreBatch.findById(req.params.id);
+    if (!batch) throw new AppError(404, 'Score batch not found');
+    res.json(batch);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Per-student, per-week differences recorded by a batch
+router.get('/:id/changes', authorize(...ROLES.reports), validate(schemas.changes), async (req, res, next) => {
+  try {
+    const batch = await ScoreBatch.findById(req.params.id);
+    if (!batch) throw new AppError(404, 'Score batch not found');
+
+    const query = { batch: batch._id };
+    if (req.query.rollNumber) query.rollNumber = req.query.rollNumber;
+
+    const changes = await ScoreChange.find(query).sort({ rollNumber: 1 }).lean();
+
+    res.json({
+      batch,
+      count: changes.length,
+      changes: changes.map(change => ({
+        student: change.student,
+        rollNumber: change.rollNumber,
+        // Merge snapshots hold whole records rather than one enrollment's results
+        ...(batch.kind === 'merge'
+          ? {
+            merged: change.merged,
+            courses: { before: change.before.map(c => c.courseId), after: change.after.map(c => c.courseId) }
+          }
+          : {
+            courseId: change.courseId,
+            createdEnrollment: change.createdEnrollment,
+            weeks: diffResults(change.before, change.after)
+          }),
+        ...(req.query.snapshots && { before: change.before, after: change.after })
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore the results a batch replaced, the students an archive batch archived,
+// or the records a merge batch merged
+router.post('/:id/rollback', authorize(...ROLES.destructive), validate(schemas.rollback), async (req, res, next) => {
+  try {
+    const batch = await ScoreBatch.findById(req.params.id);
+    if (!batch) throw new AppError(404, 'Score batch not found');
+    if (batch.status !== 'applied') {
+      throw new AppError(409, `Score batch is ${batch.status} and cannot be rolled back`);
+    }
+
+    const force = Boolean(req.body.force ?? req.query.force);
+    const outcome = await rollbackBatch(batch, {
+      force,
+      rolledBackBy: req.user.username
+    });
+
+    if (!outcome.rolledBack) {
+      throw new AppError(409, 'Some enrollments changed after this batch. Retry with force=true to restore the rest anyway.', {
+        details: { conflicts: outcome.conflicts }
+      });
+    }
+
+    refreshRiskFlagsQuietly({ courseId: batch.courseId });
+    refreshSummariesQuietly();
+
+    res.json({
+      message: `Rolled back batch ${batch._id}`,
+      restored: outcome.restored,
+      conflicts: outcome.conflicts,
+      // Queued unmatched rows of the batch that were dismissed
+      dismissed: outcome.dismissed
+    });
+  } catch (error) {
+    logger.error(`Error rolling back score batch ${req.params.id}:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const Semester = require('../models/Semester');
+const logger = require('../utils/logger');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/semester');
+
+// Create new semester run
+router.post('/', authorize(...ROLES.manage), validate(schemas.create), async (req, res, next) => {
+  try {
+    const semester = new Semester(req.body);
+    await semester.save();
+    logger.general(`Created semester run ${semester.run}`);
+    res.status(201).json(semester);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all semester runs
+router.get('/', authorize(...ROLES.read), async (req, res, next) => {
+  try {
+    const semesters = await Semester.find().sort({ run: -1 });
+    res.json(semesters);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the run the score importer currently uses
+router.get('/active', authorize(...ROLES.read), async (req, res, next) => {
+  try {
+    const semester = await Semester.getActive();
+    res.json(semester);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get semester run by ID
+router.get('/:id', authorize(...ROLES.read), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const semester = await Semester.findById(req.params.id);
+    if (!semester) throw new AppError(404, 'Semester not found');
+    res.json(semester);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update semester run (set isActive to switch the importer to it)
+router.put('/:id', authorize(...ROLES.manage), validate(schemas.update), async (req, res, next) => {
+  try {
+    const semester = await Semester.findById(req.params.id);
+    if (!semester) throw new AppError(404, 'Semester not found');
+
+    semester.set(req.body);
+    await semester.save();
+    logger.general(`Updated semester run ${semester.run}`);
+    res.json(semester);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete semester run
+router.delete('/:id', authorize(...ROLES.destructive), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const semester = await Semester.findByIdAndDelete(req.params.id);
+    if (!semester) throw new AppError(404, 'Semester not found');
+    res.json({ message: 'Semester deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
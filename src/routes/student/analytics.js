@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Semester = require('../../models/Semester');
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const schemas = require('../../schemas/student');
+const { isExport, sendExport } = require('../../utils/exporter');
+const { normalizeScope } = require('../../utils/scope');
+const { submissionTrends } = require('../../utils/trends');
+
+// Spreadsheet rows for a week series, after any leading columns
+const weekRows = (weeks, leading = {}) => weeks.map(point => ({
+  ...leading,
+  Week: point.week,
+  Enrolled: point.enrolled,
+  Submitted: point.submitted,
+  Late: point.late,
+  Exempt: point.exempt,
+  'Submission Rate (%)': point.submissionRate,
+  'Change (pts)': point.rateChange,
+  'Average (%)': point.averageScore,
+  'Median (%)': point.medianScore,
+  'P25 (%)': point.percentiles.p25,
+  'P75 (%)': point.percentiles.p75,
+  'P90 (%)': point.percentiles.p90,
+  'Dropped Off': point.dropOff.count,
+  'Drop-off Rate (%)': point.dropOff.rate
+}));
+
+// Week-by-week submission rate and score distribution (as % of max marks) for a course, run,
+// branch, year or mentor. groupBy=course|branch|year|mentor adds a series per slice;
+// compare=noc24,noc23 adds the same scope in those runs (for a courseId, the same course by title).
+router.get('/trends', authorize(...ROLES.read), validate(schemas.trends), async (req, res, next) => {
+  try {
+    const { courseId, run, branch, year, mentor, subjectMentor, groupBy, compare } = req.query;
+    const scope = normalizeScope({ courseId, run, branch, year });
+    const currentRun = scope.run || courseId?.split('-')[0];
+    const compareRuns = compare
+      ? [...new Set(compare.split(','))].filter(r => r !== currentRun)
+      : [];
+    // Comparing runs needs one to compare against; default to the active semester
+    if (compareRuns.length > 0 && !currentRun) scope.run = (await Semester.getActive()).run;
+
+    // Mentors only ever see their own mentees
+    if (req.user.role === 'mentor') scope.mentor = req.user.faculty?._id ?? null;
+    else if (mentor) scope.mentor = new mongoose.Types.ObjectId(mentor);
+    if (subjectMentor) scope.subjectMentor = subjectMentor;
+
+    const trends = await submissionTrends(scope, { groupBy, compareRuns });
+
+    if (isExport(req)) {
+      const label = scope.courseId || scope.run || 'all';
+      return sendExport(req, res, {
+        filename: `trends-${label}${groupBy ? `-by-${groupBy}` : ''}`,
+        sheets: [
+          { name: 'Trend', rows: weekRows(trends.weeks) },
+          ...(trends.slices ? [{
+            name: `By ${groupBy}`,
+            rows: trends.slices.flatMap(slice => weekRows(slice.weeks, { [groupBy]: slice.label }))
+          }] : []),
+          ...(trends.comparison ? [{
+            name: 'Comparison',
+            rows: [
+              ...weekRows(trends.weeks, { Run: scope.run || currentRun }),
+              ...trends.comparison.flatMap(previous => weekRows(previous.weeks, { Run: previous.run }))
+            ]
+          }] : [])
+        ]
+      });
+    }
+
+    res.json(trends);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../../models/Student');
+const RiskFlag = require('../../models/RiskFlag');
+const RiskSettings = require('../../models/RiskSettings');
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const schemas = require('../../schemas/student');
+const { isExport, sendExport } = require('../../utils/exporter');
+const { RULES, refreshRiskFlags } = require('../../utils/atRisk');
+
+// Open at-risk flags filterable by branch, year, courseId, mentor (faculty id) and rule,
+// one entry per student and course
+router.get('/', authorize(...ROLES.read), validate(schemas.atRisk), async (req, res, next) => {
+  try {
+    const { branch, year, courseId, mentor, rule } = req.query;
+
+    const query = { clearedAt: null };
+    if (courseId) query.courseId = courseId.toLowerCase();
+    if (rule) query.rule = rule;
+    if (req.user.role === 'mentor') {
+      query.mentor = req.user.faculty?._id ?? null;
+    } else if (mentor) {
+      query.mentor = mentor;
+    }
+    if (branch || year) {
+      const studentQuery = {};
+      if (branch) studentQuery.branch = branch;
+      if (year) studentQuery.year = year;
+      query.student = { $in: await Student.find(studentQuery).distinct('_id') };
+    }
+
+    const flags = await RiskFlag.find(query)
+      .populate('student', 'name rollNumber email branch year')
+      .populate('mentor', 'name')
+      .sort({ courseId: 1, rollNumber: 1, raisedAt: 1 })
+      .lean();
+
+    const groups = new Map();
+    flags.filter(flag => flag.student).forEach(flag => {
+      const key = `${flag.student._id}|${flag.courseId}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          ...flag.student,
+          courseId: flag.courseId,
+          mentor: flag.mentor,
+          flags: []
+        });
+      }
+      groups.get(key).flags.push({ rule: flag.rule, reason: flag.reason, raisedAt: flag.raisedAt });
+    });
+    const students = [...groups.values()];
+
+    if (isExport(req)) {
+      return sendExport(req, res, {
+        filename: `at-risk${courseId ? `-${courseId.toLowerCase()}` : ''}`,
+        sheets: [{
+          name: 'At Risk',
+          rows: students.map(s => ({
+            'Roll Number': s.rollNumber,
+            Name: s.name,
+            Email: s.email,
+            Branch: s.branch,
+            Year: s.year,
+            'Course ID': s.courseId,
+            Mentor: s.mentor?.name,
+            Reasons: s.flags.map(f => f.reason).join('; '),
+            'Flagged Since': s.flags.map(f => f.raisedAt).sort()[0]?.toISOString()
+          }))
+        }]
+      });
+    }
+
+    res.json({ count: students.length, students });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Raised and cleared flags over time (?studentId=&courseId=&rule=)
+router.get('/history', authorize(...ROLES.read), validate(schemas.atRiskHistory), async (req, res, next) => {
+  try {
+    const { studentId, courseId, rule } = req.query;
+    const query = {};
+    if (studentId) query.student = studentId;
+    if (courseId) query.courseId = courseId.toLowerCase();
+    if (rule) query.rule = rule;
+    if (req.user.role === 'mentor') query.mentor = req.user.faculty?._id ?? null;
+
+    const flags = await RiskFlag.find(query)
+      .populate('student', 'name rollNumber')
+      .sort({ raisedAt: -1 })
+      .limit(1000);
+    res.json(flags);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rules and the thresholds they use
+router.get('/settings', authorize(...ROLES.read), async (req, res, next) => {
+  try {
+    const settings = await RiskSettings.getCurrent();
+    res.json({
+      settings,
+      rules: RULES.map(({ id, description }) => ({
+        id,
+        description,
+        enabled: !settings.disabledRules.includes(id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change thresholds; flags are re-evaluated straight away
+router.put('/settings', authorize(...ROLES.manage), validate(schemas.atRiskSettings), async (req, res, next) => {
+  try {
+    const { consecutiveMisses, minSubmissionRate, inactiveAfterWeek, disabledRules } = req.body;
+    const settings = await RiskSettings.findOneAndUpdate(
+      { key: 'default' },
+      {
+        $set: Object.fromEntries(Object.entries({
+          consecutiveMisses, minSubmissionRate, inactiveAfterWeek, disabledRules, updatedBy: req.user.username
+        }).filter(([, value]) => value !== undefined))
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const refresh = await refreshRiskFlags();
+    res.json({ settings, refresh });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Re-run the rules now, for one course (?courseId=) or everyone
+router.post('/evaluate', authorize(...ROLES.manage), validate(schemas.atRiskEvaluate), async (req, res, next) => {
+  try {
+    const courseId = req.body.courseId || req.query.courseId;
+    const refresh = await refreshRiskFlags({ courseId });
+    res.json(refresh);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const XLSX = require('xlsx');
+const Student = require('../../models/Student');
+const ImportSession = require('../../models/ImportSession');
+const MappingProfile = require('../../models/MappingProfile');
+const logger = require('../../utils/logger');
+const { validateEnrollmentRows } = require('../../utils/enrollmentImport');
+const { enqueueImport } = require('../../jobs/importQueue');
+const { summarizeUnmapped } = require('../../utils/referenceData');
+const { REQUIRED_FIELDS, detectMapping, resolveColumns, mapRow } = require('../../utils/columnMapping');
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { AppError } = require('../../utils/errors');
+const { normalizeScope, studentFilter } = require('../../utils/scope');
+const { requestConfirmation, checkConfirmation } = require('../../utils/confirmation');
+const { archiveStudents } = require('../../utils/archive');
+const { refreshSummariesQuietly } = require('../../utils/statistics');
+const schemas = require('../../schemas/student');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Validate an enrollment workbook and store it as a pending import session
+router.post('/', authorize(...ROLES.manage), upload.single('file'), validate(schemas.bulkUpload), async (req, res, next) => {
+  try {
+    logger.bulkUpload('Starting bulk upload validation...');
+    if (!req.file) {
+      logger.error('No file received in request');
+      throw new AppError(400, 'Please upload an Excel file');
+    }
+    
+    logger.bulkUpload(`File received: ${req.file.originalname}, size: ${req.file.size} bytes`);
+
+    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+    const sheetName = workbook.SheetNames[0];
+    const sheet = workbook.Sheets[sheetName];
+    const sheetRows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true });
+    const headers = (sheetRows[0] || []).map(h => String(h).trim());
+
+    const mapping = await MappingProfile.forUpload('enrollment', req.body.profile, headers);
+    if (!mapping) {
+      throw new AppError(404, `Mapping profile "${req.body.profile}" not found`);
+    }
+
+    const { columns, missing } = resolveColumns(mapping.mappings, headers);
+    const missingRequired = REQUIRED_FIELDS.enrollment.filter(field => columns[field] === undefined);
+    if (missingRequired.length > 0) {
+      logger.error('Required columns not found in Excel:', missing);
+      throw new AppError(400, `Required columns not found: ${missingRequired.join(', ')}`, {
+        code: 'MISSING_COLUMNS',
+        details: {
+          profile: mapping.profile,
+          headers,
+          missing,
+          suggestion: detectMapping('enrollment', headers)
+        }
+      });
+    }
+
+    // Keep spreadsheet row numbers (header is row 1) while skipping blank rows
+    const data = sheetRows.slice(1)
+      .map((cells, index) => ({ rowNumber: index + 2, cells }))
+      .filter(({ cells }) => cells.some(cell => String(cell).trim()))
+      .map(({ rowNumber, cells }) => ({ rowNumber, data: mapRow(columns, cells) }));
+    logger.bulkUpload(`Total rows in Excel: ${data.length} (mapping profile: ${mapping.profile})`);
+
+    const registerCourses = Boolean(req.body.registerCourses);
+    const rows = await validateEnrollmentRows(data, { registerCourses });
+    const accepted = rows.filter(r => r.status === 'accepted').length;
+
+    const session = await ImportSession.create({
+      kind: 'enrollment',
+      filename: req.file.originalname,
+      sheetName,
+      mapping: { profile: mapping.profile, columns },
+      options: { registerCourses },
+      summary: {
+        total: rows.length,
+        accepted,
+        rejected: rows.length - accepted
+      },
+      unmapped: summarizeUnmapped(rows),
+      rows
+    });
+
+    logger.bulkUpload(`Import session ${session._id}: ${accepted} accepted, ${rows.length - accepted} rejected`);
+
+    res.status(201).json({
+      message: `Validated ${rows.length} rows. Commit the session to apply the accepted rows.`,
+      sessionId: session._id,
+      mapping: session.mapping,
+      unmappedColumns: missing,
+      summary: session.summary,
+      unmappedValues: session.unmapped,
+      rows: session.rows
+    });
+  } catch (error) {
+    logger.error('Fatal error in bulk upload:', error);
+    next(error);
+  }
+});
+
+// List enrollment import sessions
+router.get('/sessions', authorize(...ROLES.reports), validate(schemas.sessions), async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const sessions = await ImportSession.find(query)
+      .select('-rows')
+      .sort({ createdAt: -1 });
+    res.json(sessions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get an import session with its per-row validation results
+router.get('/sessions/:sessionId', authorize(...ROLES.reports), validate(schemas.session), async (req, res, next) => {
+  try {
+    const session = await ImportSession.findById(req.params.sessionId);
+    if (!session) throw new AppError(404, 'Import session not found');
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Queue the accepted rows of a pending import session to be applied
+router.post('/sessions/:sessionId/commit', authorize(...ROLES.manage), validate(schemas.session), async (req, res, next) => {
+  try {
+    const claimed = await ImportSession.findOneAndUpdate(
+      { _id: req.params.sessionId, status: 'pending' },
+      { $set: { status: 'committing' } }
+    ).select('filename summary');
+    if (!claimed) {
+      const session = await ImportSession.findById(req.params.sessionId).select('status');
+      if (!session) throw new AppError(404, 'Import session not found');
+      throw new AppError(409, `Import session is already ${session.status}`);
+    }
+
+    // Large sessions take a while, so the commit runs as a background job (see /api/import-jobs)
+    const job = await enqueueImport({
+      kind: 'enrollment-commit',
+      createdBy: req.user.username,
+      session: claimed._id,
+      filename: claimed.filename,
+      progress: { total: claimed.summary.accepted }
+    });
+    await ImportSession.updateOne({ _id: claimed._id }, { $set: { job: job._id } });
+
+    res.status(202).json({
+      message: `Committing ${claimed.summary.accepted} of ${claimed.summary.total} rows in the background`,
+      sessionId: claimed._id,
+      jobId: job._id,
+      status: job.status
+    });
+  } catch (error) {
+    logger.error('Fatal error committing import session:', error);
+    next(error);
+  }
+});
+
+// Archive students, all of them or only those in a course, semester run, branch or year.
+// The first call reports how many would be archived with a confirmToken; sending it back as
+// confirm archives them as one batch, restorable through /api/score-batches/:id/rollback.
+router.delete('/', authorize(...ROLES.destructive), validate(schemas.archiveStudents), async (req, res, next) => {
+  try {
+    const { confirm: token, ...input } = req.query;
+    const scope = normalizeScope(input);
+    const confirmation = {
+      operation: 'archive',
+      scope,
+      affected: { students: await Student.countDocuments(studentFilter(scope)) },
+      user: req.user.username
+    };
+
+    if (!token) return res.json(requestConfirmation(confirmation));
+    checkConfirmation(token, confirmation);
+
+    logger.bulkUpload(`Starting bulk archive for ${JSON.stringify(scope)}...`);
+    const { batch, result } = await archiveStudents({ scope, archivedBy: req.user.username });
+
+    logger.bulkUpload(`Bulk archive completed. Archived ${result.modifiedCount} students`);
+    refreshSummariesQuietly();
+
+    res.json({
+      message: 'Bulk archive successful',
+      batchId: batch._id,
+      scope,
+      archivedCount: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error('Fatal error in bulk archive:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../../models/Student');
+const Course = require('../../models/Course');
+const logger = require('../../utils/logger');
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const schemas = require('../../schemas/student');
+const { isExport, sendExport } = require('../../utils/exporter');
+const { summaryRows, branchSheets, branchCounts } = require('../../utils/reports');
+const { loadStatistics } = require('../../utils/statistics');
+const { weekNumber, resultStatus } = require('../../utils/week');
+
+// Enrollments and submissions for every course, grouped by run and branch, from one aggregation
+// (or its stored summary when STATS_SUMMARIES_ENABLED=true; fresh=true recomputes)
+router.get('/stats', authorize(...ROLES.reports), validate(schemas.report), async (req, res, next) => {
+  try {
+    logger.general('Fetching course statistics...');
+
+    const { data, refreshedAt } = await loadStatistics('course-stats', { fresh: req.query.fresh });
+    const { courses: courseStats, submissionSummary } = data;
+
+    if (isExport(req)) {
+      const weeks = [...new Set(courseStats.flatMap(c => Object.keys(c.submissionsByWeek)))]
+        .sort((a, b) => weekNumber(a) - weekNumber(b));
+
+      return sendExport(req, res, {
+        filename: 'course-stats',
+        sheets: [
+          {
+            name: 'Summary',
+            rows: summaryRows({
+              'Total Courses': courseStats.length,
+              'Total Enrollments': submissionSummary.totalStudents,
+              'Students With Submissions': submissionSummary.submitted,
+              'Students Without Submissions': submissionSummary.unsubmitted,
+              Generated: new Date(refreshedAt).toISOString()
+            })
+          },
+          {
+            name: 'Courses',
+            rows: courseStats.map(c => ({
+              'Course Id': c.courseId,
+              Title: c.title,
+              Run: c.type,
+              Branch: c.branch,
+              Enrolled: c.totalEnrollments,
+              'With Submissions': c.submissionStats.submittedCount,
+              'Without Submissions': c.submissionStats.unsubmittedCount
+            }))
+          },
+          {
+            name: 'Submission Matrix',
+            columns: ['Course Id', 'Title', 'Enrolled', ...weeks],
+            rows: courseStats.map(c => ({
+              'Course Id': c.courseId,
+              Title: c.title,
+              Enrolled: c.totalEnrollments,
+              ...Object.fromEntries(weeks.map(week => [week, c.submissionsByWeek[week] || 0]))
+            }))
+          }
+        ]
+      });
+    }
+
+    res.json({ ...data, refreshedAt });
+
+  } catch (error) {
+    logger.error('Error fetching course statistics:', error);
+    next(error);
+  }
+});
+
+// Get students who haven't submitted assignments for a course
+router.get('/:courseId/unsubmitted', authorize(...ROLES.read), validate(schemas.courseUnsubmitted), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { week } = req.query;
+
+    logger.general(`Fetching unsubmitted students for course ${courseId}, week ${week}`);
+
+    const course = await Course.findOne({ courseId: courseId.toLowerCase() }).lean();
+    const assignment = course?.assignments?.find(a => a.week === `Week ${week} Assignment`);
+
+    // Only active enrollments, as for the reminder emails
+    const enrollmentMatch = { courseId: courseId.toLowerCase(), status: 'active' };
+    if (req.user.role === 'mentor') enrollmentMatch.mentor = req.user.faculty?._id ?? null;
+
+    const allStudents = await Student.find({
+      courses: { $elemMatch: enrollmentMatch }
+    }).select('name rollNumber email branch year courses.$');
+
+    const unsubmittedStudents = allStudents.filter(student => {
+      const course = student.courses[0];
+      const weekResult = course.results?.find(r => r.week === `Week ${week} Assignment`);
+      return resultStatus(weekResult) === 'not-submitted';
+    });
+
+    const studentsByBranch = unsubmittedStudents.reduce((acc, student) => {
+      if (!acc[student.branch]) acc[student.branch] = [];
+      acc[student.branch].push({
+        name: student.name,
+        rollNumber: student.rollNumber,
+        email: student.email,
+        year: student.year
+      });
+      return acc;
+    }, {});
+
+    // No rate without anyone enrolled
+    const submissionRate = allStudents.length > 0
+      ? ((allStudents.length - unsubmittedStudents.length) / allStudents.length * 100).toFixed(2)
+      : null;
+
+    if (isExport(req)) {
+      const sheets = branchSheets(unsubmittedStudents.map(student => ({
+        name: student.name,
+        rollNumber: student.rollNumber,
+        email: student.email,
+        branch: student.branch,
+        year: student.year,
+        mentor: student.courses[0]?.subjectMentor
+      })));
+      return sendExport(req, res, {
+        filename: `unsubmitted-${courseId.toLowerCase()}-week-${week}`,
+        sheets: [
+          {
+            name: 'Summary',
+            rows: summaryRows({
+              'Course Id': courseId.toLowerCase(),
+              Course: course?.title,
+              Week: `Week ${week}`,
+              'Due Date': assignment?.dueDate && new Date(assignment.dueDate).toDateString(),
+              Enrolled: allStudents.length,
+              'Not Submitted': unsubmittedStudents.length,
+              'Submission Rate (%)': submissionRate,
+              ...branchCounts(sheets),
+              Generated: new Date().toISOString()
+            })
+          },
+          ...sheets
+        ]
+      });
+    }
+
+    res.json({
+      courseId,
+      course: course ? {
+        title: course.title,
+        run: course.run,
+        discipline: course.discipline,
+        dueDate: assignment?.dueDate
+      } : null,
+      week: `Week ${week}`,
+      stats: {
+        totalEnrolled: allStudents.length,
+        totalUnsubmitted: unsubmittedStudents.length,
+        submissionRate,
+        byBranch: Object.entries(studentsByBranch).map(([branch, students]) => ({
+          branch,
+          count: students.length,
+          students
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching unsubmitted students for course ${req.params.courseId}:`, error);
+    next(error);
+  }
+});
+
+module.exports = router;
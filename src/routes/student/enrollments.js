@@ -0,0 +1,205 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Student = require('../../models/Student');
+const Course = require('../../models/Course');
+const Faculty = require('../../models/Faculty');
+const logger = require('../../utils/logger');
+const { authorize, mentorScope, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { AppError } = require('../../utils/errors');
+const { escapeRegex } = require('../../utils/listQuery');
+const { refreshRiskFlagsQuietly } = require('../../utils/atRisk');
+const schemas = require('../../schemas/student');
+
+// The student named in the path, limited to a mentor's own mentees
+const loadStudent = async (req) => {
+  const student = await Student.findOne({ _id: req.params.id, ...mentorScope(req) });
+  if (!student) throw new AppError(404, 'Student not found');
+  return student;
+};
+
+// The student's enrollment for :courseId; mentors may only touch the ones they mentor
+const loadEnrollment = (req, student) => {
+  const enrollment = student.findCourse(req.params.courseId);
+  if (!enrollment) throw new AppError(404, `Student is not enrolled in ${req.params.courseId}`);
+  if (req.user.role === 'mentor' && String(enrollment.mentor) !== String(req.user.faculty?._id)) {
+    throw new AppError(403, 'Mentors can only change enrollments they mentor');
+  }
+  return enrollment;
+};
+
+const loadCourse = async (courseId, field) => {
+  const course = await Course.findOne({ courseId }).populate('mentor', 'name');
+  if (!course) {
+    throw new AppError(404, `Course ${courseId} is not registered`, {
+      fields: [{ field, message: 'is not a registered course' }]
+    });
+  }
+  return course;
+};
+
+// Mentor reference and sheet name for an enrollment: the one asked for, else the course's
+const resolveMentor = async (mentorId, course) => {
+  if (mentorId) {
+    const faculty = await Faculty.findById(mentorId).select('name');
+    if (!faculty) {
+      throw new AppError(404, 'Faculty not found', { fields: [{ field: 'mentor', message: 'is not a faculty member' }] });
+    }
+    return { mentor: faculty._id, subjectMentor: faculty.name };
+  }
+  return { mentor: course?.mentor?._id, subjectMentor: course?.mentor?.name };
+};
+
+// Enroll a student again after a drop or transfer, or for the first time
+const enrollIn = (student, course, mentor, { by, note }) => {
+  const existing = student.findCourse(course.courseId);
+  if (existing && ['active', 'completed'].includes(existing.status)) {
+    throw new AppError(409, `Student is already enrolled in ${course.courseId}`, {
+      details: { status: existing.status }
+    });
+  }
+  if (existing) {
+    Object.assign(existing, mentor);
+    return student.updateCourseStatus(course.courseId, 'active', { by, note: note || 'Re-enrolled' });
+  }
+  // The check above only saw the loaded copy; the save is guarded so a concurrent request cannot add
+  // the course as well
+  student.$where = { 'courses.courseId': { $not: new RegExp(`^${escapeRegex(course.courseId)}$`, 'i') } };
+  return student.addCourse({
+    course: course._id,
+    courseId: course.courseId,
+    courseName: course.title,
+    ...mentor
+  }, { by, note });
+};
+
+// Enrollments are saved without re-validating untouched legacy entries
+const saveEnrollments = async (student) => {
+  try {
+    await student.save({ validateModifiedOnly: true });
+  } catch (error) {
+    // A guarded save that matched nothing fails as a version error when it bumped the version
+    const missed = error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError;
+    if (missed && student.$where) {
+      throw new AppError(409, 'Student was enrolled in the course by another request');
+    }
+    throw error;
+  }
+  refreshRiskFlagsQuietly({ studentIds: [student._id] });
+};
+
+const withoutResults = (enrollment) => {
+  const { results, ...rest } = enrollment.toObject();
+  return { ...rest, weeksRecorded: results.length };
+};
+
+// List a student's enrollments with their status history
+router.get('/', authorize(...ROLES.read), async (req, res, next) => {
+  try {
+    const student = await loadStudent(req);
+    res.json(student.courses.map(withoutResults));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Enroll in a registered course
+router.post('/', authorize(...ROLES.manage), validate(schemas.enroll), async (req, res, next) => {
+  try {
+    const student = await loadStudent(req);
+    const course = await loadCourse(req.body.courseId, 'courseId');
+    const mentor = await resolveMentor(req.body.mentor, course);
+
+    const enrollment = enrollIn(student, course, mentor, { by: req.user.username, note: req.body.note });
+    await saveEnrollments(student);
+
+    logger.general(`Enrolled ${student.rollNumber} in ${course.courseId}`);
+    res.status(201).json(withoutResults(enrollment));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark an active enrollment dropped or completed
+const statusRoute = (status, label) => async (req, res, next) => {
+  try {
+    const student = await loadStudent(req);
+    const enrollment = loadEnrollment(req, student);
+    if (enrollment.status !== 'active') {
+      throw new AppError(409, `Only active enrollments can be ${label}; this one is ${enrollment.status}`);
+    }
+
+    student.updateCourseStatus(enrollment.courseId, status, { by: req.user.username, note: req.body.note });
+    await saveEnrollments(student);
+
+    logger.general(`Marked ${student.rollNumber}'s ${enrollment.courseId} enrollment ${status}`);
+    res.json(withoutResults(enrollment));
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:courseId/drop', authorize(...ROLES.edit), validate(schemas.enrollmentStatus), statusRoute('dropped', 'dropped'));
+
+router.post('/:courseId/complete', authorize(...ROLES.edit), validate(schemas.enrollmentStatus), statusRoute('completed', 'completed'));
+
+// Change (or clear, with mentor: null) the mentor of an enrollment
+router.put('/:courseId/mentor', authorize(...ROLES.manage), validate(schemas.enrollmentMentor), async (req, res, next) => {
+  try {
+    if (!('mentor' in req.body)) {
+      throw new AppError(400, 'Request is not valid', {
+        code: 'VALIDATION_FAILED',
+        fields: [{ field: 'mentor', message: 'is required (null clears it)' }]
+      });
+    }
+
+    const student = await loadStudent(req);
+    const enrollment = loadEnrollment(req, student);
+    const mentor = req.body.mentor
+      ? await resolveMentor(req.body.mentor)
+      : { mentor: undefined, subjectMentor: undefined };
+
+    enrollment.mentor = mentor.mentor;
+    enrollment.subjectMentor = mentor.subjectMentor;
+    await saveEnrollments(student);
+
+    logger.general(`Set mentor of ${student.rollNumber}'s ${enrollment.courseId} enrollment to ${mentor.subjectMentor || 'none'}`);
+    res.json(withoutResults(enrollment));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move an active enrollment to another course; the old one is kept as "transferred"
+router.post('/:courseId/transfer', authorize(...ROLES.manage), validate(schemas.transfer), async (req, res, next) => {
+  try {
+    const { toCourseId, note } = req.body;
+    const student = await loadStudent(req);
+    const from = loadEnrollment(req, student);
+    if (from.status !== 'active') {
+      throw new AppError(409, `Only active enrollments can be transferred; this one is ${from.status}`);
+    }
+    if (from.courseId.toLowerCase() === toCourseId) {
+      throw new AppError(400, 'Request is not valid', {
+        code: 'VALIDATION_FAILED',
+        fields: [{ field: 'toCourseId', message: 'must be a different course' }]
+      });
+    }
+
+    const course = await loadCourse(toCourseId, 'toCourseId');
+    const mentor = await resolveMentor(req.body.mentor, course);
+    const by = req.user.username;
+
+    const to = enrollIn(student, course, mentor, { by, note: note || `Transferred from ${from.courseId}` });
+    student.updateCourseStatus(from.courseId, 'transferred', { by, note: note || `Transferred to ${course.courseId}` });
+    await saveEnrollments(student);
+
+    logger.general(`Transferred ${student.rollNumber} from ${from.courseId} to ${course.courseId}`);
+    res.json({ from: withoutResults(from), to: withoutResults(to) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
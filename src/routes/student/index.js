@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../../models/Student');
+const Course = require('../../models/Course');
+const RiskFlag = require('../../models/RiskFlag');
+const { authorize, mentorScope, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { AppError } = require('../../utils/errors');
+const schemas = require('../../schemas/student');
+const { courseProgress } = require('../../utils/progress');
+const { loadCourseWeeks } = require('../../utils/mentees');
+const { searchFilter, parseListQuery, paginate } = require('../../utils/listQuery');
+const { refreshRiskFlagsQuietly } = require('../../utils/atRisk');
+const bulkRoutes = require('./bulk');
+const scoreRoutes = require('./scores');
+const reportRoutes = require('./reports');
+const courseRoutes = require('./courses');
+const atRiskRoutes = require('./atRisk');
+const enrollmentRoutes = require('./enrollments');
+const maintenanceRoutes = require('./maintenance');
+const analyticsRoutes = require('./analytics');
+
+// Student ids are ObjectIds, so /:id never captures the named routes below
+const BY_ID = '/:id([0-9a-fA-F]{24})';
+
+// Named paths are mounted before the per-student routes
+router.use('/bulk', bulkRoutes);
+router.use('/at-risk', atRiskRoutes);
+router.use('/courses', courseRoutes);
+router.use('/maintenance', maintenanceRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use(reportRoutes);
+router.use(scoreRoutes);
+router.use(`${BY_ID}/courses`, enrollmentRoutes);
+
+// Create new student
+router.post('/', authorize(...ROLES.manage), validate(schemas.create), async (req, res, next) => {
+  try {
+    const { courses = [], ...profile } = req.body;
+    const student = new Student(profile);
+    courses.forEach((enrollment, i) => {
+      if (!student.addCourse(enrollment, { by: req.user.username })) {
+        throw new AppError(400, 'Request is not valid', {
+          code: 'VALIDATION_FAILED',
+          fields: [{ field: `courses.${i}.courseId`, message: 'is listed more than once' }]
+        });
+      }
+    });
+    await student.save();
+    res.status(201).json(student);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List students a page at a time.
+// Filters: branch, year, courseId, mentor (faculty id), status (enrollment status), search (name, roll number or email).
+// Paging: page & limit, or cursor from the previous nextCursor. sort=rollNumber|-year|..., fields=name,email,...
+// Weekly results are left out unless fields asks for them. archived=true lists archived students instead.
+router.get('/', authorize(...ROLES.read), validate(schemas.list), async (req, res, next) => {
+  try {
+    const { branch, year, courseId, mentor, status, search, archived } = req.query;
+    const options = parseListQuery(req.query, {
+      sortable: ['rollNumber', 'name', 'email', 'branch', 'year', 'createdAt', 'updatedAt'],
+      selectable: ['rollNumber', 'name', 'email', 'branch', 'year', 'courses', 'archivedAt', 'archivedBy', 'createdAt', 'updatedAt'],
+      defaultSort: 'rollNumber',
+      defaultFields: '-courses.results',
+      dateFields: ['createdAt', 'updatedAt']
+    });
+
+    const filter = { ...mentorScope(req), ...searchFilter(search, ['name', 'rollNumber', 'email']) };
+    if (branch) filter.branch = branch;
+    if (year) filter.year = year;
+    if (archived) filter.archivedAt = { $ne: null };
+
+    // Course, mentor and status have to hold for the same enrollment
+    const enrollment = {};
+    if (courseId) enrollment.courseId = courseId.toLowerCase();
+    if (mentor) enrollment.mentor = mentor;
+    if (status) enrollment.status = status;
+    if (req.user.role === 'mentor') {
+      delete filter['courses.mentor'];
+      enrollment.mentor = req.user.faculty?._id ?? null;
+    }
+    if (Object.keys(enrollment).length > 0) filter.courses = { $elemMatch: enrollment };
+
+    const { meta, docs } = await paginate(Student, filter, options);
+    res.json({ ...meta, students: docs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get student by ID
+router.get(BY_ID, authorize(...ROLES.read), async (req, res, next) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...mentorScope(req) });
+    if (!student) throw new AppError(404, 'Student not found');
+    res.json(student);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// NPTEL progress per enrolled course: best-N assignment score, exam eligibility,
+// and a projected final score when an exam mark is given
+// (?examScore=72 for every course, or ?exam[noc25-cs52]=72 per course)
+router.get(`${BY_ID}/progress`, authorize(...ROLES.read), validate(schemas.progress), async (req, res, next) => {
+  try {
+    const examScores = req.query.exam || {};
+    const badScores = Object.entries(examScores)
+      .filter(([, value]) => Number.isNaN(Number(value)) || Number(value) < 0 || Number(value) > 100);
+    if (badScores.length > 0) {
+      throw new AppError(400, 'Request is not valid', {
+        code: 'VALIDATION_FAILED',
+        fields: badScores.map(([courseId]) => ({ field: `exam.${courseId}`, message: 'must be a number from 0 to 100' }))
+      });
+    }
+
+    const student = await Student.findOne({ _id: req.params.id, ...mentorScope(req) }).lean();
+    if (!student) throw new AppError(404, 'Student not found');
+
+    let enrollments = student.courses || [];
+    if (req.user.role === 'mentor') {
+      const facultyId = String(req.user.faculty?._id);
+      enrollments = enrollments.filter(e => String(e.mentor) === facultyId);
+    }
+    if (req.query.courseId) {
+      enrollments = enrollments.filter(e => e.courseId?.toLowerCase() === req.query.courseId);
+    }
+
+    const examScoreFor = (courseId) => {
+      const value = examScores[courseId] ?? examScores[courseId?.toLowerCase()] ?? req.query.examScore;
+      return value === undefined || value === '' ? undefined : parseFloat(value);
+    };
+
+    const courseIds = [...new Set(enrollments.map(e => e.courseId?.toLowerCase()).filter(Boolean))];
+    const courses = await Course.find({ courseId: { $in: courseIds } }).lean();
+    const coursesById = new Map(courses.map(c => [c.courseId, c]));
+    const weeksById = await loadCourseWeeks(courseIds, coursesById);
+
+    res.json({
+      student: {
+        _id: student._id,
+        rollNumber: student.rollNumber,
+        name: student.name,
+        branch: student.branch,
+        year: student.year
+      },
+      courses: enrollments.map(e => courseProgress(
+        e,
+        coursesById.get(e.courseId?.toLowerCase()),
+        { examScore: examScoreFor(e.courseId), ...weeksById.get(e.courseId?.toLowerCase()) }
+      ))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update student
+router.put(BY_ID, authorize(...ROLES.edit), validate(schemas.update), async (req, res, next) => {
+  try {
+    const student = await Student.findOneAndUpdate(
+      { _id: req.params.id, ...mentorScope(req) },
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!student) throw new AppError(404, 'Student not found');
+    res.json(student);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Archive a student; the record is kept and can be restored
+router.delete(BY_ID, authorize(...ROLES.destructive), async (req, res, next) => {
+  try {
+    const student = await Student.findOneAndUpdate(
+      { _id: req.params.id },
+      { $set: { archivedAt: new Date(), archivedBy: req.user.username } },
+      { new: true }
+    );
+    if (!student) throw new AppError(404, 'Student not found');
+    await RiskFlag.updateMany({ student: student._id, clearedAt: null }, { $set: { clearedAt: student.archivedAt } });
+    res.json({ message: 'Student archived successfully', archivedAt: student.archivedAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore an archived student
+router.post(`${BY_ID}/restore`, authorize(...ROLES.destructive), async (req, res, next) => {
+  try {
+    const student = await Student.findOneAndUpdate(
+      { _id: req.params.id, archivedAt: { $ne: null } },
+      { $set: { archivedAt: null }, $unset: { archivedBy: 1, archiveBatch: 1 } },
+      { new: true }
+    );
+    if (!student) throw new AppError(404, 'Archived student not found');
+    refreshRiskFlagsQuietly({ studentIds: [student._id] });
+    res.json({ message: 'Student restored successfully', student });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
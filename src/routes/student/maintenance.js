@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const schemas = require('../../schemas/student');
+const { findDuplicates, mergeDuplicates } = require('../../utils/studentDedupe');
+const { requestConfirmation, checkConfirmation } = require('../../utils/confirmation');
+const logger = require('../../utils/logger');
+
+// Duplicate students (roll numbers differing only in case), duplicate enrollments in one course,
+// and emails shared by different roll numbers
+router.get('/duplicates', authorize(...ROLES.manage), async (req, res, next) => {
+  try {
+    const found = await findDuplicates();
+    res.json({
+      counts: {
+        students: found.students.length,
+        enrollments: found.enrollments.length,
+        sharedEmails: found.sharedEmails.length
+      },
+      ...found
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merge duplicate students and enrollments; shared emails are only reported.
+// dryRun: true returns what would be merged without writing anything. Otherwise the first call
+// returns the counts with a confirmToken; sending it back as confirm merges them as one batch,
+// restorable through /api/score-batches/:id/rollback.
+router.post('/duplicates/merge', authorize(...ROLES.destructive), validate(schemas.mergeDuplicates), async (req, res, next) => {
+  try {
+    if (req.body.dryRun) return res.json(await mergeDuplicates({ dryRun: true }));
+
+    const found = await findDuplicates();
+    const confirmation = {
+      operation: 'merge-duplicates',
+      scope: {},
+      affected: { students: found.students.length, enrollments: found.enrollments.length },
+      user: req.user.username
+    };
+    if (!req.body.confirm) return res.json({ ...requestConfirmation(confirmation), ...found });
+    checkConfirmation(req.body.confirm, confirmation);
+
+    const result = await mergeDuplicates({ mergedBy: req.user.username });
+    logger.general(`Duplicate merge by ${req.user.username}: ${result.students.length} students, ${result.enrollments.length} enrollments`);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
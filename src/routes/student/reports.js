@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../../models/Student');
+const logger = require('../../utils/logger');
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const schemas = require('../../schemas/student');
+const { isExport, sendExport } = require('../../utils/exporter');
+const { summaryRows, branchSheets, branchCounts } = require('../../utils/reports');
+const { loadStatistics } = require('../../utils/statistics');
+const { standardizeWeekFormat, weekNumber } = require('../../utils/week');
+
+// Get students who haven't submitted assignments
+router.get('/unsubmitted', authorize(...ROLES.read), validate(schemas.unsubmitted), async (req, res, next) => {
+  try {
+    const { week, courseId, year, branch, facultyName } = req.query;
+
+    logger.general(`Fetching unsubmitted students with filters - courseId: ${courseId}, week: ${week}, year: ${year}, branch: ${branch}, faculty: ${facultyName}`);
+
+    // Same active enrollment must match the course, mentor and a not-submitted result for the week;
+    // results without a status predate it and used a zero score for "not submitted"
+    const enrollmentMatch = {
+      courseId: courseId.toLowerCase(),
+      status: 'active',
+      results: {
+        $elemMatch: {
+          week: standardizeWeekFormat(week),
+          $or: [
+            { status: 'not-submitted' },
+            { status: { $exists: false }, score: 0 }
+          ]
+        }
+      }
+    };
+    // Mentors only ever see their own mentees
+    if (req.user.role === 'mentor') enrollmentMatch.mentor = req.user.faculty?._id ?? null;
+    else if (facultyName) enrollmentMatch.subjectMentor = facultyName;
+
+    const query = { courses: { $elemMatch: enrollmentMatch } };
+
+    if (year) query.year = year;
+    if (branch) query.branch = branch;
+
+    logger.general(`Executing query: ${JSON.stringify(query)}`);
+
+    const unsubmittedStudents = await Student.find(query)
+      .select('name rollNumber email branch year courses.$')
+      .lean();
+
+    logger.general(`Found ${unsubmittedStudents.length} unsubmitted students`);
+
+    if (isExport(req)) {
+      const sheets = branchSheets(unsubmittedStudents.map(student => ({
+        ...student,
+        mentor: student.courses[0]?.subjectMentor
+      })));
+      return sendExport(req, res, {
+        filename: `unsubmitted-${courseId.toLowerCase()}-${standardizeWeekFormat(week).replace(/\s+/g, '-').toLowerCase()}`,
+        sheets: [
+          {
+            name: 'Summary',
+            rows: summaryRows({
+              'Course Id': courseId.toLowerCase(),
+              Week: standardizeWeekFormat(week),
+              Year: year,
+              Branch: branch,
+              Mentor: facultyName,
+              'Not Submitted': unsubmittedStudents.length,
+              ...branchCounts(sheets),
+              Generated: new Date().toISOString()
+            })
+          },
+          ...sheets
+        ]
+      });
+    }
+
+    res.json({
+      count: unsubmittedStudents.length,
+      students: unsubmittedStudents
+    });
+  } catch (error) {
+    logger.error('Error in fetching unsubmitted students:', error);
+    next(error);
+  }
+});
+
+// Students, submissions and weekly statuses per course, branch and week, from one aggregation
+// (or its stored summary when STATS_SUMMARIES_ENABLED=true; fresh=true recomputes)
+router.get('/upload-statistics', authorize(...ROLES.reports), validate(schemas.report), async (req, res, next) => {
+  try {
+    const { data: statistics, refreshedAt } = await loadStatistics('upload-statistics', { fresh: req.query.fresh });
+    logger.general(`Upload statistics: ${statistics.totalStudents} students, ${statistics.totalSubmissions} submissions`);
+
+    if (isExport(req)) {
+      const weeks = Object.keys(statistics.weekStats).sort((a, b) => weekNumber(a) - weekNumber(b));
+      const branches = Object.keys(statistics.branchStats).sort();
+
+      return sendExport(req, res, {
+        filename: 'upload-statistics',
+        sheets: [
+          {
+            name: 'Summary',
+            rows: summaryRows({
+              'Total Students': statistics.totalStudents,
+              'Total Submissions': statistics.totalSubmissions,
+              Courses: Object.keys(statistics.courseStats).length,
+              Generated: new Date(refreshedAt).toISOString()
+            })
+          },
+          {
+            name: 'Courses',
+            rows: Object.entries(statistics.courseStats).map(([courseId, stats]) => ({
+              'Course Id': courseId,
+              Branch: stats.branch,
+              Enrolled: stats.totalStudents,
+              'With Submissions': stats.studentsWithScores,
+              Submissions: stats.totalSubmissions
+            }))
+          },
+          {
+            name: 'Branches',
+            rows: branches.map(branch => ({
+              Branch: branch,
+              Enrolled: statistics.branchStats[branch].totalStudents,
+              'With Submissions': statistics.branchStats[branch].studentsWithScores,
+              Submissions: statistics.branchStats[branch].totalSubmissions
+            }))
+          },
+          {
+            name: 'Weeks',
+            columns: ['Week', 'Submissions', ...branches],
+            rows: weeks.map(week => ({
+              Week: week,
+              Submissions: statistics.weekStats[week].totalStudents,
+              ...Object.fromEntries(branches.map(branch => [branch, statistics.weekStats[week].byBranch[branch]?.students || 0]))
+            }))
+          }
+        ]
+      });
+    }
+
+    res.json({ ...statistics, refreshedAt });
+
+  } catch (error) {
+    logger.error('Error calculating statistics:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Course = require('../../models/Course');
+const Semester = require('../../models/Semester');
+const ScoreBatch = require('../../models/ScoreBatch');
+const MappingProfile = require('../../models/MappingProfile');
+const logger = require('../../utils/logger');
+const { interpretScoreFile } = require('../../utils/courseFilename');
+const { detectMapping, resolveColumns, mapRow } = require('../../utils/columnMapping');
+const { readScoreFile } = require('../../utils/scoreFile');
+const { planReset, resetCounts, resetWithSnapshot } = require('../../utils/scoreHistory');
+const { enqueueImport } = require('../../jobs/importQueue');
+const { SCORE_CHUNK_SIZE } = require('../../utils/scoreImport');
+const { loadMatchIndex, matchStudent } = require('../../utils/studentMatch');
+const { normalizeScope } = require('../../utils/scope');
+const { requestConfirmation, checkConfirmation } = require('../../utils/confirmation');
+const { authorize, ROLES } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { AppError } = require('../../utils/errors');
+const schemas = require('../../schemas/student');
+const { refreshRiskFlagsQuietly } = require('../../utils/atRisk');
+const { refreshSummariesQuietly } = require('../../utils/statistics');
+const { standardizeWeekFormat } = require('../../utils/week');
+
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Update week scores from a CSV or XLSX mentee report
+router.post('/updateweekscore', authorize(...ROLES.manage), upload.single('file'), validate(schemas.updateWeekScore), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      logger.error('No file received');
+      throw new AppError(400, 'Please upload a CSV or XLSX file');
+    }
+
+    const filename = req.file.originalname;
+    logger.general('Processing file:', filename);
+
+    // Work out the course from the form field or the filename
+    const [semesters, activeSemester] = await Promise.all([
+      Semester.find().lean(),
+      Semester.getActive()
+    ]);
+    const interpretation = interpretScoreFile({
+      filename,
+      courseId: req.body.courseId,
+      semesters,
+      activeSemester
+    });
+    const dryRun = Boolean(req.body.dryRun ?? req.query.dryRun);
+    const { conflictPolicy } = req.body;
+
+    if (interpretation.error) {
+      logger.error('Could not extract course info:', interpretation);
+      throw new AppError(400, interpretation.error, {
+        code: 'UNRECOGNIZED_COURSE',
+        fields: [{ field: 'courseId', message: interpretation.error }],
+        details: { filename, interpretation }
+      });
+    }
+
+    const { courseId } = interpretation;
+    logger.general('Processing for course:', courseId);
+
+    const course = await Course.findOne({ courseId }).populate('mentor', 'name');
+    if (!course && !dryRun) {
+      logger.error('Course not registered:', courseId);
+      throw new AppError(404, `Course ${courseId} is not registered. Create it under /api/courses first.`, {
+        code: 'COURSE_NOT_REGISTERED',
+        details: { courseId, interpretation }
+      });
+    }
+
+    const scoreFile = await readScoreFile(req.file);
+    const { headers, rows } = scoreFile;
+
+    if (rows.length === 0) {
+      logger.error('Score file is empty or malformed');
+      throw new AppError(400, 'Score file is empty or malformed', { details: { format: scoreFile.format } });
+    }
+
+    logger.general(`Score file headers (${scoreFile.format}${scoreFile.encoding ? `, ${scoreFile.encoding}` : ''}):`, headers);
+
+    const mapping = await MappingProfile.forUpload('score', req.body.profile, headers);
+    if (!mapping) {
+      throw new AppError(404, `Mapping profile "${req.body.profile}" not found`);
+    }
+
+    const { columns, missing } = resolveColumns(mapping.mappings, headers);
+    if (columns.email === undefined && columns.rollNumber === undefined) {
+      logger.error('No email or roll number column found in file:', missing);
+      throw new AppError(400, 'No email or roll number column found in file', {
+        code: 'MISSING_COLUMNS',
+        details: {
+          profile: mapping.profile,
+          headers,
+          missing,
+          suggestion: detectMapping('score', headers)
+        }
+      });
+    }
+
+    // Find week score columns - simplified detection
+    const weekScoreColumns = headers
+      .map((header, index) => {
+        const weekMatch = header.match(/week\s*(\d+)/i);
+        return weekMatch ? {
+          week: standardizeWeekFormat(header),
+          index
+        } : null;
+      })
+      .filter(Boolean);
+
+    // Max marks come from the course's assignment schedule, else the form field
+    weekScoreColumns.forEach(column => {
+      const assignment = course?.assignments.find(a => a.week === column.week);
+      column.maxMarks = assignment?.maxMarks ?? req.body.maxMarks;
+    });
+
+    if (weekScoreColumns.length === 0) {
+      logger.error('No week score columns found');
+      throw new AppError(400, 'No week score columns found in file', {
+        code: 'MISSING_COLUMNS',
+        details: { headers }
+      });
+    }
+
+    logger.general(`Found ${weekScoreColumns.length} week columns`);
+
+    if (dryRun) {
+      // How each row would be matched, without queueing anything
+      const matchIndex = await loadMatchIndex(courseId);
+      const matching = { matched: 0, ambiguous: 0, unmatched: 0 };
+      rows.forEach(({ cells }) => {
+        const mapped = mapRow(columns, cells);
+        matching[matchStudent(matchIndex, mapped).status]++;
+      });
+
+      return res.json({
+        message: 'Dry run: no scores were written',
+        dryRun: true,
+        interpretation: {
+          ...interpretation,
+          usingDefaultSemester: Boolean(activeSemester.isDefault),
+          courseRegistered: Boolean(course),
+          courseTitle: course?.title
+        },
+        file: {
+          format: scoreFile.format,
+          encoding: scoreFile.encoding,
+          sheetName: scoreFile.sheetName,
+          headerLine: scoreFile.headerLine
+        },
+        headers,
+        mapping: { profile: mapping.profile, columns, missing },
+        weekColumns: weekScoreColumns.map(({ week, maxMarks }) => ({ week, maxMarks })),
+        rowCount: rows.length,
+        matching
+      });
+    }
+
+    const batch = await ScoreBatch.create({
+      kind: 'import',
+      filename,
+      conflictPolicy,
+      uploadedBy: req.user.username,
+      course: course._id,
+      courseId,
+      counts: { rows: rows.length }
+    });
+
+    // Rows are matched and written in chunks by a background job (see /api/import-jobs)
+    const job = await enqueueImport({
+      kind: 'scores',
+      createdBy: req.user.username,
+      batch: batch._id,
+      courseId,
+      filename,
+      payload: {
+        batchId: batch._id,
+        courseId,
+        filename,
+        format: scoreFile.format,
+        conflictPolicy,
+        columns,
+        weekColumns: weekScoreColumns,
+        total: rows.length
+      },
+      progress: { total: rows.length }
+    }, { rows, chunkSize: SCORE_CHUNK_SIZE });
+
+    res.status(202).json({
+      message: `Processing ${rows.length} rows for course ${courseId} in the background`,
+      courseId,
+      batchId: batch._id,
+      jobId: job._id,
+      status: job.status
+    });
+
+  } catch (error) {
+    logger.error('Fatal error:', error);
+    next(error);
+  }
+});
+
+// Clear stored results, all of them or only for a course, semester run, branch, year or week.
+// The first call reports what would be cleared with a confirmToken; sending it back as confirm
+// snapshots the results into a reset batch (see /api/score-batches) and clears them.
+const resetRoute = (route) => async (req, res, next) => {
+  try {
+    const { confirm: token, ...input } = req.body;
+    const scope = normalizeScope(input);
+    const changes = await planReset(scope);
+    const confirmation = {
+      operation: route,
+      scope,
+      affected: resetCounts(changes),
+      user: req.user.username
+    };
+
+    if (!token) return res.json(requestConfirmation(confirmation));
+    checkConfirmation(token, confirmation);
+
+    logger.bulkUpload(`Starting ${route} for ${JSON.stringify(scope)}...`);
+    const { batch, result } = await resetWithSnapshot({
+      scope,
+      changes,
+      uploadedBy: req.user.username,
+      route
+    });
+
+    logger.bulkUpload(`Reset completed. Modified ${result.modifiedCount} students`);
+    refreshRiskFlagsQuietly(scope.courseId ? { courseId: scope.courseId } : {});
+    refreshSummariesQuietly();
+
+    res.json({
+      message: 'Course results reset successful',
+      batchId: batch._id,
+      scope,
+      ...confirmation.affected,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error(`Fatal error in ${route}:`, error);
+    next(error);
+  }
+};
+
+router.post('/reset-results', authorize(...ROLES.destructive), validate(schemas.resetScores), resetRoute('reset-results'));
+
+// Older name for the same reset
+router.post('/reset-all-scores', authorize(...ROLES.destructive), validate(schemas.resetScores), resetRoute('reset-all-scores'));
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const UnmatchedScore = require('../models/UnmatchedScore');
+const logger = require('../utils/logger');
+const { resolveUnmatchedScore, dismissUnmatchedScore } = require('../utils/scoreImport');
+const { authorize, ROLES } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { AppError } = require('../utils/errors');
+const schemas = require('../schemas/unmatchedScore');
+
+// List score rows waiting for a student, oldest upload first
+router.get('/', authorize(...ROLES.reports), validate(schemas.list), async (req, res, next) => {
+  try {
+    const { courseId, batch, status, reason } = req.query;
+    const query = {};
+    if (courseId) query.courseId = courseId;
+    if (batch) query.batch = batch;
+    if (status) query.status = status;
+    if (reason) query.reason = reason;
+
+    const rows = await UnmatchedScore.find(query).sort({ createdAt: 1, line: 1 });
+    res.json(rows);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a queued row with its candidates
+router.get('/:id', authorize(...ROLES.reports), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const row = await UnmatchedScore.findById(req.params.id);
+    if (!row) throw new AppError(404, 'Unmatched score not found');
+    res.json(row);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pick the student for a row and apply its scores
+router.post('/:id/resolve', authorize(...ROLES.manage), validate(schemas.resolve), async (req, res, next) => {
+  try {
+    const { student, rollNumber } = req.body;
+    if (!student === !rollNumber) {
+      throw new AppError(400, 'Request is not valid', {
+        code: 'VALIDATION_FAILED',
+        fields: [{ field: 'student', message: 'give either student or rollNumber' }]
+      });
+    }
+
+    const row = await resolveUnmatchedScore(req.params.id, {
+      student,
+      rollNumber,
+      resolvedBy: req.user.username
+    });
+    res.json(row);
+  } catch (error) {
+    logger.error(`Error resolving unmatched score ${req.params.id}:`, error);
+    next(error);
+  }
+});
+
+// Drop a row without applying its scores
+router.post('/:id/dismiss', authorize(...ROLES.manage), validate(schemas.dismiss), async (req, res, next) => {
+  try {
+    const row = await dismissUnmatchedScore(req.params.id, {
+      note: req.body.note,
+      dismissedBy: req.user.username
+    });
+    res.json(row);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authorize, ROLES } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/user');
+
+router.use(authorize(...ROLES.destructive));
+
+// Create new user account
+router.post('/', validate(schemas.create), async (req, res, next) => {
+  try {
+    const { password, ...fields } = req.body;
+    const user = new User(fields);
+    await user.setPassword(password);
+    await user.save();
+    logger.general(`Created ${user.role} account ${user.username}`);
+    res.status(201).json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all user accounts
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await User.find().populate('faculty', 'name').sort({ username: 1 });
+    res.json(users);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user account by ID
+router.get('/:id', validate(schemas.byId), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).populate('faculty', 'name');
+    if (!user) throw new AppError(404, 'User not found');
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update user account (role, faculty link, active flag, or a password reset)
+router.put('/:id', validate(schemas.update), async (req, res, next) => {
+  try {
+    // The acting admin keeps their own access, so there is always an admin left
+    if (req.params.id === req.user._id.toString()
+      && ((req.body.role && req.body.role !== 'admin') || req.body.active === false)) {
+      throw new AppError(400, 'You cannot demote or deactivate your own account');
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) throw new AppError(404, 'User not found');
+
+    const { password, ...fields } = req.body;
+    user.set(fields);
+    if (password) await user.setPassword(password);
+    else if (user.isModified('active') && !user.active) user.revokeTokens();
+    await user.save();
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete user account
+router.delete('/:id', validate(schemas.byId), async (req, res, next) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      throw new AppError(400, 'You cannot delete your own account');
+    }
+    const user = await User.findByIdAndDelete(req.params.id);
+    if (!user) throw new AppError(404, 'User not found');
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const login = {
+  body: {
+    username: { type: 'string', required: true, lowercase: true },
+    password: { type: 'string', required: true, trim: false }
+  }
+};
+
+const changePassword = {
+  body: {
+    currentPassword: { type: 'string', required: true, trim: false },
+    newPassword: { type: 'string', required: true, minLength: 8, trim: false }
+  }
+};
+
+module.exports = { login, changePassword };
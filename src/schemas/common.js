@@ -0,0 +1,21 @@
+// Request rules shared by several routers; see middleware/validate for the rule format
+const { rules } = require('../middleware/validate');
+
+const byId = { params: { id: rules.id } };
+
+// Paging options read by utils/listQuery
+const listQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 },
+  sort: { type: 'string' },
+  fields: { type: 'string' },
+  cursor: { type: 'string' },
+  search: { type: 'string' }
+};
+
+const exportQuery = {
+  format: rules.format,
+  sheet: { type: 'string' }
+};
+
+module.exports = { byId, listQuery, exportQuery };
@@ -0,0 +1,56 @@
+const { rules } = require('../middleware/validate');
+const { byId } = require('./common');
+
+// run and discipline are derived from courseId, and the mentor's Faculty.courses entry is kept in step by the route
+const course = {
+  courseId: rules.courseId,
+  title: { type: 'string' },
+  durationWeeks: { type: 'integer', min: 1 },
+  assignments: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        week: { type: 'string', required: true },
+        dueDate: { type: 'date' },
+        maxMarks: { type: 'number', min: 0 }
+      }
+    }
+  },
+  examDate: { type: 'date' },
+  mentor: { type: 'objectId' },
+  scoring: {
+    type: 'object',
+    properties: {
+      bestOf: { type: 'integer', min: 1 },
+      assignmentWeight: { type: 'number', min: 0 },
+      examWeight: { type: 'number', min: 0 },
+      assignmentCutoff: { type: 'number', min: 0 },
+      examCutoff: { type: 'number', min: 0 },
+      finalCutoff: { type: 'number', min: 0 },
+      defaultMaxMarks: { type: 'number', min: 1 }
+    }
+  }
+};
+
+const create = {
+  body: {
+    ...course,
+    courseId: { ...course.courseId, required: true },
+    title: { ...course.title, required: true }
+  }
+};
+
+// Enrollments, reports, reminders and imports key on the courseId string, so it cannot be renamed
+const editable = { ...course };
+delete editable.courseId;
+const update = { ...byId, body: editable };
+
+const list = {
+  query: {
+    run: { type: 'string', lowercase: true },
+    discipline: { type: 'string', lowercase: true }
+  }
+};
+
+module.exports = { create, update, list, byId };
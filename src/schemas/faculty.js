@@ -0,0 +1,37 @@
+const { rules } = require('../middleware/validate');
+const { byId, listQuery } = require('./common');
+
+// Faculty.courses entries that point at a registered Course are managed through the course's mentor field
+const faculty = {
+  name: { type: 'string' },
+  phoneNumber: { type: 'string' },
+  email: { type: 'email' },
+  courses: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        courseId: rules.courseId,
+        courseName: { type: 'string' },
+        branch: { type: 'string' }
+      }
+    }
+  }
+};
+
+const create = { body: { ...faculty, name: { ...faculty.name, required: true } } };
+
+const update = { ...byId, body: faculty };
+
+const list = {
+  query: {
+    ...listQuery,
+    courseId: rules.courseId,
+    branch: { type: 'string' }
+  }
+};
+
+// Dashboard routes take an optional course filter
+const dashboard = { ...byId, query: { courseId: rules.courseId } };
+
+module.exports = { create, update, list, dashboard, byId };
@@ -0,0 +1,10 @@
+const { byId } = require('./common');
+
+const list = {
+  query: {
+    kind: { type: 'string', enum: ['enrollment-commit', 'scores'] },
+    status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] }
+  }
+};
+
+module.exports = { list, byId };
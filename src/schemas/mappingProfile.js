@@ -0,0 +1,43 @@
+const { FIELDS } = require('../utils/columnMapping');
+const { byId } = require('./common');
+
+const KINDS = Object.keys(FIELDS);
+
+const profile = {
+  name: { type: 'string' },
+  kind: { type: 'string', enum: KINDS },
+  description: { type: 'string' },
+  mappings: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', required: true },
+        header: { type: 'string' },
+        index: { type: 'integer', min: 0 }
+      }
+    }
+  }
+};
+
+const create = {
+  body: {
+    ...profile,
+    name: { ...profile.name, required: true },
+    kind: { ...profile.kind, required: true },
+    mappings: { ...profile.mappings, required: true }
+  }
+};
+
+const update = { ...byId, body: profile };
+
+const list = { query: { kind: { type: 'string', enum: KINDS } } };
+
+const detect = {
+  body: {
+    kind: { type: 'string', enum: KINDS, default: 'enrollment' },
+    headers: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+module.exports = { create, update, list, detect, byId };
@@ -0,0 +1,25 @@
+const { byId } = require('./common');
+
+// Departments and batches share one shape; code is the value stored on students
+const entry = {
+  code: { type: 'string' },
+  name: { type: 'string' },
+  aliases: { type: 'array', items: { type: 'string' } },
+  active: { type: 'boolean' }
+};
+
+const create = {
+  body: {
+    ...entry,
+    code: { ...entry.code, required: true },
+    name: { ...entry.name, required: true }
+  }
+};
+
+const update = { ...byId, body: entry };
+
+const list = { query: { active: { type: 'boolean' } } };
+
+const migrate = { body: { dryRun: { type: 'boolean', default: false } } };
+
+module.exports = { create, update, list, migrate, byId };
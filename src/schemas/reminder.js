@@ -0,0 +1,28 @@
+const { rules } = require('../middleware/validate');
+
+// "3", "Week 3" or "Week 03 Assignment"
+const week = { type: 'string', pattern: /^\s*(week\s*)?\d+(\s*assignment)?\s*$/i };
+
+const send = {
+  body: {
+    courseId: { ...rules.courseId, required: true },
+    week: { ...week, required: true },
+    ccMentor: { type: 'boolean' },
+    subject: { type: 'string' },
+    text: { type: 'string' },
+    resend: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+const list = {
+  query: {
+    courseId: rules.courseId,
+    week,
+    rollNumber: { type: 'string' },
+    status: { type: 'string', enum: ['sending', 'sent', 'failed'] },
+    trigger: { type: 'string', enum: ['manual', 'scheduled'] }
+  }
+};
+
+module.exports = { send, list };
@@ -0,0 +1,26 @@
+const { rules } = require('../middleware/validate');
+const { byId } = require('./common');
+
+const list = {
+  query: {
+    courseId: rules.courseId,
+    kind: { type: 'string', enum: ['import', 'reset', 'archive', 'merge'] },
+    status: { type: 'string', enum: ['in-progress', 'applied', 'rolled-back'] }
+  }
+};
+
+const changes = {
+  ...byId,
+  query: {
+    rollNumber: { type: 'string' },
+    snapshots: { type: 'boolean' }
+  }
+};
+
+const rollback = {
+  ...byId,
+  query: { force: { type: 'boolean' } },
+  body: { force: { type: 'boolean' } }
+};
+
+module.exports = { list, changes, rollback, byId };
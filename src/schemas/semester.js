@@ -0,0 +1,16 @@
+const { byId } = require('./common');
+
+const semester = {
+  run: { type: 'string', lowercase: true, pattern: /^[a-z]+\d+$/ },
+  name: { type: 'string' },
+  disciplines: { type: 'array', items: { type: 'string', lowercase: true } },
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  isActive: { type: 'boolean' }
+};
+
+const create = { body: { ...semester, run: { ...semester.run, required: true } } };
+
+const update = { ...byId, body: semester };
+
+module.exports = { create, update, byId };
@@ -0,0 +1,247 @@
+const Student = require('../models/Student');
+const { rules } = require('../middleware/validate');
+const { CONFLICT_POLICIES } = require('../utils/week');
+const { RULE_IDS } = require('../utils/atRisk');
+const { SLICES } = require('../utils/trends');
+const { byId, listQuery, exportQuery } = require('./common');
+
+const { ENROLLMENT_STATUSES } = Student;
+
+const profile = {
+  rollNumber: { type: 'string' },
+  name: { type: 'string' },
+  email: { type: 'email' },
+  branch: { type: 'string' },
+  year: { type: 'string' }
+};
+
+// Enrollments can be given when a student is created; results only ever come from score imports
+const create = {
+  body: {
+    ...profile,
+    rollNumber: { ...profile.rollNumber, required: true },
+    courses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          courseId: { ...rules.courseId, required: true },
+          courseName: { type: 'string' },
+          subjectMentor: { type: 'string' },
+          mentor: { type: 'objectId' }
+        }
+      }
+    }
+  }
+};
+
+const update = { ...byId, body: profile };
+
+const list = {
+  query: {
+    ...listQuery,
+    branch: { type: 'string' },
+    year: { type: 'string' },
+    courseId: rules.courseId,
+    mentor: { type: 'objectId' },
+    status: { type: 'string', enum: ENROLLMENT_STATUSES },
+    archived: { type: 'boolean' }
+  }
+};
+
+// exam[<courseId>] gives a per-course exam mark and is checked by the route
+const progress = {
+  ...byId,
+  query: {
+    courseId: rules.courseId,
+    examScore: { type: 'number', min: 0, max: 100 },
+    exam: { type: 'object' }
+  }
+};
+
+const unsubmitted = {
+  query: {
+    ...exportQuery,
+    courseId: { ...rules.courseId, required: true },
+    week: { type: 'string', required: true },
+    year: { type: 'string' },
+    branch: { type: 'string' },
+    facultyName: { type: 'string' }
+  }
+};
+
+const courseUnsubmitted = {
+  params: { courseId: { ...rules.courseId, required: true } },
+  query: {
+    ...exportQuery,
+    week: { type: 'string', required: true }
+  }
+};
+
+// fresh=true recomputes instead of reading the stored summary
+const report = { query: { ...exportQuery, fresh: { type: 'boolean' } } };
+
+// Multipart form fields sent alongside the score file
+const updateWeekScore = {
+  query: { dryRun: { type: 'boolean' } },
+  body: {
+    courseId: rules.courseId,
+    dryRun: { type: 'boolean' },
+    conflictPolicy: { type: 'string', enum: CONFLICT_POLICIES, default: 'latest' },
+    profile: { type: 'string' },
+    maxMarks: { type: 'number', min: 0 }
+  }
+};
+
+const bulkUpload = {
+  body: {
+    profile: { type: 'string' },
+    registerCourses: { type: 'boolean' }
+  }
+};
+
+const sessions = { query: { status: { type: 'string', enum: ['pending', 'committing', 'committed'] } } };
+
+const session = { params: { sessionId: rules.id } };
+
+const enrollmentParams = {
+  id: rules.id,
+  courseId: { ...rules.courseId, required: true }
+};
+
+// Enrollment changes; the mentor defaults to the course's mentor
+const enroll = {
+  params: { id: rules.id },
+  body: {
+    courseId: { ...rules.courseId, required: true },
+    mentor: { type: 'objectId' },
+    note: { type: 'string' }
+  }
+};
+
+const enrollmentStatus = {
+  params: enrollmentParams,
+  body: { note: { type: 'string' } }
+};
+
+// mentor: null clears it
+const enrollmentMentor = {
+  params: enrollmentParams,
+  body: {
+    mentor: { type: 'objectId' },
+    note: { type: 'string' }
+  }
+};
+
+const transfer = {
+  params: enrollmentParams,
+  body: {
+    toCourseId: { ...rules.courseId, required: true },
+    mentor: { type: 'objectId' },
+    note: { type: 'string' }
+  }
+};
+
+const atRisk = {
+  query: {
+    ...exportQuery,
+    branch: { type: 'string' },
+    year: { type: 'string' },
+    courseId: rules.courseId,
+    mentor: { type: 'objectId' },
+    rule: { type: 'string', enum: RULE_IDS }
+  }
+};
+
+const atRiskHistory = {
+  query: {
+    studentId: { type: 'objectId' },
+    courseId: rules.courseId,
+    rule: { type: 'string' }
+  }
+};
+
+const atRiskSettings = {
+  body: {
+    consecutiveMisses: { type: 'integer', min: 1 },
+    minSubmissionRate: { type: 'number', min: 0, max: 1 },
+    inactiveAfterWeek: { type: 'integer', min: 0 },
+    disabledRules: { type: 'array', items: { type: 'string', enum: RULE_IDS } }
+  }
+};
+
+const atRiskEvaluate = {
+  query: { courseId: rules.courseId },
+  body: { courseId: rules.courseId }
+};
+
+// Limits for resets and archives; without any, they cover every student
+const scope = {
+  courseId: rules.courseId,
+  run: { type: 'string', lowercase: true, pattern: /^[a-z]+\d+$/ },
+  branch: { type: 'string' },
+  year: { type: 'string' }
+};
+
+const confirm = { type: 'string' };
+
+const resetScores = {
+  body: {
+    ...scope,
+    week: { type: 'string', pattern: /week\s*\d+/i },
+    confirm
+  }
+};
+
+const archiveStudents = {
+  query: { ...scope, confirm }
+};
+
+const trends = {
+  query: {
+    ...exportQuery,
+    courseId: scope.courseId,
+    run: scope.run,
+    branch: scope.branch,
+    year: scope.year,
+    mentor: { type: 'objectId' },
+    subjectMentor: { type: 'string' },
+    groupBy: { type: 'string', enum: SLICES },
+    // Earlier runs to compare with, e.g. noc24,noc23
+    compare: { type: 'string', lowercase: true, pattern: /^[a-z]+\d+(,[a-z]+\d+)*$/ }
+  }
+};
+
+const mergeDuplicates = {
+  body: {
+    dryRun: { type: 'boolean' },
+    confirm
+  }
+};
+
+module.exports = {
+  create,
+  update,
+  list,
+  progress,
+  unsubmitted,
+  courseUnsubmitted,
+  report,
+  updateWeekScore,
+  bulkUpload,
+  sessions,
+  session,
+  enroll,
+  enrollmentStatus,
+  enrollmentMentor,
+  transfer,
+  atRisk,
+  atRiskHistory,
+  atRiskSettings,
+  atRiskEvaluate,
+  resetScores,
+  archiveStudents,
+  trends,
+  mergeDuplicates,
+  byId
+};
@@ -0,0 +1,27 @@
+const { rules } = require('../middleware/validate');
+const { byId } = require('./common');
+
+const list = {
+  query: {
+    courseId: rules.courseId,
+    batch: { type: 'objectId' },
+    status: { type: 'string', enum: ['open', 'resolving', 'resolved', 'dismissed'] },
+    reason: { type: 'string', enum: ['unmatched', 'ambiguous'] }
+  }
+};
+
+// The student is given by id (e.g. one of the candidates) or by roll number
+const resolve = {
+  ...byId,
+  body: {
+    student: { type: 'objectId' },
+    rollNumber: { type: 'string' }
+  }
+};
+
+const dismiss = {
+  ...byId,
+  body: { note: { type: 'string' } }
+};
+
+module.exports = { list, resolve, dismiss, byId };
@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const { byId } = require('./common');
+
+const account = {
+  username: { type: 'string', lowercase: true, minLength: 3 },
+  password: { type: 'string', minLength: 8, trim: false },
+  name: { type: 'string' },
+  role: { type: 'string', enum: User.ROLES },
+  faculty: { type: 'objectId' },
+  active: { type: 'boolean' }
+};
+
+const create = {
+  body: {
+    ...account,
+    username: { ...account.username, required: true },
+    password: { ...account.password, required: true },
+    role: { ...account.role, required: true }
+  }
+};
+
+const update = { ...byId, body: account };
+
+module.exports = { create, update, byId };
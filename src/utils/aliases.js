@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Comparison key for free-text values: "Computer Science", "computer-science " and
+// "COMPUTER SCIENCE" all become "computerscience"
+const aliasKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Schema for a reference list (departments, batches) whose entries are matched by code, name or alias
+const referenceSchema = ({ uppercaseCode = false } = {}) => {
+  const schema = new mongoose.Schema({
+    // Canonical value stored on students
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: uppercaseCode
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // Other spellings seen in uploaded sheets
+    aliases: [{ type: String, trim: true }],
+    // Keys of the code, name and aliases; unique across entries so a spelling maps to one code
+    aliasKeys: {
+      type: [String],
+      index: { unique: true }
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  }, { timestamps: true });
+
+  schema.pre("validate", function(next) {
+    this.aliasKeys = [...new Set([this.code, this.name, ...(this.aliases || [])].map(aliasKey).filter(Boolean))];
+    next();
+  });
+
+  return schema;
+};
+
+module.exports = {
+  aliasKey,
+  referenceSchema
+};
@@ -0,0 +1,52 @@
+const Student = require('../models/Student');
+const ScoreBatch = require('../models/ScoreBatch');
+const RiskFlag = require('../models/RiskFlag');
+const logger = require('./logger');
+const { studentFilter } = require('./scope');
+
+// Archive every student in scope as one batch and close their open at-risk flags
+const archiveStudents = async ({ scope = {}, archivedBy }) => {
+  const ids = await Student.distinct('_id', studentFilter(scope));
+  const now = new Date();
+
+  const batch = await ScoreBatch.create({
+    kind: 'archive',
+    uploadedBy: archivedBy,
+    courseId: scope.courseId,
+    scope: { route: 'archive', ...scope }
+  });
+
+  const result = await Student.updateMany(
+    { _id: { $in: ids }, archivedAt: null },
+    { $set: { archivedAt: now, archivedBy, archiveBatch: batch._id } }
+  );
+  await RiskFlag.updateMany({ student: { $in: ids }, clearedAt: null }, { $set: { clearedAt: now } });
+
+  batch.status = 'applied';
+  batch.counts.studentsChanged = result.modifiedCount;
+  await batch.save();
+
+  logger.bulkUpload(`Archive batch ${batch._id}: archived ${result.modifiedCount} students`);
+  return { batch, result };
+};
+
+// Bring back the students an archive batch archived; shaped like rollbackBatch's result
+const restoreArchive = async (batch, { restoredBy } = {}) => {
+  const result = await Student.updateMany(
+    { archiveBatch: batch._id, archivedAt: { $ne: null } },
+    { $set: { archivedAt: null }, $unset: { archivedBy: 1, archiveBatch: 1 } }
+  );
+
+  batch.status = 'rolled-back';
+  batch.rolledBackAt = new Date();
+  batch.rolledBackBy = restoredBy;
+  await batch.save();
+
+  logger.bulkUpload(`Restored archive batch ${batch._id}: ${result.modifiedCount} students`);
+  return { rolledBack: true, restored: result.modifiedCount, conflicts: [] };
+};
+
+module.exports = {
+  archiveStudents,
+  restoreArchive
+};
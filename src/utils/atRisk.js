@@ -0,0 +1,165 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const RiskFlag = require('../models/RiskFlag');
+const RiskSettings = require('../models/RiskSettings');
+const { isSubmitted, weekNumber } = require('./week');
+const { loadCourseWeeks, completionRow } = require('./mentees');
+const { courseProgress } = require('./progress');
+const logger = require('./logger');
+
+// Each rule looks at one enrollment and returns a reason when it fires, else null.
+// `due` is the enrollment's due, non-exempt weeks in order.
+const RULES = [
+  {
+    id: 'consecutive-misses',
+    description: 'Missed the latest N due weeks in a row',
+    evaluate: ({ due }, settings) => {
+      let streak = 0;
+      for (let i = due.length - 1; i >= 0 && !isSubmitted(due[i]); i--) streak++;
+      return streak >= settings.consecutiveMisses ? `Missed the last ${streak} consecutive weeks` : null;
+    }
+  },
+  {
+    id: 'low-submission-rate',
+    description: 'Submitted less than the minimum share of due weeks',
+    evaluate: ({ due }, settings) => {
+      if (due.length === 0) return null;
+      const rate = due.filter(isSubmitted).length / due.length;
+      return rate < settings.minSubmissionRate
+        ? `Submitted ${Math.round(rate * 100)}% of due assignments`
+        : null;
+    }
+  },
+  {
+    id: 'below-assignment-cutoff',
+    description: "Projected assignment score is below the course's certificate cutoff",
+    evaluate: ({ progress }) => {
+      if (progress.weeksDue === 0) return null;
+      const { assignmentScoreProjected, rule } = progress;
+      return assignmentScoreProjected < rule.assignmentCutoff
+        ? `Projected assignment score ${assignmentScoreProjected}/${rule.assignmentWeight} is below the cutoff of ${rule.assignmentCutoff}`
+        : null;
+    }
+  },
+  {
+    id: 'inactive',
+    description: 'No submissions after week N',
+    evaluate: ({ due }, settings) => {
+      const later = due.filter(cell => weekNumber(cell.week) > settings.inactiveAfterWeek);
+      return later.length > 0 && !later.some(isSubmitted)
+        ? `No submissions after week ${settings.inactiveAfterWeek}`
+        : null;
+    }
+  }
+];
+
+const RULE_IDS = RULES.map(r => r.id);
+
+// Rules firing for one enrollment, as [{ rule, reason }]
+const evaluateEnrollment = (enrollment, course, { weeks, due, settings, now }) => {
+  const row = completionRow(enrollment, weeks, due);
+  const context = {
+    due: row.filter(cell => cell.status !== 'upcoming' && cell.status !== 'exempt'),
+    progress: courseProgress(enrollment, course, { weeks, due, now })
+  };
+  const disabled = new Set(settings.disabledRules || []);
+  return RULES
+    .filter(rule => !disabled.has(rule.id))
+    .map(rule => ({ rule: rule.id, reason: rule.evaluate(context, settings) }))
+    .filter(r => r.reason);
+};
+
+const flagKey = (studentId, courseId, rule) => `${studentId}|${courseId}|${rule}`;
+
+// Re-run the rules over the matching students' active enrollments, opening flags for rules
+// that started firing and clearing those that stopped (or whose enrollment is no longer active)
+const refreshRiskFlags = async ({ courseId, studentIds, now = new Date() } = {}) => {
+  const settings = await RiskSettings.getCurrent();
+
+  const studentQuery = {};
+  if (courseId) studentQuery['courses.courseId'] = courseId.toLowerCase();
+  if (studentIds) studentQuery._id = { $in: studentIds };
+  const students = await Student.find(studentQuery).select('rollNumber courses').lean();
+
+  const groups = new Map();
+  students.forEach(student => {
+    (student.courses || [])
+      .filter(e => e.courseId && (!courseId || e.courseId === courseId.toLowerCase()))
+      .forEach(enrollment => {
+        if (!groups.has(enrollment.courseId)) groups.set(enrollment.courseId, []);
+        groups.get(enrollment.courseId).push({ student, enrollment });
+      });
+  });
+
+  const courses = await Course.find({ courseId: { $in: [...groups.keys()] } }).lean();
+  const coursesById = new Map(courses.map(c => [c.courseId, c]));
+  const weeksById = await loadCourseWeeks([...groups.keys()], coursesById, now);
+
+  const firing = new Map();
+  groups.forEach((entries, id) => {
+    const course = coursesById.get(id);
+    const { weeks, due } = weeksById.get(id);
+    entries
+      .filter(({ enrollment }) => enrollment.status === 'active')
+      .forEach(({ student, enrollment }) => {
+        evaluateEnrollment(enrollment, course, { weeks, due, settings, now }).forEach(({ rule, reason }) => {
+          firing.set(flagKey(student._id, id, rule), {
+            student: student._id,
+            rollNumber: student.rollNumber,
+            course: course?._id,
+            courseId: id,
+            mentor: enrollment.mentor,
+            rule,
+            reason
+          });
+        });
+      });
+  });
+
+  const openQuery = { clearedAt: null, student: { $in: students.map(s => s._id) } };
+  if (courseId) openQuery.courseId = courseId.toLowerCase();
+  const open = await RiskFlag.find(openQuery).lean();
+
+  const operations = [];
+  const stillOpen = new Set();
+  let cleared = 0;
+  open.forEach(flag => {
+    const key = flagKey(flag.student, flag.courseId, flag.rule);
+    const current = firing.get(key);
+    if (!current || stillOpen.has(key)) {
+      operations.push({ updateOne: { filter: { _id: flag._id }, update: { $set: { clearedAt: now } } } });
+      cleared++;
+      return;
+    }
+    stillOpen.add(key);
+    if (current.reason !== flag.reason || String(current.mentor) !== String(flag.mentor)) {
+      operations.push({
+        updateOne: { filter: { _id: flag._id }, update: { $set: { reason: current.reason, mentor: current.mentor } } }
+      });
+    }
+  });
+
+  let raised = 0;
+  firing.forEach((flag, key) => {
+    if (stillOpen.has(key)) return;
+    operations.push({ insertOne: { document: { ...flag, raisedAt: now } } });
+    raised++;
+  });
+
+  if (operations.length > 0) await RiskFlag.bulkWrite(operations, { ordered: false });
+  logger.general(`At-risk refresh${courseId ? ` for ${courseId}` : ''}: ${raised} raised, ${cleared} cleared, ${firing.size} open`);
+
+  return { raised, cleared, open: firing.size };
+};
+
+// Refresh after a write without letting a failure here fail the request
+const refreshRiskFlagsQuietly = (options) => refreshRiskFlags(options)
+  .catch(error => logger.error('At-risk refresh failed:', error));
+
+module.exports = {
+  RULES,
+  RULE_IDS,
+  evaluateEnrollment,
+  refreshRiskFlags,
+  refreshRiskFlagsQuietly
+};
@@ -0,0 +1,29 @@
+// Run a chunk's writes in order. Returns, per operation, whether its upsert inserted a document,
+// whether its filter matched and the error it failed with; after a failed write the rest of the chunk
+// is sent again without it. Operations for which `guarded(index)` is true are sent on their own so
+// their matchedCount tells whether the guard in their filter held.
+const writeInOrder = async (Model, ops, { guarded = () => false } = {}) => {
+  const outcomes = ops.map(() => ({ upserted: false, matched: true, error: null }));
+  let from = 0;
+  while (from < ops.length) {
+    let to = from + 1;
+    if (!guarded(from)) while (to < ops.length && !guarded(to)) to++;
+    try {
+      const result = await Model.bulkWrite(ops.slice(from, to), { ordered: true });
+      Object.keys(result.upsertedIds || {}).forEach(index => { outcomes[from + Number(index)].upserted = true; });
+      if (guarded(from)) outcomes[from].matched = result.matchedCount > 0;
+      from = to;
+    } catch (error) {
+      const [failed] = error.writeErrors || [];
+      if (!failed) throw error;
+      Object.keys(error.upsertedIds || {}).forEach(index => { outcomes[from + Number(index)].upserted = true; });
+      outcomes[from + failed.index].error = failed.errmsg;
+      from += failed.index + 1;
+    }
+  }
+  return outcomes;
+};
+
+module.exports = {
+  writeInOrder
+};
@@ -0,0 +1,105 @@
+// Fields an upload column can be mapped to, per kind of import
+const FIELDS = {
+  enrollment: ['rollNumber', 'name', 'branch', 'year', 'email', 'courseId', 'courseName', 'subjectMentor'],
+  score: ['rollNumber', 'name', 'email']
+};
+
+const REQUIRED_FIELDS = {
+  enrollment: ['rollNumber', 'courseId'],
+  score: []
+};
+
+// The layouts the importers were originally written against
+const DEFAULT_MAPPINGS = {
+  enrollment: [
+    { field: 'rollNumber', header: 'ID' },
+    { field: 'name', header: 'Name' },
+    { field: 'branch', header: 'Branch' },
+    { field: 'year', header: 'Year' },
+    { field: 'email', header: 'Email Id' },
+    { field: 'courseId', header: 'Course Id' },
+    { field: 'courseName', header: 'Course Name' },
+    { field: 'subjectMentor', header: 'NPTEL SUBJECT MENTOR' }
+  ],
+  score: [
+    { field: 'email', index: 2 },
+    { field: 'rollNumber', index: 3 }
+  ]
+};
+
+// Header spellings seen in department and NPTEL portal exports, compared after normalizeHeader
+const SYNONYMS = {
+  rollNumber: ['id', 'rollnumber', 'rollno', 'roll', 'regdno', 'registrationnumber', 'regno', 'studentid', 'hallticketnumber', 'htno'],
+  name: ['name', 'studentname', 'fullname', 'nameofthestudent'],
+  branch: ['branch', 'department', 'dept', 'discipline'],
+  year: ['year', 'batch', 'yearofstudy', 'studyyear'],
+  email: ['emailid', 'email', 'emailaddress', 'mailid', 'mail', 'registeredemail'],
+  courseId: ['courseid', 'coursecode', 'nptelcourseid', 'nptelcoursecode'],
+  courseName: ['coursename', 'coursetitle', 'nptelcoursename', 'subject', 'subjectname'],
+  subjectMentor: ['nptelsubjectmentor', 'subjectmentor', 'mentor', 'facultymentor', 'mentorname']
+};
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Propose a mapping for a header row: exact synonym matches first, then headers containing a synonym
+const detectMapping = (kind, headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mappings = [];
+
+  FIELDS[kind].forEach(field => {
+    const synonyms = SYNONYMS[field];
+    let index = normalized.findIndex((h, i) => !used.has(i) && synonyms.includes(h));
+    let confidence = 'exact';
+    if (index === -1) {
+      index = normalized.findIndex((h, i) => !used.has(i) && h && synonyms.some(s => s.length > 3 && h.includes(s)));
+      confidence = 'partial';
+    }
+    if (index !== -1) {
+      used.add(index);
+      mappings.push({ field, header: String(headers[index]).trim(), index, confidence });
+    }
+  });
+
+  const mapped = new Set(mappings.map(m => m.field));
+  return {
+    kind,
+    mappings,
+    unmappedFields: FIELDS[kind].filter(f => !mapped.has(f)),
+    missingRequired: REQUIRED_FIELDS[kind].filter(f => !mapped.has(f)),
+    unusedHeaders: headers.filter((h, i) => !used.has(i) && normalizeHeader(h))
+  };
+};
+
+// Turn a mapping into column positions for this header row, reporting headers that are absent
+const resolveColumns = (mappings, headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const missing = [];
+
+  mappings.forEach(({ field, header, index }) => {
+    let position = header ? normalized.indexOf(normalizeHeader(header)) : -1;
+    if (position === -1 && Number.isInteger(index) && index < headers.length) position = index;
+    if (position === -1) {
+      missing.push({ field, header, index });
+    } else {
+      columns[field] = position;
+    }
+  });
+
+  return { columns, missing };
+};
+
+// Read the mapped fields out of one row of cells
+const mapRow = (columns, cells) => Object.fromEntries(
+  Object.entries(columns).map(([field, position]) => [field, cells[position]])
+);
+
+module.exports = {
+  FIELDS,
+  REQUIRED_FIELDS,
+  DEFAULT_MAPPINGS,
+  detectMapping,
+  resolveColumns,
+  mapRow
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errors');
+
+// Confirmation tokens only need to survive between the preview and the confirmed request.
+// They use their own secret (derived from JWT_SECRET unless CONFIRM_SECRET is set) and audience,
+// so a confirmation token never passes as a session token, or the other way round.
+const CONFIRM_SECRET = process.env.CONFIRM_SECRET || (process.env.JWT_SECRET
+  ? crypto.createHmac('sha256', process.env.JWT_SECRET).update('confirmation').digest('hex')
+  : crypto.randomBytes(32).toString('hex'));
+const CONFIRM_AUDIENCE = 'confirmation';
+const CONFIRM_TTL_SECONDS = 5 * 60;
+
+// Preview of a mass change with a short-lived token bound to the operation, scope, caller and counts.
+// Sending the token back as confirm carries the change out.
+const requestConfirmation = ({ operation, scope, affected, user }) => {
+  const confirmToken = jwt.sign({ operation, scope, affected, user }, CONFIRM_SECRET, {
+    expiresIn: CONFIRM_TTL_SECONDS,
+    audience: CONFIRM_AUDIENCE
+  });
+  return {
+    confirmationRequired: true,
+    operation,
+    scope,
+    affected,
+    confirmToken,
+    expiresAt: new Date(Date.now() + CONFIRM_TTL_SECONDS * 1000)
+  };
+};
+
+// Check a confirm token against the request being carried out. When the affected counts moved
+// since the preview, the error carries a fresh preview to confirm instead.
+const checkConfirmation = (token, { operation, scope, affected, user }) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, CONFIRM_SECRET, { audience: CONFIRM_AUDIENCE });
+  } catch (error) {
+    throw new AppError(409, 'Confirmation token is invalid or expired; request a new one', {
+      code: 'CONFIRMATION_INVALID'
+    });
+  }
+
+  if (payload.operation !== operation
+    || payload.user !== user
+    || JSON.stringify(payload.scope) !== JSON.stringify(scope)) {
+    throw new AppError(409, 'Confirmation token was issued for a different request', {
+      code: 'CONFIRMATION_MISMATCH'
+    });
+  }
+
+  if (JSON.stringify(payload.affected) !== JSON.stringify(affected)) {
+    throw new AppError(409, 'The records affected changed since the confirmation was issued', {
+      code: 'CONFIRMATION_STALE',
+      details: {
+        confirmed: payload.affected,
+        ...requestConfirmation({ operation, scope, affected, user })
+      }
+    });
+  }
+};
+
+module.exports = {
+  requestConfirmation,
+  checkConfirmation
+};
@@ -0,0 +1,63 @@
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest codes first so "ece" is not read as "ce"
+const alternation = (values) => [...values]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join('|');
+
+// Work out which course a mentee score file belongs to. An explicit courseId wins;
+// otherwise the discipline code and number are read from the filename, and the run
+// comes from the filename when it names a configured run, else the active semester.
+const interpretScoreFile = ({ filename = '', courseId, semesters = [], activeSemester }) => {
+  const report = { filename, source: null, courseId: null, run: null, discipline: null, number: null };
+
+  if (courseId) {
+    const explicit = courseId.toString().trim().toLowerCase();
+    report.source = 'courseId';
+    const full = explicit.match(/^([a-z]+\d+)-([a-z]+)(\d+)$/);
+    const short = explicit.match(/^([a-z]+)(\d+)$/);
+    if (full) {
+      [, report.run, report.discipline, report.number] = full;
+    } else if (short) {
+      report.run = activeSemester.run;
+      [, report.discipline, report.number] = short;
+    } else {
+      report.error = `Invalid courseId "${courseId}". Expected format: noc25-cs52 or cs52`;
+      return report;
+    }
+    report.courseId = `${report.run}-${report.discipline}${report.number}`;
+    return report;
+  }
+
+  report.source = 'filename';
+  let semester = activeSemester;
+  let remainder = filename.toLowerCase();
+
+  const runs = semesters.map(s => s.run).filter(Boolean);
+  if (runs.length > 0) {
+    const runMatch = remainder.match(new RegExp(`(${alternation(runs)})`));
+    if (runMatch) {
+      semester = semesters.find(s => s.run === runMatch[1]);
+      remainder = remainder.replace(runMatch[1], '');
+    }
+  }
+  report.run = semester.run;
+  report.runFromFilename = semester !== activeSemester;
+
+  const disciplines = semester.disciplines || [];
+  const courseMatch = disciplines.length > 0
+    && remainder.match(new RegExp(`(?:^|[^a-z])(${alternation(disciplines)})(\\d+)`));
+
+  if (!courseMatch) {
+    report.error = `Could not find a course code in the filename. Expected a ${semester.run} discipline code followed by a number (e.g. ${disciplines[0] || 'cs'}52.csv); allowed codes: ${disciplines.join(', ')}`;
+    report.allowedDisciplines = disciplines;
+    return report;
+  }
+
+  [, report.discipline, report.number] = courseMatch;
+  report.courseId = `${report.run}-${report.discipline}${report.number}`;
+  return report;
+};
+
+module.exports = { interpretScoreFile };
@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const logger = require('./logger');
+const { escapeRegex } = require('./listQuery');
+const { writeInOrder } = require('./bulkWrite');
+const { loadResolvers, normalizeRow } = require('./referenceData');
+
+const clean = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = value.toString().trim();
+  return text || undefined;
+};
+
+// Tidy the mapped cells of one enrollment row
+const cleanEnrollment = (data) => ({
+  rollNumber: clean(data.rollNumber),
+  name: clean(data.name),
+  branch: clean(data.branch),
+  year: clean(data.year),
+  email: clean(data.email)?.toLowerCase(),
+  courseId: clean(data.courseId)?.toLowerCase(),
+  courseName: clean(data.courseName),
+  subjectMentor: clean(data.subjectMentor)
+});
+
+// Validate mapped enrollment rows ({ rowNumber, data }) without writing anything
+const validateEnrollmentRows = async (records, { registerCourses = false } = {}) => {
+  const rows = records.map(({ rowNumber, data }) => ({
+    rowNumber,
+    data: cleanEnrollment(data),
+    validationErrors: [],
+    warnings: []
+  }));
+
+  const courseIds = [...new Set(rows.map(r => r.data.courseId).filter(Boolean))];
+  const rollNumbers = [...new Set(rows.map(r => r.data.rollNumber).filter(Boolean))];
+  const emails = [...new Set(rows.map(r => r.data.email).filter(Boolean))];
+
+  const [courses, existingStudents, resolvers] = await Promise.all([
+    Course.find({ courseId: { $in: courseIds } }).select('courseId').lean(),
+    Student.find({ $or: [{ rollNumber: { $in: rollNumbers } }, { email: { $in: emails } }] })
+      .collation({ locale: 'en', strength: 2 })
+      .setOptions({ includeArchived: true })
+      .select('rollNumber email archivedAt')
+      .lean(),
+    loadResolvers()
+  ]);
+  const knownCourses = new Set(courses.map(c => c.courseId));
+  const studentsByEmail = new Map(existingStudents.filter(s => s.email).map(s => [s.email.toLowerCase(), s]));
+  const archivedRolls = new Set(existingStudents.filter(s => s.archivedAt).map(s => s.rollNumber.toUpperCase()));
+
+  const seenEnrollments = new Map();
+  const emailsByRollNumber = new Map();
+
+  rows.forEach(row => {
+    const { data } = row;
+    normalizeRow(row, resolvers);
+
+    if (!data.rollNumber) row.validationErrors.push('Missing ID (roll number)');
+    if (!data.courseId) row.validationErrors.push('Missing Course Id');
+    if (data.rollNumber && archivedRolls.has(data.rollNumber.toUpperCase())) {
+      row.validationErrors.push(`Student ${data.rollNumber} is archived; restore it before importing`);
+    }
+    if (!data.name) row.warnings.push('Missing Name');
+    if (!data.email) row.warnings.push('Missing Email Id');
+
+    if (data.courseId && !knownCourses.has(data.courseId)) {
+      if (registerCourses) {
+        row.warnings.push(`Course ${data.courseId} will be registered on commit`);
+      } else {
+        row.validationErrors.push(`Unknown course ${data.courseId}`);
+      }
+    }
+
+    if (data.rollNumber && data.courseId) {
+      const key = `${data.rollNumber.toUpperCase()}|${data.courseId}`;
+      if (seenEnrollments.has(key)) {
+        row.validationErrors.push(`Duplicate of row ${seenEnrollments.get(key)} (same ID and Course Id)`);
+      } else {
+        seenEnrollments.set(key, row.rowNumber);
+      }
+    }
+
+    if (data.rollNumber && data.email) {
+      const rollKey = data.rollNumber.toUpperCase();
+      const previous = emailsByRollNumber.get(rollKey);
+      if (previous && previous.email !== data.email) {
+        row.validationErrors.push(`ID ${data.rollNumber} has email ${previous.email} in row ${previous.rowNumber}`);
+      } else if (!previous) {
+        emailsByRollNumber.set(rollKey, { email: data.email, rowNumber: row.rowNumber });
+      }
+
+      const owner = studentsByEmail.get(data.email);
+      if (owner && owner.rollNumber.toUpperCase() !== rollKey) {
+        row.validationErrors.push(`Email ${data.email} already belongs to student ${owner.rollNumber}`);
+      }
+    }
+
+    row.status = row.validationErrors.length > 0 ? 'rejected' : 'accepted';
+  });
+
+  return rows;
+};
+
+// Profile and enrollment fields an upload fills in when blank but never overwrites
+const PROFILE_FIELDS = ['name', 'branch', 'year', 'email'];
+const ENROLLMENT_FIELDS = ['courseName', 'subjectMentor'];
+
+// Students created without an email get a placeholder that a later upload may replace
+const placeholderEmail = (rollNumber) => `${rollNumber.toLowerCase()}@.ac.in`;
+
+const rollKey = (rollNumber) => rollNumber.toUpperCase();
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Compare one field of a stored record with the uploaded value
+const reconcile = (current, incoming, { blank = !current } = {}) => {
+  if (!incoming) return 'keep';
+  if (blank) return sameValue(current ?? '', incoming) ? 'keep' : 'fill';
+  return sameValue(current, incoming) ? 'keep' : 'conflict';
+};
+
+// Rows written per bulkWrite
+const COMMIT_CHUNK_SIZE = 200;
+
+// Apply the accepted rows of a pending session, recording the outcome on each row.
+// Rows are keyed on (roll number, course id): re-uploading the same file changes nothing,
+// blank fields are filled in and values that differ from what is stored are reported as conflicts.
+// Rows are planned in memory and written COMMIT_CHUNK_SIZE at a time; progress is called after each
+// chunk and shouldStop before it. A stopped commit leaves the session pending so it can be committed
+// again (rows already applied then come out unchanged).
+const commitEnrollmentSession = async (session, { progress, shouldStop } = {}) => {
+  const accepted = session.rows.filter(r => r.status === 'accepted');
+  const summary = { created: 0, updated: 0, unchanged: 0, conflicting: 0, failed: 0 };
+  const [mentorsByName, resolvers] = await Promise.all([Faculty.indexByName(), loadResolvers()]);
+
+  const rollNumbers = [...new Set(accepted.map(r => r.data.rollNumber))];
+  const existing = await Student.find({ rollNumber: { $in: rollNumbers } })
+    .collation({ locale: 'en', strength: 2 })
+    .setOptions({ includeArchived: true })
+    .select('-courses.results')
+    .lean();
+  const studentsByRoll = new Map(existing.map(s => [rollKey(s.rollNumber), s]));
+
+  // Courses are looked up (or registered) once, before any student is written
+  const coursesById = new Map();
+  for (const courseId of [...new Set(accepted.map(r => r.data.courseId))]) {
+    const course = session.options.registerCourses
+      ? await Course.findOrCreateByCourseId(courseId, accepted.find(r => r.data.courseId === courseId).data.courseName)
+      : await Course.findOne({ courseId });
+    if (course) coursesById.set(courseId, course);
+  }
+
+  const fail = (row, message) => {
+    row.outcome = 'failed';
+    row.outcomeError = message;
+    summary.failed++;
+    logger.error(`Error committing row ${row.rowNumber} for student ${row.data.rollNumber}:`, message);
+  };
+
+  // Work out the write for one row against the cached students, updating the cache as if it succeeded
+  const planRow = (row) => {
+    const { data } = row;
+    const course = coursesById.get(data.courseId);
+    if (!course) throw new Error(`Unknown course ${data.courseId}`);
+
+    const mentor = mentorsByName.get(Faculty.normalizeName(data.subjectMentor))?._id || course.mentor;
+    const enrollment = Student.newEnrollment({
+      course: course._id,
+      courseId: course.courseId,
+      courseName: data.courseName || course.title,
+      subjectMentor: data.subjectMentor,
+      mentor,
+      results: []
+    }, { by: 'import', note: session.filename });
+
+    const student = studentsByRoll.get(rollKey(data.rollNumber));
+    if (student?.archivedAt) throw new Error(`Student ${student.rollNumber} is archived; restore it before importing`);
+    if (!student) {
+      const profile = {
+        _id: new mongoose.Types.ObjectId(),
+        rollNumber: data.rollNumber,
+        name: data.name,
+        branch: data.branch,
+        year: data.year,
+        email: data.email || placeholderEmail(data.rollNumber)
+      };
+      const invalid = new Student({ ...profile, courses: [enrollment] }).validateSync();
+      if (invalid) throw invalid;
+      studentsByRoll.set(rollKey(data.rollNumber), { ...profile, courses: [enrollment] });
+      // An upsert, so a student created meanwhile is not created twice
+      return {
+        outcome: 'created',
+        changes: ['student', 'courses'],
+        conflicts: [],
+        op: {
+          updateOne: {
+            filter: { rollNumber: data.rollNumber },
+            update: { $setOnInsert: { ...profile, courses: [enrollment] } },
+            upsert: true
+          }
+        }
+      };
+    }
+
+    const set = {};
+    const changes = [];
+    const conflicts = [];
+    const compare = (field, path, current, incoming, blank) => {
+      const result = reconcile(current, incoming, { blank });
+      if (result === 'fill') {
+        set[path] = incoming;
+        changes.push(field);
+      } else if (result === 'conflict') {
+        conflicts.push({ field, current, incoming });
+      }
+    };
+
+    PROFILE_FIELDS.forEach(field => {
+      const blank = !student[field] || (field === 'email' && student.email === placeholderEmail(student.rollNumber));
+      // A stored alias of the uploaded code ("Computer Science" for CSE) is not a conflict
+      if (student[field] && resolvers[field] && resolvers[field](student[field]) === data[field]) return;
+      compare(field, field, student[field], data[field], blank);
+    });
+
+    student.courses = student.courses || [];
+    const current = student.courses.find(c => c.courseId?.toLowerCase() === course.courseId);
+    const update = {};
+    const filter = { _id: student._id };
+    let arrayFilters;
+    if (!current) {
+      // Guarded so a concurrent import cannot add the course twice
+      filter['courses.courseId'] = { $not: new RegExp(`^${escapeRegex(course.courseId)}$`, 'i') };
+      update.$push = { courses: enrollment };
+      changes.push('courses');
+    } else {
+      ENROLLMENT_FIELDS.forEach(field => {
+        compare(`courses.${field}`, `courses.$[enrollment].${field}`, current[field], data[field]);
+      });
+      if (!current.mentor && mentor) {
+        set['courses.$[enrollment].mentor'] = mentor;
+        changes.push('courses.mentor');
+      }
+      arrayFilters = [{ 'enrollment.courseId': current.courseId }];
+    }
+    if (Object.keys(set).length > 0) update.$set = set;
+
+    // Keep the cached copy current for later rows of the same student
+    Object.entries(set).filter(([path]) => !path.startsWith('courses.')).forEach(([field, value]) => { student[field] = value; });
+    if (!current) student.courses.push(enrollment);
+    if (current) {
+      Object.entries(set).filter(([path]) => path.startsWith('courses.')).forEach(([path, value]) => {
+        current[path.split('.').pop()] = value;
+      });
+    }
+
+    let outcome = changes.length > 0 ? 'updated' : 'unchanged';
+    if (conflicts.length > 0) outcome = 'conflicting';
+    return {
+      outcome,
+      changes,
+      conflicts,
+      guarded: !current,
+      op: Object.keys(update).length > 0
+        ? { updateOne: { filter, update, ...(arrayFilters && { arrayFilters }) } }
+        : null
+    };
+  };
+
+  let processed = 0;
+  for (let start = 0; start < accepted.length; start += COMMIT_CHUNK_SIZE) {
+    if (shouldStop && await shouldStop()) {
+      session.status = 'pending';
+      await session.save();
+      logger.bulkUpload(`Stopped committing import session ${session._id} after ${processed} rows`);
+      return { ...summary, stopped: true };
+    }
+
+    const planned = [];
+    accepted.slice(start, start + COMMIT_CHUNK_SIZE).forEach(row => {
+      try {
+        planned.push({ row, ...planRow(row) });
+      } catch (error) {
+        fail(row, error.message);
+      }
+    });
+
+    const writes = planned.filter(p => p.op);
+    const written = await writeInOrder(Student, writes.map(p => p.op), { guarded: i => writes[i].guarded });
+    writes.forEach((plan, i) => { plan.written = written[i]; });
+
+    // Students whose creation did not go through; later rows for them wrote nothing
+    const notCreated = new Set();
+    planned.forEach(({ row, outcome, changes, conflicts, guarded, written: result }) => {
+      const key = rollKey(row.data.rollNumber);
+      if (notCreated.has(key)) {
+        return fail(row, `Student ${row.data.rollNumber} could not be created; commit the session again`);
+      }
+      if (outcome === 'created' && (result.error || !result.upserted)) {
+        notCreated.add(key);
+        studentsByRoll.delete(key);
+        // Without an error the roll number was created by someone else between loading and writing
+        return fail(row, result.error || `Student ${row.data.rollNumber} was created by another request; commit the session again`);
+      }
+      if (result?.error) return fail(row, result.error);
+      // The guard found the course already there, so nothing in the row was written
+      if (guarded && !result.matched) {
+        changes = [];
+        conflicts = [...conflicts, {
+          field: 'courses.courseId',
+          current: `${row.data.courseId} (enrolled by another write; commit the session again)`,
+          incoming: row.data.courseId
+        }];
+        outcome = 'conflicting';
+      }
+      row.changes = changes;
+      row.conflicts = conflicts;
+      row.outcome = outcome;
+      summary[outcome]++;
+      logger.bulkUpload(`${outcome[0].toUpperCase()}${outcome.slice(1)} student: ${row.data.rollNumber}`);
+    });
+
+    processed = Math.min(start + COMMIT_CHUNK_SIZE, accepted.length);
+    if (progress) await progress({ processed, total: accepted.length, counts: { ...summary } });
+  }
+
+  session.status = 'committed';
+  session.committedAt = new Date();
+  session.commitSummary = summary;
+  await session.save();
+
+  return summary;
+};
+
+// What a commit reports: the outcome counts with the conflicting and failed rows
+const commitReport = (session, summary) => ({
+  message: `Committed ${session.summary.accepted} of ${session.summary.total} rows`,
+  sessionId: session._id,
+  ...summary,
+  conflicts: session.rows
+    .filter(r => r.outcome === 'conflicting')
+    .map(r => ({ rowNumber: r.rowNumber, studentId: r.data.rollNumber, courseId: r.data.courseId, conflicts: r.conflicts })),
+  errors: session.rows
+    .filter(r => r.outcome === 'failed')
+    .map(r => ({ rowNumber: r.rowNumber, studentId: r.data.rollNumber, error: r.outcomeError }))
+});
+
+module.exports = {
+  validateEnrollmentRows,
+  commitEnrollmentSession,
+  commitReport
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+
+// Default error code for each status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  500: 'INTERNAL_ERROR'
+};
+
+// An error meant for the client: HTTP status, a stable code, and optional
+// field errors ([{ field, message }]) and extra details
+class AppError extends Error {
+  constructor(status, message, { code, fields, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || 'ERROR';
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+// Turn whatever a route threw into an AppError; unknown errors become a 500
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError(400, 'Validation failed', {
+      code: 'VALIDATION_FAILED',
+      fields: Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+    });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(400, `Invalid value for ${err.path}`, {
+      code: 'INVALID_VALUE',
+      fields: [{ field: err.path, message: `"${err.value}" is not a valid ${err.kind}` }]
+    });
+  }
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || {}).map(field => ({ field, message: `"${err.keyValue[field]}" already exists` }));
+    return new AppError(409, 'Duplicate value', { code: 'DUPLICATE', fields });
+  }
+  if (err instanceof multer.MulterError) {
+    return new AppError(400, err.message, { code: 'UPLOAD_FAILED', fields: err.field ? [{ field: err.field, message: err.message }] : undefined });
+  }
+  // express.json() on a malformed body
+  if (err?.type === 'entity.parse.failed') {
+    return new AppError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+  if (err?.status >= 400 && err.status < 500) {
+    return new AppError(err.status, err.message);
+  }
+
+  const internal = new AppError(500, 'Something went wrong');
+  internal.cause = err;
+  return internal;
+};
+
+module.exports = {
+  AppError,
+  toAppError
+};
@@ -0,0 +1,67 @@
+const XLSX = require('xlsx');
+
+const EXPORT_FORMATS = ['xlsx', 'csv'];
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ]
+const sheetName = (name, used) => {
+  const base = String(name || 'Sheet').replace(/[:\\/?*[\]]/g, '-').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let i = 2; used.has(candidate); i++) {
+    candidate = `${base.slice(0, 31 - String(i).length - 1)}-${i}`;
+  }
+  used.add(candidate);
+  return candidate;
+};
+
+// Text that a spreadsheet would run as a formula (=, +, - or @ first, or a leading tab or carriage
+// return) is prefixed with ' so it stays text; numbers are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const escapeCell = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+// Worksheet from an array of row objects, with column widths fitted to the content and an autofilter
+const buildSheet = (rawRows, columns) => {
+  const rows = rawRows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeCell(value)])));
+  const headers = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const sheet = XLSX.utils.json_to_sheet(rows, { header: headers });
+
+  sheet['!cols'] = headers.map(header => ({
+    wch: Math.min(60, Math.max(
+      String(header).length,
+      ...rows.map(row => String(row[header] ?? '').length)
+    ) + 2)
+  }));
+  if (rows.length > 0) {
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: headers.length - 1 } }) };
+  }
+  return sheet;
+};
+
+// Send report sheets ([{ name, rows, columns? }]) as a workbook, or one sheet as CSV
+// (the sheet named by ?sheet=, else the first)
+const sendExport = (req, res, { filename, sheets }) => {
+  const format = req.query.format;
+
+  if (format === 'csv') {
+    const chosen = sheets.find(s => s.name === req.query.sheet) || sheets[0];
+    const csv = XLSX.utils.sheet_to_csv(buildSheet(chosen.rows, chosen.columns));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    // BOM so Excel opens UTF-8 names correctly
+    return res.send(`\uFEFF${csv}`);
+  }
+
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  sheets.forEach(({ name, rows, columns }) => {
+    XLSX.utils.book_append_sheet(workbook, buildSheet(rows, columns), sheetName(name, used));
+  });
+
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  return res.send(buffer);
+};
+
+const isExport = (req) => EXPORT_FORMATS.includes(req.query.format);
+
+module.exports = { EXPORT_FORMATS, isExport, sendExport };
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { AppError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive substring match of `search` on any of the given fields
+const searchFilter = (search, fields) => {
+  if (!search || !String(search).trim()) return {};
+  const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+};
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error();
+    return { value: v, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new AppError(400, 'Invalid cursor', { code: 'INVALID_QUERY' });
+  }
+};
+
+// Page options from the query string:
+//   page/limit for numbered pages, or cursor (from a previous nextCursor) for keyset paging;
+//   sort=field or sort=-field from `sortable`; fields=a,b or fields=-a,-b limited to `selectable` roots
+const parseListQuery = (query, { sortable, selectable, defaultSort, defaultFields, dateFields = [] }) => {
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT));
+  const page = Math.max(1, parseInt(query.page) || 1);
+
+  const sortParam = String(query.sort || defaultSort);
+  const sortField = sortParam.replace(/^[-+]/, '');
+  if (!sortable.includes(sortField)) {
+    throw new AppError(400, `Cannot sort by "${sortField}". Sortable fields: ${sortable.join(', ')}`, { code: 'INVALID_QUERY' });
+  }
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+
+  let fields = defaultFields;
+  if (query.fields) {
+    const requested = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = requested.filter(f => !selectable.includes(f.replace(/^-/, '').split('.')[0]));
+    if (unknown.length > 0) {
+      throw new AppError(400, `Unknown fields: ${unknown.join(', ')}. Selectable fields: ${selectable.join(', ')}`, { code: 'INVALID_QUERY' });
+    }
+    const excluding = requested.filter(f => f.startsWith('-'));
+    if (excluding.length > 0 && excluding.length < requested.length) {
+      throw new AppError(400, 'fields must either all be included or all be excluded (prefixed with -)', { code: 'INVALID_QUERY' });
+    }
+    fields = requested.join(' ');
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (dateFields.includes(sortField) && cursor.value !== null) cursor.value = new Date(cursor.value);
+  }
+
+  return { limit, page, sortField, direction, fields, cursor };
+};
+
+// Run a paged find; returns the page metadata and the documents
+const paginate = async (Model, filter, options, { populate } = {}) => {
+  const { limit, page, sortField, direction, fields, cursor } = options;
+  const sort = { [sortField]: direction, _id: direction };
+
+  let pageFilter = filter;
+  if (cursor) {
+    const beyond = direction === 1 ? '$gt' : '$lt';
+    // $gt/$lt never match null or missing values, which sort before everything else:
+    // ascending pages reach them first, descending pages last
+    const after = [{ [sortField]: cursor.value, _id: { [beyond]: cursor.id } }];
+    if (cursor.value === null) {
+      if (direction === 1) after.push({ [sortField]: { $ne: null } });
+    } else {
+      after.push({ [sortField]: { [beyond]: cursor.value } });
+      if (direction === -1) after.push({ [sortField]: null });
+    }
+    pageFilter = { $and: [filter, { $or: after }] };
+  }
+
+  // The cursor needs the sort field, so it is always fetched and dropped again when the projection left it out
+  let projection = fields;
+  let hiddenSortField = false;
+  if (fields) {
+    const paths = fields.split(' ');
+    if (paths.includes(`-${sortField}`)) {
+      projection = paths.filter(path => path !== `-${sortField}`).join(' ');
+      hiddenSortField = true;
+    } else if (sortField !== '_id' && !paths[0].startsWith('-') && !paths.includes(sortField)) {
+      projection = [...paths, sortField].join(' ');
+      hiddenSortField = true;
+    }
+  }
+
+  let find = Model.find(pageFilter).sort(sort).limit(limit + 1).lean();
+  if (!cursor) find = find.skip((page - 1) * limit);
+  if (projection) find = find.select(projection);
+  if (populate) find = find.populate(populate);
+
+  const [docs, total] = await Promise.all([find, Model.countDocuments(filter)]);
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = docs[docs.length - 1];
+    nextCursor = encodeCursor(last[sortField] ?? null, last._id);
+  }
+  if (hiddenSortField) docs.forEach(doc => delete doc[sortField]);
+
+  return {
+    meta: {
+      total,
+      limit,
+      ...(cursor ? {} : { page, pages: Math.ceil(total / limit) }),
+      hasMore,
+      nextCursor
+    },
+    docs
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  searchFilter,
+  parseListQuery,
+  paginate
+};
@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+let transport = null;
+
+// MAIL_TRANSPORT=smtp (default) sends through SMTP_HOST/SMTP_PORT, which default to the local
+// stand-in started by `npm run smtp` (localhost:1025); MAIL_TRANSPORT=json only logs the rendered message
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Swap the transport, e.g. for a stub in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async (message) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'NPTEL Coordinator <nptel@localhost>',
+    ...message
+  });
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    logger.general(`Mail (json transport): ${info.message}`);
+  }
+  return info;
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,67 @@
+const Student = require('../models/Student');
+const { standardizeWeekFormat, weekNumber, resultStatus } = require('./week');
+
+// Week labels present in the given enrollments' imported results
+const importedWeeks = (enrollments = []) =>
+  enrollments.flatMap(e => (e.results || []).map(r => standardizeWeekFormat(r.week)));
+
+// Weeks of a course in order: its assignment schedule, else its length, else whatever was imported
+const courseWeeks = (course, imported = []) => {
+  let weeks;
+  if (course?.assignments?.length) {
+    weeks = course.assignments.map(a => a.week);
+  } else if (course?.durationWeeks) {
+    weeks = Array.from({ length: course.durationWeeks }, (_, i) => `Week ${i + 1} Assignment`);
+  } else {
+    weeks = imported;
+  }
+  return [...new Set(weeks)].sort((a, b) => weekNumber(a) - weekNumber(b));
+};
+
+// Weeks that are due: past their due date, or already present in an import when there is no schedule
+const dueWeeks = (course, weeks, imported = [], now = new Date()) => {
+  const dueDates = new Map((course?.assignments || []).map(a => [a.week, a.dueDate]));
+  const importedSet = new Set(imported);
+  return weeks.filter(week => {
+    const dueDate = dueDates.get(week);
+    return dueDate ? new Date(dueDate) <= now : importedSet.has(week);
+  });
+};
+
+// Week list and due weeks for each course, taking imported weeks from every enrollment in the
+// course rather than only the ones at hand, so a student with no results yet sees the same weeks
+const loadCourseWeeks = async (courseIds, coursesById, now = new Date()) => {
+  const imported = await Student.aggregate([
+    { $match: { 'courses.courseId': { $in: courseIds } } },
+    { $unwind: '$courses' },
+    { $match: { 'courses.courseId': { $in: courseIds } } },
+    { $unwind: '$courses.results' },
+    { $group: { _id: '$courses.courseId', weeks: { $addToSet: '$courses.results.week' } } }
+  ]);
+  const importedById = new Map(imported.map(r => [r._id, r.weeks.map(standardizeWeekFormat)]));
+
+  return new Map(courseIds.map(id => {
+    const course = coursesById.get(id);
+    const weeks = courseWeeks(course, importedById.get(id));
+    return [id, { weeks, due: dueWeeks(course, weeks, importedById.get(id), now) }];
+  }));
+};
+
+// One cell per week for an enrollment; weeks not yet due are "upcoming"
+const completionRow = (enrollment, weeks, due) => {
+  const byWeek = new Map((enrollment.results || []).map(r => [standardizeWeekFormat(r.week), r]));
+  const dueSet = new Set(due);
+  return weeks.map(week => {
+    const result = byWeek.get(week);
+    if (!result && !dueSet.has(week)) return { week, status: 'upcoming', score: null };
+    return { week, status: resultStatus(result), score: result?.score ?? null, maxMarks: result?.maxMarks };
+  });
+};
+
+module.exports = {
+  importedWeeks,
+  courseWeeks,
+  dueWeeks,
+  loadCourseWeeks,
+  completionRow
+};
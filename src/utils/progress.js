@@ -0,0 +1,130 @@
+const { isSubmitted, weekNumber } = require('./week');
+const { importedWeeks, courseWeeks, dueWeeks, completionRow } = require('./mentees');
+
+// The standard NPTEL rule: 25% from the best assignments, 75% from the proctored exam,
+// a certificate needs >= 10/25, >= 30/75 and >= 40 overall
+const DEFAULT_SCORING = {
+  assignmentWeight: 25,
+  examWeight: 75,
+  assignmentCutoff: 10,
+  examCutoff: 30,
+  finalCutoff: 40,
+  defaultMaxMarks: 100
+};
+
+// Best-N counts NPTEL uses for its usual course lengths
+const DEFAULT_BEST_OF = { 4: 3, 8: 6, 12: 8 };
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Scoring rule for a course, with the course's own settings taking precedence
+const scoringRule = (course, totalWeeks) => {
+  const configured = Object.fromEntries(
+    Object.entries(course?.scoring || {}).filter(([, value]) => value !== undefined && value !== null)
+  );
+  const rule = { ...DEFAULT_SCORING, ...configured };
+  rule.bestOf = Math.min(
+    configured.bestOf || DEFAULT_BEST_OF[totalWeeks] || totalWeeks,
+    totalWeeks
+  ) || 1;
+  return rule;
+};
+
+// Average of the best N percentages (missing entries count as 0), weighted to the assignment share
+const bestOfScore = (percents, rule) => {
+  const best = [...percents].sort((a, b) => b - a).slice(0, rule.bestOf);
+  while (best.length < rule.bestOf) best.push(0);
+  return average(best) * rule.assignmentWeight / 100;
+};
+
+// Compare recent submissions with the ones before them
+const trendOf = (percents) => {
+  if (percents.length < 4) return 'insufficient-data';
+  const window = Math.min(3, Math.floor(percents.length / 2));
+  const recent = average(percents.slice(-window));
+  const earlier = average(percents.slice(-2 * window, -window));
+  if (recent - earlier >= 10) return 'improving';
+  if (earlier - recent >= 10) return 'declining';
+  return 'steady';
+};
+
+// Progress of one enrollment: best-N assignment score, certificate exam eligibility,
+// and a projected final score when an exam mark (out of 100) is given
+// (weeks and due can be passed in when they were worked out for the whole course)
+const courseProgress = (enrollment, course, { examScore, now = new Date(), weeks, due } = {}) => {
+  weeks = weeks || courseWeeks(course, importedWeeks([enrollment]));
+  due = due || dueWeeks(course, weeks, importedWeeks([enrollment]), now);
+  const rule = scoringRule(course, weeks.length);
+  const row = completionRow(enrollment, weeks, due);
+
+  const maxMarksByWeek = new Map((course?.assignments || []).map(a => [a.week, a.maxMarks]));
+  const cells = row.map(cell => {
+    const maxMarks = cell.maxMarks || maxMarksByWeek.get(cell.week) || rule.defaultMaxMarks;
+    const percent = isSubmitted(cell) && cell.score !== null ? Math.min(100, cell.score / maxMarks * 100) : null;
+    return { ...cell, maxMarks, percent: round(percent) };
+  });
+
+  // Exempt weeks are left out of the rule entirely
+  const counted = cells.filter(c => c.status !== 'exempt');
+  const dueCells = counted.filter(c => c.status !== 'upcoming');
+  const duePercents = dueCells.map(c => c.percent ?? 0);
+  const upcoming = counted.filter(c => c.status === 'upcoming').length;
+
+  // Secured: remaining weeks scored 0. Best case: remaining weeks scored 100%.
+  const securedScore = bestOfScore(duePercents, rule);
+  const maxAchievable = bestOfScore([...duePercents, ...Array(upcoming).fill(100)], rule);
+  // Projection: remaining weeks continue at the average so far
+  const paceSoFar = average(duePercents);
+  const projectedAssignment = bestOfScore([...duePercents, ...Array(upcoming).fill(paceSoFar)], rule);
+
+  let eligibilityStatus;
+  if (securedScore >= rule.assignmentCutoff) eligibilityStatus = 'eligible';
+  else if (maxAchievable >= rule.assignmentCutoff) eligibilityStatus = 'possible';
+  else eligibilityStatus = 'not-eligible';
+
+  let projection = null;
+  if (examScore !== undefined && examScore !== null && !Number.isNaN(examScore)) {
+    const examComponent = Math.min(100, Math.max(0, examScore)) * rule.examWeight / 100;
+    const finalScore = projectedAssignment + examComponent;
+    projection = {
+      examScore,
+      examComponent: round(examComponent),
+      assignmentComponent: round(projectedAssignment),
+      finalScore: round(finalScore),
+      certificate: projectedAssignment >= rule.assignmentCutoff
+        && examComponent >= rule.examCutoff
+        && finalScore >= rule.finalCutoff
+    };
+  }
+
+  const submittedPercents = dueCells
+    .filter(c => c.percent !== null)
+    .sort((a, b) => weekNumber(a.week) - weekNumber(b.week))
+    .map(c => c.percent);
+
+  return {
+    courseId: enrollment.courseId,
+    courseName: course?.title || enrollment.courseName,
+    status: enrollment.status,
+    examDate: course?.examDate,
+    rule,
+    totalWeeks: weeks.length,
+    weeksDue: dueCells.length,
+    weeksSubmitted: dueCells.filter(isSubmitted).length,
+    weeksMissed: dueCells.filter(c => !isSubmitted(c)).map(c => c.week),
+    assignmentScore: round(securedScore),
+    assignmentScoreMax: round(maxAchievable),
+    assignmentScoreProjected: round(projectedAssignment),
+    eligibility: {
+      status: eligibilityStatus,
+      cutoff: rule.assignmentCutoff
+    },
+    projection,
+    trend: trendOf(submittedPercents),
+    weeks: cells
+  };
+};
+
+module.exports = { DEFAULT_SCORING, DEFAULT_BEST_OF, scoringRule, courseProgress };
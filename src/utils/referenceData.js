@@ -0,0 +1,125 @@
+const Student = require('../models/Student');
+const Department = require('../models/Department');
+const Batch = require('../models/Batch');
+const logger = require('./logger');
+const { aliasKey } = require('./aliases');
+const { refreshSummariesQuietly } = require('./statistics');
+
+// Student fields backed by a reference list
+const REFERENCE_MODELS = {
+  branch: Department,
+  year: Batch
+};
+
+// value => code for the active entries of a list, or null when the list is empty
+// (nothing is configured yet, so every value is left as uploaded)
+const loadResolver = async (Model) => {
+  const entries = await Model.find({ active: true }).select('code aliasKeys').lean();
+  if (entries.length === 0) return null;
+  const codes = new Map();
+  entries.forEach(entry => entry.aliasKeys.forEach(key => codes.set(key, entry.code)));
+  return (value) => codes.get(aliasKey(value)) ?? null;
+};
+
+// Resolvers for every reference field: { branch, year }
+const loadResolvers = async () => {
+  const fields = Object.keys(REFERENCE_MODELS);
+  const resolvers = await Promise.all(fields.map(field => loadResolver(REFERENCE_MODELS[field])));
+  return Object.fromEntries(fields.map((field, i) => [field, resolvers[i]]));
+};
+
+// Replace uploaded branch and year values with their codes, recording what changed on the row
+// (normalized) and which values matched no entry (unmapped, also reported as a warning)
+const normalizeRow = (row, resolvers) => {
+  row.normalized = [];
+  row.unmapped = [];
+  Object.entries(resolvers).forEach(([field, resolve]) => {
+    const value = row.data[field];
+    if (!resolve || !value) return;
+    const code = resolve(value);
+    if (code === null) {
+      row.unmapped.push(field);
+      row.warnings.push(`Unknown ${field} "${value}"`);
+    } else if (code !== value) {
+      row.normalized.push({ field, from: value, to: code });
+      row.data[field] = code;
+    }
+  });
+};
+
+// Unmapped values of an import with the rows they appear in: { branch: [{ value, rows }], year: [...] }
+const summarizeUnmapped = (rows) => {
+  const summary = {};
+  Object.keys(REFERENCE_MODELS).forEach(field => {
+    const byValue = new Map();
+    rows.filter(row => row.unmapped?.includes(field)).forEach(row => {
+      const value = row.data[field];
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(row.rowNumber);
+    });
+    summary[field] = [...byValue.entries()].map(([value, rowNumbers]) => ({ value, rows: rowNumbers }));
+  });
+  return summary;
+};
+
+// Every stored value of a student field, archived students included, sorted into values that already
+// are a code, values an alias maps to a code, and values no entry matches
+const valueReport = async (field) => {
+  const Model = REFERENCE_MODELS[field];
+  const [counts, entries] = await Promise.all([
+    Student.aggregate([
+      { $group: { _id: `$${field}`, students: { $sum: 1 } } },
+      { $sort: { students: -1, _id: 1 } }
+    ]).option({ includeArchived: true }),
+    Model.find().select('code aliasKeys active').lean()
+  ]);
+  const codes = new Map();
+  entries.forEach(entry => entry.aliasKeys.forEach(key => codes.set(key, entry.code)));
+
+  const report = { field, entries: entries.length, canonical: [], aliases: [], unmapped: [], missing: 0 };
+  counts.forEach(({ _id: value, students }) => {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      report.missing += students;
+      return;
+    }
+    const code = codes.get(aliasKey(value));
+    if (code === undefined) report.unmapped.push({ value, students });
+    else if (code === value) report.canonical.push({ value, students });
+    else report.aliases.push({ value, code, students });
+  });
+  return report;
+};
+
+// Rewrite stored values an alias maps to a code; dryRun only reports what would change
+const migrateValues = async (field, { dryRun = false } = {}) => {
+  const report = await valueReport(field);
+  const result = {
+    field,
+    dryRun,
+    changes: report.aliases.map(({ value, code, students }) => ({ from: value, to: code, students })),
+    unmapped: report.unmapped
+  };
+  if (dryRun) return result;
+
+  let modified = 0;
+  for (const change of result.changes) {
+    const written = await Student.updateMany({ [field]: change.from }, { $set: { [field]: change.to } });
+    change.students = written.modifiedCount;
+    modified += written.modifiedCount;
+  }
+  if (modified > 0) {
+    logger.general(`Migrated ${field} of ${modified} students to reference codes`);
+    refreshSummariesQuietly();
+  }
+  result.modified = modified;
+  return result;
+};
+
+module.exports = {
+  REFERENCE_MODELS,
+  loadResolvers,
+  normalizeRow,
+  summarizeUnmapped,
+  valueReport,
+  migrateValues
+};
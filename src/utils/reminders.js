@@ -0,0 +1,186 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Reminder = require('../models/Reminder');
+const { sendMail } = require('./mailer');
+const { AppError } = require('./errors');
+const { standardizeWeekFormat, resultStatus } = require('./week');
+const logger = require('./logger');
+
+const DEFAULT_TEMPLATE = {
+  subject: 'Reminder: {{courseName}} {{week}} is pending',
+  text: [
+    'Dear {{name}},',
+    '',
+    'Our records show that you have not yet submitted {{week}} of the NPTEL course {{courseName}} ({{courseId}}).',
+    'Due date: {{dueDate}}.',
+    '',
+    'Please complete it on the NPTEL portal before the deadline.',
+    '',
+    'Regards,',
+    '{{mentorName}}'
+  ].join('\n')
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Replace {{placeholder}} tokens; unknown placeholders become empty
+const renderTemplate = (template, values) => template.replace(/{{\s*(\w+)\s*}}/g, (_, key) => values[key] ?? '');
+
+// Claims left "sending" this long were cut off mid-send (e.g. by a restart) and are given up
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const releaseStaleClaims = (courseId, week) => Reminder.updateMany(
+  { courseId, week, status: 'sending', claimed: true, createdAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+  { $set: { status: 'failed', error: 'Interrupted before the mail server answered' }, $unset: { claimed: 1 } }
+);
+
+// Accept "3", "Week 3" or "Week 03 Assignment"
+const weekLabel = (week) => standardizeWeekFormat(/^\d+$/.test(String(week).trim()) ? `Week ${week}` : String(week));
+
+// Email every active enrollee of a course who has not submitted the given week.
+// Students already reminded (or being reminded) for that week are skipped unless resend is set.
+const sendWeekReminders = async ({
+  courseId,
+  week,
+  ccMentor = false,
+  template = {},
+  resend = false,
+  dryRun = false,
+  mentorId,
+  trigger = 'manual',
+  sentBy
+}) => {
+  const normalizedId = courseId.toLowerCase();
+  const label = weekLabel(week);
+  const course = await Course.findOne({ courseId: normalizedId }).lean();
+  const assignment = course?.assignments?.find(a => a.week === label);
+  // A week outside the course schedule matches no result, so every enrollee would be emailed
+  if (course?.assignments?.length && !assignment) {
+    throw new AppError(400, `${normalizedId} has no ${label}`, {
+      code: 'VALIDATION_FAILED',
+      fields: [{ field: 'week', message: `must be one of ${course.assignments.map(a => a.week).join(', ')}` }]
+    });
+  }
+
+  const enrollmentMatch = { courseId: normalizedId, status: 'active' };
+  if (mentorId) enrollmentMatch.mentor = mentorId;
+
+  const students = await Student.find({ courses: { $elemMatch: enrollmentMatch } })
+    .select('name rollNumber email courses')
+    .populate('courses.mentor', 'name email')
+    .lean();
+
+  const pending = students
+    .map(student => ({
+      student,
+      enrollment: student.courses.find(c => c.courseId?.toLowerCase() === normalizedId && c.status === 'active')
+    }))
+    .filter(({ enrollment }) => {
+      const result = enrollment?.results?.find(r => standardizeWeekFormat(r.week) === label);
+      return enrollment && resultStatus(result) === 'not-submitted';
+    });
+
+  if (!dryRun) await releaseStaleClaims(normalizedId, label);
+
+  const alreadyReminded = resend ? new Set() : new Set(
+    (await Reminder.find({
+      courseId: normalizedId,
+      week: label,
+      status: { $in: ['sending', 'sent'] },
+      student: { $in: pending.map(p => p.student._id) }
+    }).distinct('student')).map(id => id.toString())
+  );
+
+  const report = {
+    courseId: normalizedId,
+    week: label,
+    dryRun,
+    pending: pending.length,
+    sent: 0,
+    failed: 0,
+    alreadyReminded: 0,
+    noEmail: [],
+    recipients: []
+  };
+
+  for (const { student, enrollment } of pending) {
+    if (alreadyReminded.has(student._id.toString())) {
+      report.alreadyReminded++;
+      continue;
+    }
+    if (!EMAIL_PATTERN.test(student.email || '')) {
+      report.noEmail.push(student.rollNumber);
+      continue;
+    }
+
+    const mentor = enrollment.mentor;
+    const values = {
+      name: student.name || student.rollNumber,
+      rollNumber: student.rollNumber,
+      courseId: normalizedId,
+      courseName: course?.title || enrollment.courseName || normalizedId,
+      week: label,
+      dueDate: assignment?.dueDate ? new Date(assignment.dueDate).toDateString() : 'as announced on the NPTEL portal',
+      mentorName: mentor?.name || enrollment.subjectMentor || 'NPTEL Coordinator'
+    };
+    const message = {
+      to: student.email,
+      cc: ccMentor && EMAIL_PATTERN.test(mentor?.email || '') ? [mentor.email] : [],
+      subject: renderTemplate(template.subject || DEFAULT_TEMPLATE.subject, values),
+      text: renderTemplate(template.text || DEFAULT_TEMPLATE.text, values)
+    };
+
+    if (dryRun) {
+      report.recipients.push({ rollNumber: student.rollNumber, to: message.to, cc: message.cc, subject: message.subject });
+      continue;
+    }
+
+    const entry = {
+      course: course?._id,
+      courseId: normalizedId,
+      week: label,
+      student: student._id,
+      rollNumber: student.rollNumber,
+      to: message.to,
+      cc: message.cc,
+      subject: message.subject,
+      trigger,
+      sentBy
+    };
+
+    // Claim the reminder before sending; a run that got there first keeps it
+    if (resend) {
+      await Reminder.updateMany(
+        { courseId: normalizedId, week: label, student: student._id, status: 'sent', claimed: true },
+        { $unset: { claimed: 1 } }
+      );
+    }
+    let claim;
+    try {
+      claim = await Reminder.create({ ...entry, status: 'sending', claimed: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      report.alreadyReminded++;
+      continue;
+    }
+
+    try {
+      const info = await sendMail(message);
+      await Reminder.updateOne({ _id: claim._id }, { $set: { status: 'sent', messageId: info.messageId } });
+      report.sent++;
+    } catch (error) {
+      logger.error(`Failed to send reminder to ${student.rollNumber}:`, error);
+      // A failed send gives the claim up, so the next run tries again
+      await Reminder.updateOne(
+        { _id: claim._id },
+        { $set: { status: 'failed', error: error.message }, $unset: { claimed: 1 } }
+      );
+      report.failed++;
+    }
+  }
+
+  logger.general(`Reminders for ${normalizedId} ${label}: ${report.sent} sent, ${report.failed} failed, ${report.alreadyReminded} already reminded`);
+  return report;
+};
+
+module.exports = { DEFAULT_TEMPLATE, renderTemplate, weekLabel, sendWeekReminders };
@@ -0,0 +1,52 @@
+const Course = require('../models/Course');
+
+// Key/value rows for an export's summary sheet
+const summaryRows = (entries) => Object.entries(entries)
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([Item, Value]) => ({ Item, Value }));
+
+// One sheet of students per branch, for the unsubmitted exports
+const branchSheets = (students) => {
+  const byBranch = students.reduce((acc, student) => {
+    const key = student.branch || 'Unknown';
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(student);
+    return acc;
+  }, {});
+
+  return Object.keys(byBranch).sort().map(branch => ({
+    name: branch,
+    columns: ['Roll Number', 'Name', 'Email', 'Year', 'Mentor'],
+    rows: byBranch[branch].map(student => ({
+      'Roll Number': student.rollNumber,
+      Name: student.name,
+      Email: student.email,
+      Year: student.year,
+      Mentor: student.mentor
+    }))
+  }));
+};
+
+const branchCounts = (sheets) => Object.fromEntries(
+  sheets.map(sheet => [`Branch ${sheet.name}`, sheet.rows.length])
+);
+
+// Index the Course registry by courseId for the reporting routes
+const loadCourseIndex = async () => {
+  const courses = await Course.find({}).select('courseId run discipline title').lean();
+  return new Map(courses.map(course => [course.courseId, course]));
+};
+
+// Registered metadata for a course, falling back to the id for unregistered legacy entries
+const courseInfo = (courseIndex, courseId) => {
+  const key = courseId?.toLowerCase();
+  return courseIndex.get(key) || { courseId: key, ...(Course.parseCourseId(key) || {}) };
+};
+
+module.exports = {
+  summaryRows,
+  branchSheets,
+  branchCounts,
+  loadCourseIndex,
+  courseInfo
+};
@@ -0,0 +1,58 @@
+const { AppError } = require('./errors');
+const { escapeRegex } = require('./listQuery');
+const { standardizeWeekFormat, weekNumber } = require('./week');
+
+// What a mass change can be limited to, in a fixed order so scopes compare as JSON
+const SCOPE_FIELDS = ['courseId', 'run', 'branch', 'year', 'week'];
+
+// Keep only the scope fields that were given
+const normalizeScope = (input = {}) => {
+  const scope = {};
+  SCOPE_FIELDS.forEach(field => {
+    if (input[field] !== undefined && input[field] !== '') scope[field] = input[field];
+  });
+  if (scope.courseId) scope.courseId = scope.courseId.toLowerCase();
+  if (scope.run) scope.run = scope.run.toLowerCase();
+  if (scope.week) scope.week = standardizeWeekFormat(scope.week);
+  if (scope.courseId && scope.run && !scope.courseId.startsWith(`${scope.run}-`)) {
+    throw new AppError(400, `Course ${scope.courseId} is not part of run ${scope.run}`, {
+      code: 'INVALID_SCOPE'
+    });
+  }
+  return scope;
+};
+
+// Course ids a scope covers, or null for every course
+const courseIdPattern = ({ courseId, run }) => {
+  if (courseId) return new RegExp(`^${escapeRegex(courseId)}$`, 'i');
+  if (run) return new RegExp(`^${escapeRegex(run)}-`, 'i');
+  return null;
+};
+
+// Labels such as "Week 3", "Week 03" or "week 3 assignment" stored for one week
+const weekPattern = (week) => new RegExp(`^\\s*week\\s*0*${weekNumber(week)}(\\s*assignment)?\\s*$`, 'i');
+
+// Students a scope covers
+const studentFilter = (scope) => {
+  const filter = {};
+  if (scope.branch) filter.branch = scope.branch;
+  if (scope.year) filter.year = scope.year;
+  const pattern = courseIdPattern(scope);
+  if (pattern) filter['courses.courseId'] = pattern;
+  return filter;
+};
+
+// Whether an enrollment is in scope
+const enrollmentMatcher = (scope) => {
+  const pattern = courseIdPattern(scope);
+  return (enrollment) => !pattern || pattern.test(enrollment.courseId || '');
+};
+
+module.exports = {
+  SCOPE_FIELDS,
+  normalizeScope,
+  courseIdPattern,
+  weekPattern,
+  studentFilter,
+  enrollmentMatcher
+};
@@ -0,0 +1,89 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+
+// Pick a decoder from the byte order mark, falling back to Windows-1252 when the bytes are not valid UTF-8
+const detectEncoding = (buffer) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf-8', bom: 3 };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf-16le', bom: 2 };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf-16be', bom: 2 };
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf-8', bom: 0 };
+  } catch (error) {
+    return { encoding: 'windows-1252', bom: 0 };
+  }
+};
+
+// XLSX is a zip archive, legacy XLS an OLE compound document
+const isSpreadsheet = (file) => {
+  const { buffer, originalname = '' } = file;
+  if (/\.xlsx?$/i.test(originalname)) return true;
+  const zip = buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+  const ole = buffer[0] === 0xd0 && buffer[1] === 0xcf && buffer[2] === 0x11 && buffer[3] === 0xe0;
+  return zip || ole;
+};
+
+const isBlank = (cells) => !cells.some(cell => cell);
+
+// Stream CSV text through csv-parser, numbering each record by the physical line it starts on
+const parseCsv = (text) => new Promise((resolve, reject) => {
+  const records = [];
+  let line = 1;
+
+  Readable.from([text])
+    .pipe(csv({ headers: false, strict: false }))
+    .on('data', (record) => {
+      const cells = Object.values(record).map(cell => cell.trim());
+      records.push({ line, cells });
+      // A quoted cell can span several lines
+      line += 1 + Object.values(record).reduce((count, cell) => count + (cell.match(/\n/g) || []).length, 0);
+    })
+    .on('end', () => resolve(records))
+    .on('error', reject);
+});
+
+const parseSpreadsheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheetName = workbook.SheetNames[0];
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', blankrows: true, raw: false });
+  return {
+    sheetName,
+    records: rows.map((cells, index) => ({ line: index + 1, cells: cells.map(cell => String(cell).trim()) }))
+  };
+};
+
+// Read a mentee score report (CSV in any common encoding, or XLSX/XLS) into a header row
+// and data rows, each carrying the line or sheet row it came from
+const readScoreFile = async (file) => {
+  let format;
+  let encoding;
+  let sheetName;
+  let records;
+
+  if (isSpreadsheet(file)) {
+    format = 'xlsx';
+    ({ sheetName, records } = parseSpreadsheet(file.buffer));
+  } else {
+    format = 'csv';
+    const detected = detectEncoding(file.buffer);
+    encoding = detected.encoding;
+    const text = new TextDecoder(encoding).decode(file.buffer.subarray(detected.bom));
+    records = await parseCsv(text);
+  }
+
+  const nonBlank = records.filter(({ cells }) => !isBlank(cells));
+  const [headerRecord, ...rows] = nonBlank;
+
+  return {
+    format,
+    encoding,
+    sheetName,
+    headers: headerRecord ? headerRecord.cells : [],
+    headerLine: headerRecord?.line,
+    rows
+  };
+};
+
+module.exports = { readScoreFile, detectEncoding };
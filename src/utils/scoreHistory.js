@@ -0,0 +1,177 @@
+const Student = require('../models/Student');
+const ScoreBatch = require('../models/ScoreBatch');
+const ScoreChange = require('../models/ScoreChange');
+const UnmatchedScore = require('../models/UnmatchedScore');
+const logger = require('./logger');
+const { resultStatus } = require('./week');
+const { courseIdPattern, weekPattern, studentFilter, enrollmentMatcher } = require('./scope');
+const { restoreArchive } = require('./archive');
+const { restoreMerge } = require('./studentDedupe');
+
+// Plain copy of a results array, safe to store in a snapshot
+const snapshotResults = (results = []) => results.map(result => (
+  typeof result.toObject === 'function' ? result.toObject() : { ...result }
+));
+
+// Week-by-week comparison used to tell whether results were changed after a batch
+const resultsSignature = (results = []) => JSON.stringify(
+  results
+    .map(result => [result.week, result.score, resultStatus(result)])
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+);
+
+// Weeks whose score or submission status differs between two snapshots
+const diffResults = (before = [], after = []) => {
+  const beforeByWeek = new Map(before.map(r => [r.week, r]));
+  const afterByWeek = new Map(after.map(r => [r.week, r]));
+  const weeks = [...new Set([...beforeByWeek.keys(), ...afterByWeek.keys()])];
+  const describe = (result) => (result ? { score: result.score ?? null, status: resultStatus(result) } : null);
+
+  return weeks
+    .map(week => ({
+      week,
+      before: describe(beforeByWeek.get(week)),
+      after: describe(afterByWeek.get(week))
+    }))
+    .filter(({ before: b, after: a }) => JSON.stringify(b) !== JSON.stringify(a));
+};
+
+// Per enrollment, the results a reset of scope would clear (all of them, or one week's)
+const planReset = async (scope = {}) => {
+  const inScope = enrollmentMatcher(scope);
+  const week = scope.week && weekPattern(scope.week);
+
+  const students = await Student.find({ ...studentFilter(scope), 'courses.results.0': { $exists: true } })
+    .select('rollNumber courses.courseId courses.results')
+    .lean();
+
+  const changes = [];
+  students.forEach(student => {
+    student.courses.forEach(course => {
+      if (!course.results?.length || !inScope(course)) return;
+      const after = week ? course.results.filter(result => !week.test(result.week)) : [];
+      if (after.length === course.results.length) return;
+      changes.push({
+        student: student._id,
+        rollNumber: student.rollNumber,
+        courseId: course.courseId,
+        before: course.results,
+        after
+      });
+    });
+  });
+  return changes;
+};
+
+// Counts reported before a reset is confirmed
+const resetCounts = (changes) => ({
+  students: new Set(changes.map(change => change.student.toString())).size,
+  enrollments: changes.length,
+  results: changes.reduce((sum, change) => sum + change.before.length - change.after.length, 0)
+});
+
+// Clear the results planned by planReset, recording what was there first
+const resetWithSnapshot = async ({ scope = {}, changes, uploadedBy, route }) => {
+  const planned = changes || await planReset(scope);
+  const batch = await ScoreBatch.create({
+    kind: 'reset',
+    uploadedBy,
+    courseId: scope.courseId,
+    scope: { route, ...scope }
+  });
+
+  if (planned.length > 0) {
+    await ScoreChange.insertMany(planned.map(change => ({ ...change, batch: batch._id })));
+  }
+
+  const pattern = courseIdPattern(scope);
+  const path = pattern ? 'courses.$[enrollment].results' : 'courses.$[].results';
+  const update = scope.week
+    ? { $pull: { [path]: { week: weekPattern(scope.week) } } }
+    : { $set: { [path]: [] } };
+  const result = await Student.updateMany(
+    { _id: { $in: [...new Set(planned.map(change => change.student))] } },
+    update,
+    pattern ? { arrayFilters: [{ 'enrollment.courseId': pattern }] } : {}
+  );
+
+  batch.status = 'applied';
+  batch.counts.studentsChanged = result.modifiedCount;
+  await batch.save();
+
+  logger.bulkUpload(`Reset batch ${batch._id}: snapshotted ${planned.length} enrollments`);
+  return { batch, result };
+};
+
+// Restore the "before" snapshots of a batch. Enrollments changed since the batch are
+// reported as conflicts and nothing is restored unless force is set.
+// Archive batches restore their students instead, and merge batches undo the merge.
+const rollbackBatch = async (batch, { force = false, rolledBackBy } = {}) => {
+  if (batch.kind === 'archive') return restoreArchive(batch, { restoredBy: rolledBackBy });
+  if (batch.kind === 'merge') return restoreMerge(batch, { force, restoredBy: rolledBackBy });
+
+  const changes = await ScoreChange.find({ batch: batch._id }).lean();
+  const students = await Student.find({ _id: { $in: changes.map(c => c.student) } });
+  const studentsById = new Map(students.map(s => [s._id.toString(), s]));
+
+  const conflicts = [];
+  changes.forEach(change => {
+    const student = studentsById.get(change.student.toString());
+    const enrollment = student?.courses.find(c => c.courseId?.toLowerCase() === change.courseId);
+    if (!student) {
+      conflicts.push({ rollNumber: change.rollNumber, courseId: change.courseId, reason: 'Student no longer exists' });
+    } else if (!enrollment) {
+      conflicts.push({ rollNumber: change.rollNumber, courseId: change.courseId, reason: 'Enrollment no longer exists' });
+    } else if (resultsSignature(enrollment.results) !== resultsSignature(change.after)) {
+      conflicts.push({ rollNumber: change.rollNumber, courseId: change.courseId, reason: 'Results changed after this batch' });
+    }
+  });
+
+  if (conflicts.length > 0 && !force) {
+    return { rolledBack: false, restored: 0, conflicts };
+  }
+
+  const touched = new Set();
+  let restored = 0;
+  changes.forEach(change => {
+    const student = studentsById.get(change.student.toString());
+    const index = student?.courses.findIndex(c => c.courseId?.toLowerCase() === change.courseId) ?? -1;
+    if (index === -1) return;
+
+    if (change.createdEnrollment) {
+      student.courses.splice(index, 1);
+    } else {
+      student.courses[index].results = change.before;
+    }
+    touched.add(student);
+    restored++;
+  });
+
+  for (const student of touched) {
+    await student.save({ validateModifiedOnly: true });
+  }
+
+  // Rows still waiting for a student can no longer be applied to this batch
+  const dismissed = await UnmatchedScore.updateMany(
+    { batch: batch._id, status: 'open' },
+    { $set: { status: 'dismissed', note: 'Import batch rolled back', resolvedBy: rolledBackBy, resolvedAt: new Date() } }
+  );
+
+  batch.status = 'rolled-back';
+  batch.rolledBackAt = new Date();
+  batch.rolledBackBy = rolledBackBy;
+  batch.counts.queued = 0;
+  await batch.save();
+
+  logger.bulkUpload(`Rolled back batch ${batch._id}: restored ${restored} enrollments, ${conflicts.length} conflicts`);
+  return { rolledBack: true, restored, conflicts, dismissed: dismissed.modifiedCount };
+};
+
+module.exports = {
+  snapshotResults,
+  diffResults,
+  planReset,
+  resetCounts,
+  resetWithSnapshot,
+  rollbackBatch
+};
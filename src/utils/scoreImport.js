@@ -0,0 +1,420 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const ScoreBatch = require('../models/ScoreBatch');
+const ScoreChange = require('../models/ScoreChange');
+const UnmatchedScore = require('../models/UnmatchedScore');
+const logger = require('./logger');
+const { AppError } = require('./errors');
+const { snapshotResults } = require('./scoreHistory');
+const { mergeWeekResults, parseScoreCell } = require('./week');
+const { mapRow } = require('./columnMapping');
+const { escapeRegex } = require('./listQuery');
+const { writeInOrder } = require('./bulkWrite');
+const { loadMatchIndex, matchStudent } = require('./studentMatch');
+const { refreshRiskFlagsQuietly } = require('./atRisk');
+const { refreshSummariesQuietly } = require('./statistics');
+
+// Rows matched and written per chunk
+const SCORE_CHUNK_SIZE = 200;
+
+// Merge a row's week results into the student's enrollment in the course (a lean or hydrated
+// student), adding the enrollment when missing (recorded in its status history as by, note).
+// Returns the enrollment, whether it was added, its results before the merge and the weeks that
+// changed. Throws with error.conflicts when the reject policy meets stored scores that differ.
+const mergeRowScores = (student, { course, courseId, results, conflictPolicy, batchId, by, note }) => {
+  student.courses = student.courses || [];
+  let enrollment = student.courses.find(e => e.courseId?.toLowerCase() === courseId.toLowerCase());
+  const createdEnrollment = !enrollment;
+  const before = enrollment ? snapshotResults(enrollment.results) : [];
+
+  if (!enrollment) {
+    student.courses.push(Student.newEnrollment({
+      course: course._id,
+      courseId: courseId,
+      courseName: course.title,
+      subjectMentor: course.mentor?.name,
+      mentor: course.mentor?._id,
+      results: []
+    }, { by, note }));
+    enrollment = student.courses[student.courses.length - 1];
+    logger.general(`Added new course ${courseId} for student ${student.rollNumber}`);
+  }
+  enrollment.course = course._id;
+  if (!enrollment.results) enrollment.results = [];
+
+  // Upsert the uploaded weeks, leaving the others as they are
+  const merge = mergeWeekResults(enrollment.results, results, {
+    policy: conflictPolicy,
+    batchId
+  });
+
+  if (!merge.applied) {
+    const error = new Error(`Scores differ from stored values for ${merge.conflicts.map(c => c.week).join(', ')}`);
+    error.conflicts = merge.conflicts;
+    throw error;
+  }
+  return { enrollment, createdEnrollment, before, changedWeeks: merge.changedWeeks };
+};
+
+// Merge a row's scores into a hydrated student and save it. Returns the weeks that changed and,
+// if any did, the snapshot for the batch.
+const applyScores = async ({ student, course, courseId, results, conflictPolicy, batchId, by, note }) => {
+  const merged = mergeRowScores(student, { course, courseId, results, conflictPolicy, batchId, by, note });
+  if (merged.changedWeeks.length === 0) return { changedWeeks: [], change: null };
+
+  await student.save({ validateModifiedOnly: true });
+  logger.general(`Updated ${merged.changedWeeks.length} weeks of ${courseId} for student ${student.rollNumber}`);
+  return {
+    changedWeeks: merged.changedWeeks,
+    change: {
+      batch: batchId,
+      student: student._id,
+      rollNumber: student.rollNumber,
+      courseId,
+      createdEnrollment: merged.createdEnrollment,
+      before: merged.before,
+      after: snapshotResults(merged.enrollment.results)
+    }
+  };
+};
+
+// Read, match and merge one chunk of score rows, then write the students, their snapshots and the
+// queued rows with one bulkWrite or insertMany each. Returns one outcome per row.
+const importScoreChunk = async (chunk, { batch, course, courseId, filename, conflictPolicy, columns, weekColumns, matchIndex }) => {
+  const outcomes = chunk.map(({ line, cells }) => {
+    // Get email and roll number, cleaning the data
+    const mapped = mapRow(columns, cells);
+    const email = mapped.email?.toLowerCase().trim().replace(/\s+/g, '');
+    const rollNumber = mapped.rollNumber?.toUpperCase().trim().replace(/\s+/g, '');
+    const data = { email: cells[columns.email], rollNumber: cells[columns.rollNumber] };
+
+    if (!email && !rollNumber && !mapped.name) {
+      return { success: false, line, error: 'Email, roll number and name are all missing', data };
+    }
+
+    // Create results array; blank cells are "not submitted", not a zero score
+    const results = weekColumns.map(({ week, index, maxMarks }) => ({
+      week,
+      maxMarks,
+      ...parseScoreCell(cells[index])
+    }));
+    const unreadableWeeks = results.filter(r => r.unreadable).map(r => r.week);
+    const match = matchStudent(matchIndex, { rollNumber, email, name: mapped.name });
+    return { line, data, input: { rollNumber, email, name: mapped.name }, results, unreadableWeeks, match };
+  });
+
+  const matched = outcomes.filter(o => o.match?.status === 'matched');
+  const students = await Student.find({ _id: { $in: matched.map(o => o.match.student) } })
+    .select('rollNumber email courses')
+    .lean();
+  const studentsById = new Map(students.map(s => [s._id.toString(), s]));
+
+  // Several rows of one student merge into the same cached enrollment and are written once
+  const touched = new Map();
+  matched.forEach(outcome => {
+    const student = studentsById.get(outcome.match.student.toString());
+    if (!student) {
+      Object.assign(outcome, { success: false, error: `Student ${outcome.match.candidates[0].rollNumber} no longer exists` });
+      return;
+    }
+    try {
+      const merged = mergeRowScores(student, {
+        course,
+        courseId,
+        results: outcome.results,
+        conflictPolicy,
+        batchId: batch._id,
+        by: batch.uploadedBy,
+        note: filename
+      });
+      const key = student._id.toString();
+      if (!touched.has(key)) touched.set(key, { student, ...merged, changedWeeks: new Set() });
+      merged.changedWeeks.forEach(week => touched.get(key).changedWeeks.add(week));
+      Object.assign(outcome, {
+        success: true,
+        changedWeeks: merged.changedWeeks,
+        student: { rollNumber: student.rollNumber, email: student.email, courseId }
+      });
+    } catch (error) {
+      Object.assign(outcome, { success: false, error: error.message, conflicts: error.conflicts });
+    }
+  });
+
+  const changed = [...touched.values()].filter(t => t.changedWeeks.size > 0);
+  const updates = changed.filter(t => !t.createdEnrollment);
+  const written = new Map((await writeInOrder(Student, updates.map(({ student, enrollment }) => ({
+    updateOne: {
+      filter: { _id: student._id },
+      update: { $set: { 'courses.$[enrollment].results': enrollment.results, 'courses.$[enrollment].course': course._id } },
+      arrayFilters: [{ 'enrollment.courseId': enrollment.courseId }]
+    }
+  })))).map((outcome, i) => [updates[i], outcome]));
+
+  // New enrollments are pushed one at a time, guarded so a concurrent import cannot add the course
+  // twice; when the guard finds the course already there the row is a conflict, not a success
+  for (const t of changed.filter(t => t.createdEnrollment)) {
+    try {
+      const result = await Student.updateOne(
+        { _id: t.student._id, 'courses.courseId': { $not: new RegExp(`^${escapeRegex(courseId)}$`, 'i') } },
+        { $push: { courses: t.enrollment } }
+      );
+      written.set(t, result.matchedCount === 0
+        ? {
+          error: `${t.student.rollNumber} was enrolled in ${courseId} by another write during this import; upload the row again`,
+          conflicts: [{ courseId, reason: 'Enrollment was added by another write' }]
+        }
+        : {});
+    } catch (error) {
+      written.set(t, { error: error.message });
+    }
+  }
+
+  // One snapshot per enrollment and batch: a student already changed by an earlier chunk keeps the
+  // first before and gets the latest after
+  const saved = changed.filter(t => {
+    const { error, conflicts } = written.get(t);
+    if (!error) return true;
+    outcomes
+      .filter(o => o.success && o.student.rollNumber === t.student.rollNumber)
+      .forEach(o => Object.assign(o, { success: false, error, conflicts }));
+    return false;
+  });
+  const snapshots = await writeInOrder(ScoreChange, saved.map(t => ({
+    updateOne: {
+      filter: { batch: batch._id, student: t.student._id, courseId },
+      update: {
+        $setOnInsert: { rollNumber: t.student.rollNumber, createdEnrollment: t.createdEnrollment, before: t.before },
+        $set: { after: snapshotResults(t.enrollment.results) }
+      },
+      upsert: true
+    }
+  })));
+  saved.forEach(t => logger.general(`Updated ${t.changedWeeks.size} weeks of ${courseId} for student ${t.student.rollNumber}`));
+
+  // Rows without one confident match wait in the unmatched score queue
+  const unresolved = outcomes.filter(o => o.match && o.match.status !== 'matched');
+  const queued = await UnmatchedScore.insertMany(unresolved.map(o => ({
+    batch: batch._id,
+    course: course._id,
+    courseId,
+    filename,
+    line: o.line,
+    conflictPolicy,
+    reason: o.match.status,
+    input: o.input,
+    results: o.results.map(({ week, maxMarks, score, status }) => ({ week, maxMarks, score, status })),
+    candidates: o.match.candidates
+  })));
+  unresolved.forEach((o, i) => {
+    Object.assign(o, { success: false, queued: queued[i] });
+    logger.general(`Queued line ${o.line} (${o.match.status}): Email=${o.input.email}, RollNumber=${o.input.rollNumber}`);
+  });
+
+  return { outcomes, studentsChanged: snapshots.filter(s => s.upserted).length };
+};
+
+// Apply the rows of a score file to a batch created by /updateweekscore, one chunk (as staged by the
+// route, SCORE_CHUNK_SIZE rows) at a time from the chunks iterable. progress is called after each
+// chunk and shouldStop before it; a stopped or failed import
+// still leaves the batch applied (and rollback-able) for the chunks already written.
+const importScoreFile = async ({ batchId, courseId, filename, format, conflictPolicy, columns, weekColumns, total }, { chunks, progress, shouldStop } = {}) => {
+  const batch = await ScoreBatch.findById(batchId);
+  const course = await Course.findOne({ courseId }).populate('mentor', 'name');
+  if (!course) throw new Error(`Course ${courseId} is not registered`);
+  const matchIndex = await loadMatchIndex(courseId);
+
+  const outcomes = [];
+  let studentsChanged = 0;
+  let stopped = false;
+  for await (const rows of chunks) {
+    if (shouldStop && await shouldStop()) {
+      stopped = true;
+      break;
+    }
+    const chunk = await importScoreChunk(rows, {
+      batch, course, courseId, filename, conflictPolicy, columns, weekColumns, matchIndex
+    });
+    outcomes.push(...chunk.outcomes);
+    studentsChanged += chunk.studentsChanged;
+    if (progress) {
+      await progress({
+        processed: outcomes.length,
+        total,
+        counts: {
+          successful: outcomes.filter(o => o.success).length,
+          queued: outcomes.filter(o => o.queued).length,
+          failed: outcomes.filter(o => !o.success && !o.queued).length
+        }
+      });
+    }
+  }
+
+  const successful = outcomes.filter(o => o.success);
+  const queued = outcomes.filter(o => o.queued);
+  const failed = outcomes.filter(o => !o.success && !o.queued);
+  logger.general(`Processing completed. Success: ${successful.length}, Queued: ${queued.length}, Failed: ${failed.length}`);
+
+  batch.status = 'applied';
+  batch.counts.successful = successful.length;
+  batch.counts.failed = failed.length;
+  batch.counts.queued = queued.length;
+  batch.counts.studentsChanged = studentsChanged;
+  await batch.save();
+
+  if (studentsChanged > 0) {
+    refreshRiskFlagsQuietly({ courseId });
+    refreshSummariesQuietly();
+  }
+
+  // Log failed entries for debugging
+  if (failed.length > 0) {
+    logger.error('Failed entries:', failed.map(({ line, error }) => ({ line, error })));
+  }
+
+  return {
+    message: `Processed ${outcomes.length} students for course ${courseId}`,
+    courseId,
+    batchId: batch._id,
+    conflictPolicy,
+    ...(stopped && { stopped: true, notProcessed: total - outcomes.length }),
+    unchanged: successful.filter(o => o.changedWeeks.length === 0).length,
+    format,
+    successful: successful.length,
+    // How the applied rows were matched, e.g. { rollNumber: 120, email: 3 }
+    matchedBy: successful.reduce((acc, o) => ({ ...acc, [o.match.method]: (acc[o.match.method] || 0) + 1 }), {}),
+    queued: queued.length,
+    // Rows waiting in /api/unmatched-scores for a coordinator to pick the student
+    queuedDetails: queued.map(o => ({
+      line: o.line,
+      id: o.queued._id,
+      reason: o.queued.reason,
+      email: o.input.email,
+      rollNumber: o.input.rollNumber,
+      candidates: o.queued.candidates.map(c => ({ rollNumber: c.rollNumber, method: c.method, confidence: c.confidence }))
+    })),
+    failed: failed.length,
+    failedDetails: failed.map(f => ({
+      line: f.line,
+      error: f.error,
+      conflicts: f.conflicts,
+      email: f.data?.email,
+      rollNumber: f.data?.rollNumber
+    })),
+    // Cells that were neither a score nor a known marker were stored as not submitted
+    warnings: successful
+      .filter(o => o.unreadableWeeks.length > 0)
+      .map(o => ({
+        line: o.line,
+        rollNumber: o.student.rollNumber,
+        message: `Unreadable score treated as not submitted for ${o.unreadableWeeks.join(', ')}`
+      }))
+  };
+};
+
+// Take an open queued row so two coordinators cannot resolve it at once
+const claimUnmatchedScore = async (id) => {
+  const claimed = await UnmatchedScore.findOneAndUpdate(
+    { _id: id, status: 'open' },
+    { $set: { status: 'resolving' } },
+    { new: true }
+  );
+  if (claimed) return claimed;
+
+  const row = await UnmatchedScore.findById(id).select('status');
+  if (!row) throw new AppError(404, 'Unmatched score not found');
+  throw new AppError(409, `Unmatched score is already ${row.status}`);
+};
+
+// Apply a queued row's scores to the chosen student ({ student } id or { rollNumber }) as part of
+// the batch the row was uploaded in, so rolling that batch back also undoes the resolution
+const resolveUnmatchedScore = async (id, { student: studentId, rollNumber, resolvedBy }) => {
+  const row = await claimUnmatchedScore(id);
+  try {
+    const batch = await ScoreBatch.findById(row.batch);
+    if (!batch || batch.status !== 'applied') {
+      throw new AppError(409, `The import batch is ${batch ? batch.status : 'gone'}; dismiss this row instead`);
+    }
+
+    const student = studentId
+      ? await Student.findById(studentId)
+      : await Student.findOne({ rollNumber }).collation({ locale: 'en', strength: 2 });
+    if (!student) throw new AppError(404, 'Student not found');
+
+    const course = await Course.findOne(row.course ? { _id: row.course } : { courseId: row.courseId }).populate('mentor', 'name');
+    if (!course) throw new AppError(404, `Course ${row.courseId} is not registered`);
+
+    let applied;
+    try {
+      applied = await applyScores({
+        student,
+        course,
+        courseId: row.courseId,
+        results: row.results,
+        conflictPolicy: row.conflictPolicy,
+        batchId: batch._id,
+        by: resolvedBy,
+        note: row.filename
+      });
+    } catch (error) {
+      if (!error.conflicts) throw error;
+      throw new AppError(409, error.message, { code: 'SCORE_CONFLICT', details: { conflicts: error.conflicts } });
+    }
+
+    // One snapshot per enrollment and batch: if another row of the batch already changed this
+    // enrollment, extend that snapshot rather than adding a second one
+    let studentsChanged = 0;
+    if (applied.change) {
+      const recorded = await ScoreChange.findOneAndUpdate(
+        { batch: batch._id, student: student._id, courseId: row.courseId },
+        { $set: { after: applied.change.after } }
+      );
+      if (!recorded) {
+        await ScoreChange.create(applied.change);
+        studentsChanged = 1;
+      }
+    }
+    await ScoreBatch.updateOne(
+      { _id: batch._id },
+      { $inc: { 'counts.successful': 1, 'counts.queued': -1, 'counts.studentsChanged': studentsChanged } }
+    );
+
+    row.set({
+      status: 'resolved',
+      resolvedStudent: student._id,
+      rollNumber: student.rollNumber,
+      changedWeeks: applied.changedWeeks,
+      resolvedBy,
+      resolvedAt: new Date(),
+      error: undefined
+    });
+    await row.save();
+    logger.general(`Resolved unmatched score line ${row.line} of ${row.filename} to ${student.rollNumber}`);
+
+    if (applied.change) {
+      refreshRiskFlagsQuietly({ studentIds: [student._id] });
+      refreshSummariesQuietly();
+    }
+    return row;
+  } catch (error) {
+    await UnmatchedScore.updateOne({ _id: row._id }, { $set: { status: 'open', error: error.message } });
+    throw error;
+  }
+};
+
+// Drop a queued row without applying its scores
+const dismissUnmatchedScore = async (id, { note, dismissedBy }) => {
+  const row = await claimUnmatchedScore(id);
+  row.set({ status: 'dismissed', note, resolvedBy: dismissedBy, resolvedAt: new Date() });
+  await row.save();
+  await ScoreBatch.updateOne({ _id: row.batch }, { $inc: { 'counts.queued': -1 } });
+  logger.general(`Dismissed unmatched score line ${row.line} of ${row.filename}`);
+  return row;
+};
+
+module.exports = {
+  SCORE_CHUNK_SIZE,
+  applyScores,
+  importScoreFile,
+  resolveUnmatchedScore,
+  dismissUnmatchedScore
+};
@@ -0,0 +1,316 @@
+const Student = require('../models/Student');
+const StatsSummary = require('../models/StatsSummary');
+const logger = require('./logger');
+const { loadCourseIndex, courseInfo } = require('./reports');
+const { standardizeWeekFormat, weekNumber } = require('./week');
+
+const SUBMITTED = ['submitted', 'late'];
+
+// A result's status inside a pipeline, the same as resultStatus in utils/week
+const statusOf = (result) => ({
+  $ifNull: [`${result}.status`, { $cond: [{ $gt: [`${result}.score`, 0] }, 'submitted', 'not-submitted'] }]
+});
+
+// One document per enrollment: its course id, the student's department, each result's week and status,
+// and how many were submitted
+const enrollmentStages = [
+  { $unwind: '$courses' },
+  {
+    $project: {
+      courseId: '$courses.courseId',
+      department: '$branch',
+      results: {
+        $map: {
+          input: { $ifNull: ['$courses.results', []] },
+          as: 'result',
+          in: { week: '$$result.week', status: statusOf('$$result') }
+        }
+      }
+    }
+  },
+  {
+    $addFields: {
+      submissions: {
+        $size: { $filter: { input: '$results', as: 'result', cond: { $in: ['$$result.status', SUBMITTED] } } }
+      }
+    }
+  }
+];
+
+const hasSubmitted = { $cond: [{ $gt: ['$submissions', 0] }, 1, 0] };
+
+// Students, submissions and weekly statuses per course, branch and week
+const uploadStatistics = async () => {
+  const [[facets], courseIndex] = await Promise.all([
+    Student.aggregate([
+      {
+        $facet: {
+          students: [{ $count: 'total' }],
+          courses: [
+            ...enrollmentStages,
+            {
+              $group: {
+                _id: '$courseId',
+                totalStudents: { $sum: 1 },
+                studentsWithScores: { $sum: hasSubmitted },
+                totalSubmissions: { $sum: '$submissions' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          departments: [
+            ...enrollmentStages,
+            {
+              $group: {
+                _id: '$department',
+                totalStudents: { $sum: 1 },
+                studentsWithScores: { $sum: hasSubmitted },
+                totalSubmissions: { $sum: '$submissions' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          weeks: [
+            ...enrollmentStages,
+            { $unwind: '$results' },
+            {
+              $group: {
+                _id: { week: '$results.week', courseId: '$courseId', status: '$results.status' },
+                count: { $sum: 1 }
+              }
+            }
+          ]
+        }
+      }
+    ]),
+    loadCourseIndex()
+  ]);
+  const branchOf = (courseId) => courseInfo(courseIndex, courseId).discipline?.toUpperCase();
+
+  const statistics = {
+    totalStudents: facets.students[0]?.total || 0,
+    totalSubmissions: 0,
+    courseStats: {},
+    // branch is the course's discipline (CS, CE); departmentStats uses the students' own branch
+    branchStats: {},
+    departmentStats: {},
+    weekStats: {}
+  };
+
+  facets.departments.forEach(({ _id: department, totalStudents, studentsWithScores, totalSubmissions }) => {
+    statistics.departmentStats[department || 'Unknown'] = { totalStudents, studentsWithScores, totalSubmissions };
+  });
+
+  // Courses without a registered discipline are counted under "Unknown", as departments are
+  facets.courses.forEach(({ _id: courseId, totalStudents, studentsWithScores, totalSubmissions }) => {
+    const branch = branchOf(courseId);
+    statistics.courseStats[courseId] = { totalStudents, studentsWithScores, totalSubmissions, branch };
+
+    const key = branch || 'Unknown';
+    if (!statistics.branchStats[key]) {
+      statistics.branchStats[key] = { totalStudents: 0, studentsWithScores: 0, totalSubmissions: 0 };
+    }
+    statistics.branchStats[key].totalStudents += totalStudents;
+    statistics.branchStats[key].studentsWithScores += studentsWithScores;
+    statistics.branchStats[key].totalSubmissions += totalSubmissions;
+    statistics.totalSubmissions += totalSubmissions;
+  });
+
+  // Weeks are grouped as stored, so "Week 01" and "Week 1 Assignment" are merged here
+  facets.weeks
+    .sort((a, b) => weekNumber(a._id.week) - weekNumber(b._id.week))
+    .forEach(({ _id: { week, courseId, status }, count }) => {
+      const label = standardizeWeekFormat(week);
+      if (!statistics.weekStats[label]) {
+        statistics.weekStats[label] = { totalStudents: 0, byStatus: {}, byBranch: {} };
+      }
+      const weekStats = statistics.weekStats[label];
+      weekStats.byStatus[status] = (weekStats.byStatus[status] || 0) + count;
+      if (!SUBMITTED.includes(status)) return;
+
+      const branch = branchOf(courseId) || 'Unknown';
+      if (!weekStats.byBranch[branch]) weekStats.byBranch[branch] = { students: 0 };
+      weekStats.byBranch[branch].students += count;
+      weekStats.totalStudents += count;
+    });
+
+  return statistics;
+};
+
+// Enrollments, students with and without submissions, and submissions per week for every course
+const courseStatistics = async () => {
+  const [[facets], courseIndex] = await Promise.all([
+    Student.aggregate([
+      {
+        $facet: {
+          courses: [
+            ...enrollmentStages,
+            {
+              $group: {
+                _id: '$courseId',
+                totalEnrollments: { $sum: 1 },
+                submittedCount: { $sum: hasSubmitted }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          departments: [
+            ...enrollmentStages,
+            {
+              $group: {
+                _id: { courseId: '$courseId', department: '$department' },
+                totalEnrollments: { $sum: 1 },
+                submittedCount: { $sum: hasSubmitted }
+              }
+            }
+          ],
+          weeks: [
+            ...enrollmentStages,
+            { $unwind: '$results' },
+            { $match: { 'results.status': { $in: SUBMITTED } } },
+            { $group: { _id: { courseId: '$courseId', week: '$results.week' }, count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]),
+    loadCourseIndex()
+  ]);
+
+  // Weeks are grouped as stored, so "Week 01" and "Week 1 Assignment" are merged here
+  const weeksByCourse = new Map();
+  facets.weeks.forEach(({ _id: { courseId, week }, count }) => {
+    if (!weeksByCourse.has(courseId)) weeksByCourse.set(courseId, {});
+    const submissionsByWeek = weeksByCourse.get(courseId);
+    const label = standardizeWeekFormat(week);
+    submissionsByWeek[label] = (submissionsByWeek[label] || 0) + count;
+  });
+
+  // Enrollments per student department within each course
+  const departmentsByCourse = new Map();
+  facets.departments.forEach(({ _id: { courseId, department }, totalEnrollments, submittedCount }) => {
+    if (!departmentsByCourse.has(courseId)) departmentsByCourse.set(courseId, {});
+    departmentsByCourse.get(courseId)[department || 'Unknown'] = { totalEnrollments, submittedCount };
+  });
+
+  const courses = facets.courses.map(({ _id: courseId, totalEnrollments, submittedCount }) => {
+    const info = courseInfo(courseIndex, courseId);
+    return {
+      courseId,
+      title: info.title,
+      // The course's discipline code; kept as branch for existing clients
+      branch: info.discipline?.toUpperCase(),
+      discipline: info.discipline?.toUpperCase(),
+      departments: departmentsByCourse.get(courseId) || {},
+      type: (info.run || 'unknown').toUpperCase(),
+      totalEnrollments,
+      submissionStats: {
+        totalStudents: totalEnrollments,
+        submittedCount,
+        unsubmittedCount: totalEnrollments - submittedCount
+      },
+      submissionsByWeek: weeksByCourse.get(courseId) || {}
+    };
+  });
+
+  // Group courses by type and branch
+  const coursesByType = courses.reduce((acc, course) => {
+    if (!acc[course.type]) {
+      acc[course.type] = {
+        totalCourses: 0,
+        totalEnrollments: 0,
+        coursesByBranch: {}
+      };
+    }
+
+    if (!acc[course.type].coursesByBranch[course.branch]) {
+      acc[course.type].coursesByBranch[course.branch] = [];
+    }
+
+    acc[course.type].coursesByBranch[course.branch].push(course);
+    acc[course.type].totalCourses++;
+    acc[course.type].totalEnrollments += course.totalEnrollments;
+
+    return acc;
+  }, {});
+
+  const submissionSummary = courses.reduce((acc, course) => ({
+    totalStudents: acc.totalStudents + course.submissionStats.totalStudents,
+    submitted: acc.submitted + course.submissionStats.submittedCount,
+    unsubmitted: acc.unsubmitted + course.submissionStats.unsubmittedCount
+  }), { totalStudents: 0, submitted: 0, unsubmitted: 0 });
+
+  return {
+    totalCourses: courses.length,
+    courses,
+    coursesByType,
+    submissionSummary
+  };
+};
+
+const REPORTS = {
+  'upload-statistics': uploadStatistics,
+  'course-stats': courseStatistics
+};
+
+// Summaries are stored and served only when STATS_SUMMARIES_ENABLED=true
+const summariesEnabled = () => process.env.STATS_SUMMARIES_ENABLED === 'true';
+
+const storeSummary = async (key) => {
+  const started = Date.now();
+  const data = await REPORTS[key]();
+  const refreshedAt = new Date();
+  await StatsSummary.findOneAndUpdate(
+    { key },
+    { $set: { data, refreshedAt, durationMs: Date.now() - started } },
+    { upsert: true }
+  );
+  return { data, refreshedAt };
+};
+
+// Recompute every stored summary
+const refreshSummaries = async () => {
+  for (const key of Object.keys(REPORTS)) {
+    await storeSummary(key);
+  }
+};
+
+// Refresh summaries in the background after an import or mass change. Calls made while a
+// refresh is running are folded into one more refresh once it finishes.
+let refreshing = null;
+let refreshPending = false;
+const refreshSummariesQuietly = () => {
+  if (!summariesEnabled()) return;
+  if (refreshing) {
+    refreshPending = true;
+    return;
+  }
+  refreshing = refreshSummaries()
+    .then(() => logger.general('Statistics summaries refreshed'))
+    .catch(error => logger.error('Statistics summary refresh failed:', error))
+    .finally(() => {
+      refreshing = null;
+      if (refreshPending) {
+        refreshPending = false;
+        refreshSummariesQuietly();
+      }
+    });
+};
+
+// A report from its stored summary when summaries are enabled, otherwise (or with fresh) computed now
+const loadStatistics = async (key, { fresh = false } = {}) => {
+  if (!summariesEnabled()) return { data: await REPORTS[key](), refreshedAt: new Date() };
+  if (!fresh) {
+    const summary = await StatsSummary.findOne({ key }).lean();
+    if (summary) return { data: summary.data, refreshedAt: summary.refreshedAt };
+  }
+  return storeSummary(key);
+};
+
+module.exports = {
+  statusOf,
+  uploadStatistics,
+  courseStatistics,
+  refreshSummaries,
+  refreshSummariesQuietly,
+  loadStatistics
+};
@@ -0,0 +1,299 @@
+const Student = require('../models/Student');
+const RiskFlag = require('../models/RiskFlag');
+const Reminder = require('../models/Reminder');
+const ScoreBatch = require('../models/ScoreBatch');
+const ScoreChange = require('../models/ScoreChange');
+const { standardizeWeekFormat, isSubmitted, resultStatus } = require('./week');
+const { refreshRiskFlagsQuietly } = require('./atRisk');
+const { refreshSummariesQuietly } = require('./statistics');
+const logger = require('./logger');
+
+const PROFILE_FIELDS = ['name', 'branch', 'year', 'email'];
+const ENROLLMENT_FIELDS = ['course', 'courseName', 'subjectMentor', 'mentor'];
+
+const lastWritten = (result) => new Date(result.updatedAt || result.submittedAt || 0).getTime();
+
+// One result per week, keeping the most recently written (a submission wins a tie)
+const mergeResults = (results) => {
+  const byWeek = new Map();
+  results.forEach(result => {
+    const week = standardizeWeekFormat(result.week);
+    const kept = byWeek.get(week);
+    const newer = !kept
+      || lastWritten(result) > lastWritten(kept)
+      || (lastWritten(result) === lastWritten(kept) && isSubmitted(result) && !isSubmitted(kept));
+    if (newer) byWeek.set(week, { ...result, week });
+  });
+  return [...byWeek.values()];
+};
+
+// Fold enrollments in the same course into the one registered first
+const mergeEnrollments = (enrollments) => {
+  const [first, ...rest] = [...enrollments]
+    .sort((a, b) => new Date(a.registeredOn || 0) - new Date(b.registeredOn || 0));
+  const merged = { ...first, courseId: first.courseId?.toLowerCase() };
+  rest.forEach(other => {
+    ENROLLMENT_FIELDS.forEach(field => {
+      if (!merged[field] && other[field]) merged[field] = other[field];
+    });
+  });
+  merged.results = mergeResults(enrollments.flatMap(e => e.results || []));
+  merged.statusHistory = enrollments
+    .flatMap(e => e.statusHistory || [])
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+  // The latest recorded status change decides the merged status
+  const latest = merged.statusHistory[merged.statusHistory.length - 1];
+  if (latest) merged.status = latest.status;
+  return merged;
+};
+
+// One enrollment per course id (ignoring case), in the order the courses first appear
+const dedupeCourses = (courses) => {
+  const groups = new Map();
+  courses.forEach(enrollment => {
+    const key = enrollment.courseId?.toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(enrollment);
+  });
+  return [...groups.values()].map(group => (group.length > 1 ? mergeEnrollments(group) : group[0]));
+};
+
+// Students whose roll numbers differ only in case, students enrolled in a course more than once,
+// and emails shared by different roll numbers (reported only; those may be different people)
+const findDuplicates = async () => {
+  const [students, enrollments, emails] = await Promise.all([
+    Student.aggregate([
+      { $group: { _id: { $toUpper: '$rollNumber' }, ids: { $push: '$_id' }, rollNumbers: { $push: '$rollNumber' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    Student.aggregate([
+      { $unwind: '$courses' },
+      {
+        $group: {
+          _id: { student: '$_id', courseId: { $toLower: '$courses.courseId' } },
+          rollNumber: { $first: '$rollNumber' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { rollNumber: 1, '_id.courseId': 1 } }
+    ]),
+    Student.aggregate([
+      { $match: { email: { $nin: [null, ''] } } },
+      { $group: { _id: { $toLower: '$email' }, rollNumbers: { $addToSet: { $toUpper: '$rollNumber' } } } },
+      { $match: { 'rollNumbers.1': { $exists: true } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  return {
+    students: students.map(group => ({ rollNumber: group._id, ids: group.ids, rollNumbers: group.rollNumbers })),
+    enrollments: enrollments.map(group => ({
+      student: group._id.student,
+      rollNumber: group.rollNumber,
+      courseId: group._id.courseId,
+      count: group.count
+    })),
+    // A student whose roll numbers only differ in case is not a shared email
+    sharedEmails: emails
+      .filter(group => group.rollNumbers.length > 1)
+      .map(group => ({ email: group._id, rollNumbers: group.rollNumbers.sort() }))
+  };
+};
+
+// Records that point at a student and are re-pointed when it is merged away
+const REFERENCING_MODELS = { RiskFlag, Reminder, ScoreChange };
+
+// Merge one group of duplicate students into the one created first, archiving the others with
+// a reference to it, and re-point records that reference them. The kept record as it was, and
+// what was moved, goes into a ScoreChange of the merge batch so restoreMerge can undo it.
+const mergeStudents = async (ids, { batch, mergedBy }) => {
+  const docs = await Student.find({ _id: { $in: ids } }).sort({ createdAt: 1, _id: 1 }).lean();
+  if (docs.length < 2) return null;
+  const [kept, ...others] = docs;
+  const otherIds = others.map(s => s._id);
+
+  const set = { courses: dedupeCourses(docs.flatMap(s => s.courses || [])) };
+  PROFILE_FIELDS.forEach(field => {
+    if (kept[field]) return;
+    const donor = others.find(s => s[field]);
+    if (donor) set[field] = donor[field];
+  });
+
+  const references = [];
+  for (const [kind, Model] of Object.entries(REFERENCING_MODELS)) {
+    const found = await Model.find({ student: { $in: otherIds } }).select('student').lean();
+    others.forEach(other => {
+      const refIds = found.filter(r => String(r.student) === String(other._id)).map(r => r._id);
+      if (refIds.length > 0) references.push({ kind, student: other._id, rollNumber: other.rollNumber, ids: refIds });
+    });
+  }
+
+  // Snapshot first and write the merged record before archiving anything, so an interrupted merge loses nothing
+  await ScoreChange.create({
+    batch: batch._id,
+    student: kept._id,
+    rollNumber: kept.rollNumber,
+    before: kept.courses || [],
+    after: set.courses,
+    profile: Object.fromEntries(PROFILE_FIELDS.map(field => [field, kept[field] ?? null])),
+    merged: otherIds,
+    references
+  });
+  await Student.updateOne({ _id: kept._id }, { $set: set });
+  await Student.updateMany(
+    { _id: { $in: otherIds } },
+    { $set: { archivedAt: new Date(), archivedBy: mergedBy, archiveBatch: batch._id, mergedInto: kept._id } }
+  );
+  await RiskFlag.updateMany({ student: { $in: otherIds }, clearedAt: null }, { $set: { clearedAt: new Date() } });
+  await Promise.all(Object.entries(REFERENCING_MODELS).map(([kind, Model]) => Model.updateMany(
+    { _id: { $in: references.filter(r => r.kind === kind).flatMap(r => r.ids) } },
+    { $set: { student: kept._id, rollNumber: kept.rollNumber } }
+  )));
+
+  return { kept: kept._id, rollNumber: kept.rollNumber, archived: otherIds, rollNumbers: docs.map(s => s.rollNumber) };
+};
+
+// Merge every duplicate found by findDuplicates as one batch, restorable through
+// /api/score-batches/:id/rollback; dryRun only reports what would be merged
+const mergeDuplicates = async ({ dryRun = false, mergedBy } = {}) => {
+  const found = await findDuplicates();
+  if (dryRun) return { dryRun: true, ...found };
+  if (found.students.length === 0 && found.enrollments.length === 0) {
+    return { dryRun: false, batchId: null, students: [], enrollments: [], sharedEmails: found.sharedEmails };
+  }
+
+  const batch = await ScoreBatch.create({
+    kind: 'merge',
+    uploadedBy: mergedBy,
+    scope: { route: 'merge-duplicates' }
+  });
+
+  const mergedStudents = [];
+  for (const group of found.students) {
+    const merged = await mergeStudents(group.ids, { batch, mergedBy });
+    if (merged) {
+      mergedStudents.push(merged);
+      logger.general(`Merged duplicate students ${merged.rollNumbers.join(', ')} into ${merged.rollNumber}`);
+    }
+  }
+
+  // Student merges already fold their enrollments, so only look at the students left over
+  const archived = new Set(mergedStudents.flatMap(m => m.archived.map(String)));
+  const mergedInto = new Set(mergedStudents.map(m => String(m.kept)));
+  const studentIds = [...new Set(found.enrollments.map(e => String(e.student)))]
+    .filter(id => !archived.has(id) && !mergedInto.has(id));
+
+  const mergedEnrollments = [];
+  for (const id of studentIds) {
+    const student = await Student.findById(id).lean();
+    if (!student) continue;
+    const courses = dedupeCourses(student.courses || []);
+    if (courses.length === student.courses.length) continue;
+    await ScoreChange.create({
+      batch: batch._id,
+      student: student._id,
+      rollNumber: student.rollNumber,
+      before: student.courses,
+      after: courses
+    });
+    await Student.updateOne({ _id: student._id }, { $set: { courses } });
+    found.enrollments
+      .filter(e => String(e.student) === id)
+      .forEach(e => mergedEnrollments.push({ student: student._id, rollNumber: student.rollNumber, courseId: e.courseId, merged: e.count }));
+    logger.general(`Merged duplicate enrollments of ${student.rollNumber}`);
+  }
+
+  const touched = [...mergedInto, ...studentIds];
+  batch.status = 'applied';
+  batch.counts.studentsChanged = mergedStudents.length + new Set(mergedEnrollments.map(e => String(e.student))).size;
+  await batch.save();
+
+  if (touched.length > 0) {
+    refreshRiskFlagsQuietly({ studentIds: touched });
+    refreshSummariesQuietly();
+  }
+
+  return {
+    dryRun: false,
+    batchId: batch._id,
+    students: mergedStudents,
+    enrollments: mergedEnrollments,
+    sharedEmails: found.sharedEmails
+  };
+};
+
+// Enrollments and their results, for telling whether a record changed after a merge
+const coursesSignature = (courses = []) => JSON.stringify(courses.map(enrollment => [
+  enrollment.courseId?.toLowerCase(),
+  (enrollment.results || []).map(r => [standardizeWeekFormat(r.week), r.score, resultStatus(r)])
+]));
+
+// Undo a merge batch: put each kept record back as it was, bring back the duplicates it
+// archived and point their records at them again. Records changed since the merge are
+// reported as conflicts and nothing is restored unless force is set. Shaped like rollbackBatch's result.
+const restoreMerge = async (batch, { force = false, restoredBy } = {}) => {
+  const changes = await ScoreChange.find({ batch: batch._id }).lean();
+  const students = await Student.find({ _id: { $in: changes.map(c => c.student) } }).select('rollNumber courses').lean();
+  const studentsById = new Map(students.map(s => [String(s._id), s]));
+
+  const conflicts = [];
+  changes.forEach(change => {
+    const student = studentsById.get(String(change.student));
+    if (!student) {
+      conflicts.push({ rollNumber: change.rollNumber, reason: 'Student no longer exists' });
+    } else if (coursesSignature(student.courses) !== coursesSignature(change.after)) {
+      conflicts.push({ rollNumber: change.rollNumber, reason: 'Enrollments changed after this merge' });
+    }
+  });
+
+  if (conflicts.length > 0 && !force) {
+    return { rolledBack: false, restored: 0, conflicts };
+  }
+
+  let restored = 0;
+  for (const change of changes) {
+    if (!studentsById.has(String(change.student))) continue;
+
+    const update = { $set: { courses: change.before } };
+    if (change.profile) {
+      const missing = PROFILE_FIELDS.filter(field => change.profile[field] === null);
+      Object.assign(update.$set, Object.fromEntries(
+        PROFILE_FIELDS.filter(field => change.profile[field] !== null).map(field => [field, change.profile[field]])
+      ));
+      if (missing.length > 0) update.$unset = Object.fromEntries(missing.map(field => [field, 1]));
+    }
+    await Student.updateOne({ _id: change.student }, update);
+
+    if (change.merged?.length) {
+      await Student.updateMany(
+        { _id: { $in: change.merged }, mergedInto: change.student },
+        { $set: { archivedAt: null }, $unset: { archivedBy: 1, archiveBatch: 1, mergedInto: 1 } }
+      );
+      for (const reference of change.references || []) {
+        await REFERENCING_MODELS[reference.kind].updateMany(
+          { _id: { $in: reference.ids }, student: change.student },
+          { $set: { student: reference.student, rollNumber: reference.rollNumber } }
+        );
+      }
+    }
+    restored++;
+  }
+
+  batch.status = 'rolled-back';
+  batch.rolledBackAt = new Date();
+  batch.rolledBackBy = restoredBy;
+  await batch.save();
+
+  logger.general(`Rolled back merge batch ${batch._id}: restored ${restored} students, ${conflicts.length} conflicts`);
+  return { rolledBack: true, restored, conflicts };
+};
+
+module.exports = {
+  mergeResults,
+  dedupeCourses,
+  findDuplicates,
+  mergeDuplicates,
+  restoreMerge
+};
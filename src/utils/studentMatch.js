@@ -0,0 +1,145 @@
+const Student = require('../models/Student');
+
+// Confidence of each way a score row can point at a student. Only matches at or above AUTO_MATCH
+// are applied without review; email local parts and names only ever suggest candidates.
+const CONFIDENCE = {
+  rollNumber: 1,
+  email: 0.95,
+  emailRollNumber: 0.9,
+  emailLocalPart: 0.75,
+  name: 0.7
+};
+const AUTO_MATCH = 0.9;
+
+// Names this similar (0-1) are offered as candidates
+const NAME_THRESHOLD = 0.8;
+const MAX_CANDIDATES = 5;
+
+const normalizeRollNumber = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const normalizeEmail = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, '');
+const localPart = (email) => email.split('@')[0];
+
+// Lowercase letters only, words sorted so "KUMAR RAVI" and "Ravi Kumar" compare equal
+const normalizeName = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/[^a-z]+/g, ' ')
+  .split(' ')
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const bigrams = (text) => {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Dice coefficient of the character pairs of two normalized names
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let overlap = 0;
+  left.forEach((count, gram) => { overlap += Math.min(count, right.get(gram) || 0); });
+  const total = a.length + b.length - 2;
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+const nameSimilarity = (a, b) => similarity(normalizeName(a), normalizeName(b));
+
+const addTo = (map, key, student) => {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(student);
+};
+
+// Lookup tables over every (non-archived) student for matching the rows of one score file
+const loadMatchIndex = async (courseId) => {
+  const students = await Student.find().select('rollNumber email name courses.courseId').lean();
+  const index = {
+    byRollNumber: new Map(),
+    byEmail: new Map(),
+    byLocalPart: new Map(),
+    enrolled: []
+  };
+  students.forEach(student => {
+    student.nameKey = normalizeName(student.name);
+    student.enrolled = Boolean(courseId)
+      && (student.courses || []).some(c => c.courseId?.toLowerCase() === courseId.toLowerCase());
+    const email = normalizeEmail(student.email);
+    addTo(index.byRollNumber, normalizeRollNumber(student.rollNumber), student);
+    addTo(index.byEmail, email, student);
+    addTo(index.byLocalPart, email && localPart(email), student);
+    if (student.enrolled) index.enrolled.push(student);
+  });
+  return index;
+};
+
+// Match one row ({ rollNumber, email, name }) against the index. Every student any step points at
+// becomes a candidate with the confidence of its best step; the row is matched when exactly one
+// candidate reaches AUTO_MATCH, ambiguous when several do or only weaker candidates exist.
+const matchStudent = (index, row) => {
+  const rollNumber = normalizeRollNumber(row.rollNumber);
+  const email = normalizeEmail(row.email);
+  const candidates = new Map();
+  const consider = (students = [], method, confidence) => {
+    students.forEach(student => {
+      const key = student._id.toString();
+      if (candidates.get(key)?.confidence >= confidence) return;
+      candidates.set(key, { student, method, confidence });
+    });
+  };
+
+  consider(index.byRollNumber.get(rollNumber), 'rollNumber', CONFIDENCE.rollNumber);
+  if (email) {
+    consider(index.byEmail.get(email), 'email', CONFIDENCE.email);
+    // Institute emails are often the roll number at the college domain
+    consider(index.byRollNumber.get(normalizeRollNumber(localPart(email))), 'emailRollNumber', CONFIDENCE.emailRollNumber);
+    consider(index.byLocalPart.get(localPart(email)), 'emailLocalPart', CONFIDENCE.emailLocalPart);
+  }
+
+  // Names are only compared within the course's enrollments, and only when nothing stronger matched
+  const nameKey = normalizeName(row.name);
+  if (nameKey && ![...candidates.values()].some(c => c.confidence >= AUTO_MATCH)) {
+    index.enrolled.forEach(student => {
+      const score = similarity(nameKey, student.nameKey);
+      if (score >= NAME_THRESHOLD) consider([student], 'name', Math.round(CONFIDENCE.name * score * 100) / 100);
+    });
+  }
+
+  const ranked = [...candidates.values()]
+    .sort((a, b) => b.confidence - a.confidence
+      || Number(b.student.enrolled) - Number(a.student.enrolled)
+      || a.student.rollNumber.localeCompare(b.student.rollNumber))
+    .slice(0, MAX_CANDIDATES)
+    .map(({ student, method, confidence }) => ({
+      student: student._id,
+      rollNumber: student.rollNumber,
+      name: student.name,
+      email: student.email,
+      enrolled: student.enrolled,
+      method,
+      confidence
+    }));
+
+  const confident = ranked.filter(c => c.confidence >= AUTO_MATCH);
+  if (confident.length === 1) {
+    const [best] = confident;
+    return { status: 'matched', student: best.student, method: best.method, confidence: best.confidence, candidates: ranked };
+  }
+  return { status: ranked.length > 0 ? 'ambiguous' : 'unmatched', candidates: ranked };
+};
+
+module.exports = {
+  CONFIDENCE,
+  AUTO_MATCH,
+  normalizeRollNumber,
+  normalizeEmail,
+  nameSimilarity,
+  loadMatchIndex,
+  matchStudent
+};
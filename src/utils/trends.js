@@ -0,0 +1,237 @@
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Faculty = require('../models/Faculty');
+const { statusOf } = require('./statistics');
+const { courseIdPattern } = require('./scope');
+const { escapeRegex } = require('./listQuery');
+const { DEFAULT_SCORING } = require('./progress');
+const { standardizeWeekFormat, weekNumber, isSubmitted } = require('./week');
+
+// Ways a trend can be split into several series
+const SLICES = ['course', 'branch', 'year', 'mentor'];
+
+const PERCENTILES = [25, 75, 90];
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+// Linear-interpolated percentile of an ascending list
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// One compact document per enrollment in scope; dropped and transferred enrollments are left out
+const loadEnrollments = async ({ pattern, branch, year, mentor, subjectMentor }) => {
+  const studentMatch = {};
+  if (branch) studentMatch.branch = branch;
+  if (year) studentMatch.year = year;
+
+  const enrollmentMatch = { 'courses.status': { $nin: ['dropped', 'transferred'] } };
+  if (pattern) enrollmentMatch['courses.courseId'] = pattern;
+  if (mentor !== undefined) enrollmentMatch['courses.mentor'] = mentor;
+  if (subjectMentor) enrollmentMatch['courses.subjectMentor'] = subjectMentor;
+
+  return Student.aggregate([
+    { $match: { ...studentMatch, ...(pattern && { 'courses.courseId': pattern }) } },
+    { $unwind: '$courses' },
+    { $match: enrollmentMatch },
+    {
+      $project: {
+        _id: 0,
+        branch: 1,
+        year: 1,
+        courseId: { $toLower: '$courses.courseId' },
+        mentor: '$courses.mentor',
+        subjectMentor: '$courses.subjectMentor',
+        results: {
+          $map: {
+            input: { $ifNull: ['$courses.results', []] },
+            as: 'result',
+            in: {
+              week: '$$result.week',
+              status: statusOf('$$result'),
+              score: '$$result.score',
+              maxMarks: '$$result.maxMarks'
+            }
+          }
+        }
+      }
+    }
+  ]);
+};
+
+// Week-by-week series for a set of enrollments. A week counts for an enrollment once any result
+// for it was imported into that enrollment's course; a missing result then means not submitted.
+const weekSeries = (enrollments, maxMarksByCourse) => {
+  const weeksByCourse = new Map();
+  enrollments.forEach(enrollment => {
+    if (!weeksByCourse.has(enrollment.courseId)) weeksByCourse.set(enrollment.courseId, new Set());
+    enrollment.results.forEach(result => weeksByCourse.get(enrollment.courseId).add(weekNumber(result.week)));
+  });
+
+  const points = new Map();
+  const pointFor = (week) => {
+    if (!points.has(week)) {
+      points.set(week, { enrolled: 0, submitted: 0, late: 0, exempt: 0, notSubmitted: 0, percents: [], droppedOff: 0, submittedBefore: 0 });
+    }
+    return points.get(week);
+  };
+
+  enrollments.forEach(enrollment => {
+    const weeks = [...weeksByCourse.get(enrollment.courseId)].filter(w => w !== Number.MAX_SAFE_INTEGER).sort((a, b) => a - b);
+    const byWeek = new Map(enrollment.results.map(result => [weekNumber(result.week), result]));
+    const maxMarks = maxMarksByCourse.get(enrollment.courseId) || DEFAULT_SCORING.defaultMaxMarks;
+
+    weeks.forEach((week, i) => {
+      const point = pointFor(week);
+      const result = byWeek.get(week);
+      const status = result?.status || 'not-submitted';
+      point.enrolled++;
+      if (status === 'exempt') point.exempt++;
+      else if (status === 'not-submitted') point.notSubmitted++;
+      else {
+        point.submitted++;
+        if (status === 'late') point.late++;
+        if (typeof result.score === 'number') point.percents.push((result.score / (result.maxMarks || maxMarks)) * 100);
+      }
+
+      // Drop-off: submitted the course's previous week but not this one
+      if (i > 0 && isSubmitted(byWeek.get(weeks[i - 1]))) {
+        point.submittedBefore++;
+        if (!isSubmitted(result)) point.droppedOff++;
+      }
+    });
+  });
+
+  let previousRate = null;
+  return [...points.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([week, point]) => {
+      const sorted = point.percents.sort((a, b) => a - b);
+      const expected = point.enrolled - point.exempt;
+      const submissionRate = expected > 0 ? (point.submitted / expected) * 100 : null;
+      const entry = {
+        week: standardizeWeekFormat(`Week ${week}`),
+        weekNumber: week,
+        enrolled: point.enrolled,
+        submitted: point.submitted,
+        late: point.late,
+        exempt: point.exempt,
+        notSubmitted: point.notSubmitted,
+        submissionRate: round(submissionRate),
+        rateChange: previousRate === null || submissionRate === null ? null : round(submissionRate - previousRate),
+        averageScore: sorted.length ? round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : null,
+        medianScore: round(percentile(sorted, 50)),
+        percentiles: Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(percentile(sorted, p))])),
+        dropOff: {
+          count: point.droppedOff,
+          rate: point.submittedBefore > 0 ? round((point.droppedOff / point.submittedBefore) * 100) : null
+        }
+      };
+      previousRate = submissionRate;
+      return entry;
+    });
+};
+
+// Key and label of the slice an enrollment falls into
+const sliceOf = (groupBy, enrollment, facultyNames) => {
+  switch (groupBy) {
+    case 'course':
+      return { key: enrollment.courseId, label: enrollment.courseId };
+    case 'branch':
+      return { key: enrollment.branch || '', label: enrollment.branch || 'Unknown' };
+    case 'year':
+      return { key: enrollment.year || '', label: enrollment.year || 'Unknown' };
+    case 'mentor': {
+      if (enrollment.mentor) {
+        const id = enrollment.mentor.toString();
+        return { key: id, label: facultyNames.get(id) || enrollment.subjectMentor || id };
+      }
+      return { key: `name:${enrollment.subjectMentor || ''}`, label: enrollment.subjectMentor || 'Unassigned' };
+    }
+    default:
+      return null;
+  }
+};
+
+// Series for one run, whole and per slice
+const buildTrend = async (enrollments, { groupBy } = {}) => {
+  const courseIds = [...new Set(enrollments.map(e => e.courseId))];
+  const courses = await Course.find({ courseId: { $in: courseIds } }).select('courseId scoring.defaultMaxMarks').lean();
+  const maxMarksByCourse = new Map(courses.map(c => [c.courseId, c.scoring?.defaultMaxMarks]));
+
+  const trend = {
+    enrollments: enrollments.length,
+    courses: courseIds.length,
+    weeks: weekSeries(enrollments, maxMarksByCourse)
+  };
+  if (!groupBy) return trend;
+
+  const facultyIds = [...new Set(enrollments.filter(e => e.mentor).map(e => e.mentor.toString()))];
+  const facultyNames = groupBy === 'mentor'
+    ? new Map((await Faculty.find({ _id: { $in: facultyIds } }).select('name').lean()).map(f => [f._id.toString(), f.name]))
+    : new Map();
+
+  const groups = new Map();
+  enrollments.forEach(enrollment => {
+    const { key, label } = sliceOf(groupBy, enrollment, facultyNames);
+    if (!groups.has(key)) groups.set(key, { key, label, enrollments: [] });
+    groups.get(key).enrollments.push(enrollment);
+  });
+
+  trend.slices = [...groups.values()]
+    .sort((a, b) => String(a.label).localeCompare(String(b.label)))
+    .map(group => ({
+      key: group.key,
+      label: group.label,
+      enrollments: group.enrollments.length,
+      weeks: weekSeries(group.enrollments, maxMarksByCourse)
+    }));
+  return trend;
+};
+
+// Course ids in other runs that are the same course: same title, else same discipline and number
+const sameCourseIn = async (courseId, runs) => {
+  const course = await Course.findOne({ courseId }).select('title').lean();
+  if (course?.title) {
+    const matches = await Course.find({ run: { $in: runs }, title: course.title }).select('courseId run').lean();
+    if (matches.length > 0) return matches;
+  }
+  const parsed = Course.parseCourseId(courseId);
+  return parsed ? runs.map(run => ({ courseId: `${run}-${parsed.discipline}${parsed.number}`, run })) : [];
+};
+
+// Submission trend for a scope ({ courseId, run, branch, year, mentor, subjectMentor }),
+// optionally split by groupBy and compared with the same scope in earlier runs
+const submissionTrends = async (scope, { groupBy, compareRuns = [] } = {}) => {
+  const enrollments = await loadEnrollments({ ...scope, pattern: courseIdPattern(scope) });
+  const result = { scope, ...(await buildTrend(enrollments, { groupBy })) };
+  if (compareRuns.length === 0) return result;
+
+  const sameCourses = scope.courseId ? await sameCourseIn(scope.courseId, compareRuns) : [];
+  result.comparison = [];
+  for (const run of compareRuns) {
+    let pattern = courseIdPattern({ run });
+    if (scope.courseId) {
+      const ids = sameCourses.filter(c => c.run === run).map(c => c.courseId);
+      pattern = ids.length ? new RegExp(`^(${ids.map(escapeRegex).join('|')})$`, 'i') : null;
+    }
+    const previous = pattern ? await loadEnrollments({ ...scope, pattern }) : [];
+    result.comparison.push({
+      run,
+      ...(scope.courseId && { courseIds: sameCourses.filter(c => c.run === run).map(c => c.courseId) }),
+      ...(await buildTrend(previous))
+    });
+  }
+  return result;
+};
+
+module.exports = {
+  SLICES,
+  percentile,
+  weekSeries,
+  submissionTrends
+};
@@ -0,0 +1,121 @@
+// Simplified standardization function that handles both formats
+const standardizeWeekFormat = (weekString) => {
+  if (!weekString) return weekString;
+  
+  // Handle both "Week 01" and "Week 1" formats
+  const match = weekString.toLowerCase().match(/week\s*0*(\d+)(?:\s*assignment)?/i);
+  if (match) {
+    const weekNum = parseInt(match[1], 10); // Remove leading zeros
+    return `Week ${weekNum} Assignment`;
+  }
+  return weekString;
+};
+
+// Numeric week for ordering labels such as "Week 10 Assignment"
+const weekNumber = (weekString) => {
+  const match = String(weekString || '').match(/week\s*0*(\d+)/i);
+  return match ? parseInt(match[1], 10) : Number.MAX_SAFE_INTEGER;
+};
+
+const SUBMISSION_STATUSES = ['submitted', 'not-submitted', 'exempt', 'late'];
+
+// Results written before statuses existed only have a score, where 0 meant "not submitted"
+const resultStatus = (result) => {
+  if (!result) return 'not-submitted';
+  if (result.status) return result.status;
+  return result.score > 0 ? 'submitted' : 'not-submitted';
+};
+
+const isSubmitted = (result) => ['submitted', 'late'].includes(resultStatus(result));
+
+// Read one score cell of a mentee report. Blank, "-", "NA" or "NS" mean not submitted,
+// "EX"/"exempt" marks an exemption, and a trailing "late" flags a late submission.
+const parseScoreCell = (cell) => {
+  const text = String(cell ?? '').trim().toLowerCase();
+  if (!text || ['-', 'na', 'n/a', 'ns', 'absent', 'not submitted'].includes(text)) {
+    return { score: null, status: 'not-submitted' };
+  }
+  if (['ex', 'exempt', 'exempted'].includes(text)) {
+    return { score: null, status: 'exempt' };
+  }
+
+  const late = /\blate\b/.test(text);
+  const score = parseFloat(text.replace(/\blate\b|[()]/g, ''));
+  if (Number.isNaN(score)) {
+    return { score: null, status: 'not-submitted', unreadable: cell };
+  }
+  return { score, status: late ? 'late' : 'submitted' };
+};
+
+// How an incoming score is reconciled with one already stored for the same week
+const CONFLICT_POLICIES = ['latest', 'higher', 'reject'];
+
+// Upsert incoming week scores into an enrollment's results array in place.
+// Weeks not present in the upload are left untouched.
+const mergeWeekResults = (results, incoming, { policy = 'latest', batchId, now = new Date() } = {}) => {
+  const byWeek = new Map(results.map(result => [standardizeWeekFormat(result.week), result]));
+
+  const differs = (existing, { score, status }) => existing.score !== score || resultStatus(existing) !== status;
+
+  const conflicts = incoming
+    .map(entry => ({ ...entry, week: standardizeWeekFormat(entry.week), existing: byWeek.get(standardizeWeekFormat(entry.week)) }))
+    .filter(entry => entry.existing && differs(entry.existing, entry))
+    .map(({ week, score, status, existing }) => ({
+      week,
+      stored: { score: existing.score, status: resultStatus(existing) },
+      incoming: { score, status }
+    }));
+
+  if (policy === 'reject' && conflicts.length > 0) {
+    return { applied: false, changedWeeks: [], conflicts };
+  }
+
+  const changedWeeks = [];
+  incoming.forEach(entry => {
+    const { week, score, status, maxMarks } = entry;
+    const label = standardizeWeekFormat(week);
+    const existing = byWeek.get(label);
+    const submitted = isSubmitted({ status });
+
+    if (!existing) {
+      results.push({
+        week: label,
+        score,
+        status,
+        maxMarks,
+        submittedAt: submitted ? now : null,
+        updatedAt: now,
+        batch: batchId
+      });
+      changedWeeks.push(label);
+      return;
+    }
+
+    if (!differs(existing, entry)) return;
+    if (policy === 'higher' && (existing.score ?? -Infinity) >= (score ?? -Infinity)) return;
+
+    // submittedAt is when a submission first showed up in an import
+    if (submitted && !isSubmitted(existing)) existing.submittedAt = now;
+    if (!submitted) existing.submittedAt = null;
+    existing.week = label;
+    existing.score = score;
+    existing.status = status;
+    if (maxMarks !== undefined) existing.maxMarks = maxMarks;
+    existing.updatedAt = now;
+    existing.batch = batchId;
+    changedWeeks.push(label);
+  });
+
+  return { applied: true, changedWeeks, conflicts };
+};
+
+module.exports = {
+  standardizeWeekFormat,
+  weekNumber,
+  SUBMISSION_STATUSES,
+  resultStatus,
+  isSubmitted,
+  parseScoreCell,
+  CONFLICT_POLICIES,
+  mergeWeekResults
+};
@@ -0,0 +1,89 @@
+const { request, app, startDatabase, stopDatabase, clearDatabase, createAccount, client } = require('./helpers');
+const { requestConfirmation } = require('../src/utils/confirmation');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+afterEach(clearDatabase);
+
+describe('POST /api/auth/login', () => {
+  it('returns a token that authenticates', async () => {
+    await createAccount('coordinator', { username: 'coord', password: ' spaced pass ' });
+
+    const res = await request(app).post('/api/auth/login').send({ username: 'coord', password: ' spaced pass ' });
+    expect(res.status).toBe(200);
+    expect(res.body.user.username).toBe('coord');
+    expect(res.body.user.passwordHash).toBeUndefined();
+
+    const me = await client(res.body.token).get('/api/auth/me');
+    expect(me.status).toBe(200);
+    expect(me.body.role).toBe('coordinator');
+  });
+
+  it('rejects a wrong or trimmed password', async () => {
+    await createAccount('viewer', { username: 'viewer', password: ' spaced pass ' });
+
+    const res = await request(app).post('/api/auth/login').send({ username: 'viewer', password: 'spaced pass' });
+    expect(res.status).toBe(401);
+    expect(res.body.error.message).toBe('Invalid username or password');
+  });
+
+  it('rejects a deactivated account', async () => {
+    await createAccount('viewer', { username: 'gone', active: false });
+
+    const res = await request(app).post('/api/auth/login').send({ username: 'gone', password: 'password123' });
+    expect(res.status).toBe(401);
+  });
+
+  it('reports missing fields in the error envelope', async () => {
+    const res = await request(app).post('/api/auth/login').set('X-Request-Id', 'abc').send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'VALIDATION_FAILED', requestId: 'abc' });
+    expect(res.body.error.fields.map(f => f.field)).toEqual(expect.arrayContaining(['username', 'password']));
+  });
+});
+
+describe('authentication', () => {
+  it('requires a bearer token', async () => {
+    const res = await request(app).get('/api/students');
+    expect(res.status).toBe(401);
+  });
+
+  it('does not accept a confirmation token as a session', async () => {
+    const { user } = await createAccount('admin');
+    const { confirmToken } = requestConfirmation({ operation: 'archive', scope: {}, affected: {}, user: user.username });
+
+    const res = await client(confirmToken).get('/api/auth/me');
+    expect(res.status).toBe(401);
+  });
+
+  it('checks roles per route', async () => {
+    const { token } = await createAccount('viewer');
+
+    const res = await client(token).post('/api/courses').send({ courseId: 'noc25-cs52', title: 'Compilers' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/auth/me/password', () => {
+  it('signs out other sessions and returns a fresh token', async () => {
+    const { token } = await createAccount('mentor', { username: 'mentor1' });
+
+    const res = await client(token).put('/api/auth/me/password')
+      .send({ currentPassword: 'password123', newPassword: 'new password 1' });
+    expect(res.status).toBe(200);
+
+    expect((await client(token).get('/api/auth/me')).status).toBe(401);
+    expect((await client(res.body.token).get('/api/auth/me')).status).toBe(200);
+
+    const login = await request(app).post('/api/auth/login').send({ username: 'mentor1', password: 'new password 1' });
+    expect(login.status).toBe(200);
+  });
+
+  it('rejects a wrong current password', async () => {
+    const { token } = await createAccount('mentor');
+
+    const res = await client(token).put('/api/auth/me/password')
+      .send({ currentPassword: 'wrong password', newPassword: 'new password 1' });
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,115 @@
+const XLSX = require('xlsx');
+const { startDatabase, stopDatabase, clearDatabase, signInAll, waitForJob, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+  await seedCourse();
+});
+afterEach(clearDatabase);
+
+const HEADERS = ['ID', 'Name', 'Branch', 'Year', 'Email Id', 'Course Id', 'Course Name', 'NPTEL SUBJECT MENTOR'];
+
+const workbook = (rows) => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([HEADERS, ...rows]), 'Enrollments');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+};
+
+const upload = (api, rows, fields = {}) => {
+  const req = api.post('/api/students/bulk').attach('file', workbook(rows), 'enrollments.xlsx');
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req;
+};
+
+describe('enrollment uploads', () => {
+  it('validates rows into a pending session', async () => {
+    const res = await upload(accounts.coordinator.api, [
+      ['21CS003', 'Chitra', 'CSE', '3', 'chitra@example.edu', 'noc25-cs52', 'Compiler Design', 'Dr. Rao'],
+      [],
+      ['21CS004', 'Dev', 'CSE', '3', 'dev@example.edu', 'noc25-zz99', 'Unknown', 'Dr. Rao'],
+      ['21CS005', 'Esha', 'CSE', '3', 'asha@example.edu', 'noc25-cs52', 'Compiler Design', 'Dr. Rao']
+    ]);
+    expect(res.status).toBe(201);
+    expect(res.body.summary).toEqual({ total: 3, accepted: 1, rejected: 2 });
+    expect(res.body.rows.map(r => r.rowNumber)).toEqual([2, 4, 5]);
+    expect(res.body.rows[1].validationErrors).toEqual(['Unknown course noc25-zz99']);
+    expect(res.body.rows[2].validationErrors).toEqual(['Email asha@example.edu already belongs to student 21CS001']);
+
+    const sessions = await accounts.viewer.api.get('/api/students/bulk/sessions?status=pending');
+    expect(sessions.body.map(s => s._id)).toEqual([res.body.sessionId]);
+    expect(sessions.body[0].rows).toBeUndefined();
+
+    const session = await accounts.viewer.api.get(`/api/students/bulk/sessions/${res.body.sessionId}`);
+    expect(session.body.rows).toHaveLength(3);
+  });
+
+  it('reports required columns the sheet lacks', async () => {
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([['Name', 'Branch'], ['Chitra', 'CSE']]), 'Sheet1');
+
+    const res = await accounts.coordinator.api.post('/api/students/bulk')
+      .attach('file', XLSX.write(book, { type: 'buffer', bookType: 'xlsx' }), 'enrollments.xlsx');
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('MISSING_COLUMNS');
+  });
+
+  it('commits the accepted rows in a background job', async () => {
+    const { api } = accounts.coordinator;
+    const uploaded = await upload(api, [
+      ['21CS003', 'Chitra', 'CSE', '3', 'chitra@example.edu', 'noc25-cs52', 'Compiler Design', 'Dr. Rao'],
+      ['21CS001', 'Asha', 'CSE', '3', 'asha@example.edu', 'noc25-cs61', 'Operating Systems', 'Dr. Rao']
+    ], { registerCourses: 'true' });
+    expect(uploaded.body.summary.accepted).toBe(2);
+
+    const commit = await api.post(`/api/students/bulk/sessions/${uploaded.body.sessionId}/commit`);
+    expect(commit.status).toBe(202);
+
+    const job = await waitForJob(api, commit.body.jobId);
+    expect(job.status).toBe('completed');
+
+    const report = await accounts.viewer.api.get(`/api/import-jobs/${commit.body.jobId}/report`);
+    expect(report.body.report).toMatchObject({ created: 1, updated: 1, failed: 0 });
+
+    const chitra = await Student.findOne({ rollNumber: '21CS003' });
+    expect(chitra.courses[0]).toMatchObject({ courseId: 'noc25-cs52', status: 'active' });
+    expect(chitra.courses[0].statusHistory).toHaveLength(1);
+    const asha = await Student.findOne({ rollNumber: '21CS001' });
+    expect(asha.courses.map(c => c.courseId)).toEqual(['noc25-cs52', 'noc25-cs61']);
+
+    const again = await api.post(`/api/students/bulk/sessions/${uploaded.body.sessionId}/commit`);
+    expect(again.status).toBe(409);
+  });
+});
+
+describe('DELETE /api/students/bulk', () => {
+  it('archives after confirmation and restores through the batch', async () => {
+    const { api } = accounts.admin;
+
+    const preview = await api.delete('/api/students/bulk?courseId=noc25-cs52&branch=ECE');
+    expect(preview.status).toBe(200);
+    expect(preview.body).toMatchObject({ confirmationRequired: true, affected: { students: 1 } });
+    expect(await Student.countDocuments()).toBe(2);
+
+    const wrongScope = await api.delete(`/api/students/bulk?courseId=noc25-cs52&confirm=${preview.body.confirmToken}`);
+    expect(wrongScope.status).toBe(409);
+    expect(wrongScope.body.error.code).toBe('CONFIRMATION_MISMATCH');
+
+    const archived = await api.delete(`/api/students/bulk?courseId=noc25-cs52&branch=ECE&confirm=${preview.body.confirmToken}`);
+    expect(archived.status).toBe(200);
+    expect(archived.body.archivedCount).toBe(1);
+    expect((await Student.find()).map(s => s.rollNumber)).toEqual(['21CS001']);
+
+    const rollback = await api.post(`/api/score-batches/${archived.body.batchId}/rollback`);
+    expect(rollback.status).toBe(200);
+    expect(await Student.countDocuments()).toBe(2);
+  });
+
+  it('is limited to admins', async () => {
+    expect((await accounts.coordinator.api.delete('/api/students/bulk')).status).toBe(403);
+  });
+});
@@ -0,0 +1,75 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, seedCourse } = require('./helpers');
+const Course = require('../src/models/Course');
+const Faculty = require('../src/models/Faculty');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+});
+afterEach(clearDatabase);
+
+describe('/api/courses', () => {
+  it('creates a course with its run and discipline derived from the id', async () => {
+    const res = await accounts.coordinator.api.post('/api/courses').send({
+      courseId: 'NOC25-CE12',
+      title: 'Soil Mechanics',
+      assignments: [{ week: 'week 01', maxMarks: 25 }]
+    });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ courseId: 'noc25-ce12', run: 'noc25', discipline: 'ce' });
+    expect(res.body.assignments[0].week).toBe('Week 1 Assignment');
+  });
+
+  it('lists courses by run or discipline', async () => {
+    const { api } = accounts.coordinator;
+    await api.post('/api/courses').send({ courseId: 'noc25-ce12', title: 'Soil Mechanics' });
+    await api.post('/api/courses').send({ courseId: 'noc24-cs01', title: 'Data Structures' });
+
+    const res = await accounts.viewer.api.get('/api/courses?run=noc25');
+    expect(res.status).toBe(200);
+    expect(res.body.map(c => c.courseId)).toEqual(['noc25-ce12']);
+  });
+
+  it('keeps the mentor and enrollment copies in step on update', async () => {
+    const { course } = await seedCourse();
+    const other = await Faculty.create({ name: 'Dr. Menon' });
+
+    const res = await accounts.coordinator.api.put(`/api/courses/${course._id}`)
+      .send({ title: 'Compilers', mentor: other._id });
+    expect(res.status).toBe(200);
+
+    const menon = await Faculty.findById(other._id);
+    expect(menon.courses.map(c => c.courseId)).toContain('noc25-cs52');
+    const student = await Student.findOne({ rollNumber: '21CS001' });
+    expect(student.courses[0].courseName).toBe('Compilers');
+  });
+
+  it('does not rename a course id', async () => {
+    const { course } = await seedCourse();
+
+    const res = await accounts.coordinator.api.put(`/api/courses/${course._id}`).send({ courseId: 'noc25-cs99' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields).toEqual([{ field: 'courseId', message: 'is not allowed' }]);
+    expect((await Course.findById(course._id)).courseId).toBe('noc25-cs52');
+  });
+
+  it('refuses to delete a course with enrolled students', async () => {
+    const { course } = await seedCourse();
+
+    const res = await accounts.admin.api.delete(`/api/courses/${course._id}`);
+    expect(res.status).toBe(409);
+    expect(res.body.error.details).toEqual({ enrolled: 2 });
+  });
+
+  it('deletes an empty course', async () => {
+    const created = await accounts.coordinator.api.post('/api/courses').send({ courseId: 'noc25-ce12', title: 'Soil Mechanics' });
+
+    expect((await accounts.coordinator.api.delete(`/api/courses/${created.body._id}`)).status).toBe(403);
+    expect((await accounts.admin.api.delete(`/api/courses/${created.body._id}`)).status).toBe(200);
+    expect((await accounts.admin.api.get(`/api/courses/${created.body._id}`)).status).toBe(404);
+  });
+});
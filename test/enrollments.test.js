@@ -0,0 +1,98 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, createAccount, client, seedCourse } = require('./helpers');
+const Course = require('../src/models/Course');
+const Faculty = require('../src/models/Faculty');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+let seeded;
+let asha;
+beforeEach(async () => {
+  accounts = await signInAll();
+  seeded = await seedCourse();
+  asha = seeded.students.find(s => s.rollNumber === '21CS001')._id;
+  await Course.create({ courseId: 'noc25-cs61', title: 'Operating Systems' });
+});
+afterEach(clearDatabase);
+
+describe('/api/students/:id/courses', () => {
+  it('enrolls in a registered course with the course mentor', async () => {
+    const other = await Course.create({ courseId: 'noc25-cs70', title: 'Networks', mentor: seeded.faculty._id });
+
+    const res = await accounts.coordinator.api.post(`/api/students/${asha}/courses`).send({ courseId: other.courseId });
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ courseId: 'noc25-cs70', courseName: 'Networks', subjectMentor: 'Dr. Rao', status: 'active', weeksRecorded: 0 });
+  });
+
+  it('rejects an unregistered course and a second active enrollment', async () => {
+    const { api } = accounts.coordinator;
+    expect((await api.post(`/api/students/${asha}/courses`).send({ courseId: 'noc25-zz99' })).status).toBe(404);
+    expect((await api.post(`/api/students/${asha}/courses`).send({ courseId: 'noc25-cs52' })).status).toBe(409);
+  });
+
+  it('adds a course once when enrolls race', async () => {
+    const { api } = accounts.coordinator;
+    const results = await Promise.all([
+      api.post(`/api/students/${asha}/courses`).send({ courseId: 'noc25-cs61' }),
+      api.post(`/api/students/${asha}/courses`).send({ courseId: 'noc25-cs61' }),
+      api.post(`/api/students/${asha}/courses/noc25-cs52/transfer`).send({ toCourseId: 'noc25-cs61' })
+    ]);
+    expect(results.filter(res => res.status < 300)).toHaveLength(1);
+    expect(results.filter(res => res.status === 409)).toHaveLength(2);
+
+    const list = await accounts.viewer.api.get(`/api/students/${asha}/courses`);
+    expect(list.body.filter(c => c.courseId === 'noc25-cs61')).toHaveLength(1);
+  });
+
+  it('drops and re-enrolls, keeping the history', async () => {
+    const { api } = accounts.coordinator;
+
+    const dropped = await api.post(`/api/students/${asha}/courses/noc25-cs52/drop`).send({ note: 'Left the course' });
+    expect(dropped.status).toBe(200);
+    expect(dropped.body.status).toBe('dropped');
+    expect((await api.post(`/api/students/${asha}/courses/noc25-cs52/complete`)).status).toBe(409);
+
+    const again = await api.post(`/api/students/${asha}/courses`).send({ courseId: 'noc25-cs52' });
+    expect(again.status).toBe(201);
+    expect(again.body.statusHistory.map(h => h.status)).toEqual(['active', 'dropped', 'active']);
+    expect(again.body.weeksRecorded).toBe(2);
+  });
+
+  it('changes and clears the mentor', async () => {
+    const { api } = accounts.coordinator;
+    const menon = await Faculty.create({ name: 'Dr. Menon' });
+
+    const changed = await api.put(`/api/students/${asha}/courses/noc25-cs52/mentor`).send({ mentor: menon._id });
+    expect(changed.body).toMatchObject({ mentor: menon._id.toString(), subjectMentor: 'Dr. Menon' });
+
+    const cleared = await api.put(`/api/students/${asha}/courses/noc25-cs52/mentor`).send({ mentor: null });
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.mentor).toBeUndefined();
+
+    expect((await api.put(`/api/students/${asha}/courses/noc25-cs52/mentor`).send({})).status).toBe(400);
+  });
+
+  it('transfers to another course', async () => {
+    const res = await accounts.coordinator.api.post(`/api/students/${asha}/courses/noc25-cs52/transfer`)
+      .send({ toCourseId: 'noc25-cs61' });
+    expect(res.status).toBe(200);
+    expect(res.body.from.status).toBe('transferred');
+    expect(res.body.to).toMatchObject({ courseId: 'noc25-cs61', status: 'active' });
+
+    const list = await accounts.viewer.api.get(`/api/students/${asha}/courses`);
+    expect(list.body.map(c => [c.courseId, c.status])).toEqual([['noc25-cs52', 'transferred'], ['noc25-cs61', 'active']]);
+  });
+
+  it('lets mentors change only enrollments they mentor', async () => {
+    const { token } = await createAccount('mentor', { faculty: seeded.faculty._id });
+    expect((await client(token).post(`/api/students/${asha}/courses/noc25-cs52/complete`)).status).toBe(200);
+
+    expect((await accounts.mentor.api.post(`/api/students/${asha}/courses/noc25-cs52/drop`)).status).toBe(404);
+  });
+
+  it('returns 404 for an enrollment the student does not have', async () => {
+    const res = await accounts.coordinator.api.post(`/api/students/${asha}/courses/noc25-cs61/drop`);
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,109 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, createAccount, client, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+});
+afterEach(clearDatabase);
+
+describe('/api/faculty', () => {
+  it('creates, lists, reads and updates faculty', async () => {
+    const { api } = accounts.coordinator;
+
+    const created = await api.post('/api/faculty').send({ name: 'Dr. Iyer', email: 'IYER@example.edu' });
+    expect(created.status).toBe(201);
+    expect(created.body.email).toBe('iyer@example.edu');
+
+    const list = await api.get('/api/faculty?search=iyer');
+    expect(list.status).toBe(200);
+    expect(list.body.total).toBe(1);
+    expect(list.body.faculty[0].name).toBe('Dr. Iyer');
+
+    expect((await api.get(`/api/faculty/${created.body._id}`)).body.name).toBe('Dr. Iyer');
+
+    const updated = await api.put(`/api/faculty/${created.body._id}`).send({ phoneNumber: '12345' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.phoneNumber).toBe('12345');
+  });
+
+  it('rejects fields the schema does not know', async () => {
+    const res = await accounts.coordinator.api.post('/api/faculty').send({ name: 'Dr. X', salary: 1 });
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields).toEqual([{ field: 'salary', message: 'is not allowed' }]);
+  });
+
+  it('refuses to delete faculty still referenced', async () => {
+    const { faculty } = await seedCourse();
+
+    const res = await accounts.admin.api.delete(`/api/faculty/${faculty._id}`);
+    expect(res.status).toBe(409);
+    expect(res.body.error.details).toEqual({ students: 2, courses: 1, users: 0 });
+  });
+
+  it('deletes unreferenced faculty', async () => {
+    const { api } = accounts.admin;
+    const created = await api.post('/api/faculty').send({ name: 'Dr. Unused' });
+
+    expect((await api.delete(`/api/faculty/${created.body._id}`)).status).toBe(200);
+    expect((await api.get(`/api/faculty/${created.body._id}`)).status).toBe(404);
+  });
+
+  it('links enrollments to faculty by mentor name', async () => {
+    const { faculty } = await seedCourse();
+    await Student.updateMany({}, { $unset: { 'courses.$[].mentor': 1 } });
+
+    const res = await accounts.coordinator.api.post('/api/faculty/link-mentees');
+    expect(res.status).toBe(200);
+    expect(res.body.linked).toBe(2);
+
+    const student = await Student.findOne({ rollNumber: '21CS001' });
+    expect(student.courses[0].mentor.toString()).toBe(faculty._id.toString());
+  });
+});
+
+describe('faculty dashboards', () => {
+  let faculty;
+  beforeEach(async () => {
+    ({ faculty } = await seedCourse());
+  });
+
+  it('lists mentees per course', async () => {
+    const res = await accounts.viewer.api.get(`/api/faculty/${faculty._id}/mentees`);
+    expect(res.status).toBe(200);
+    expect(res.body.totalMentees).toBe(2);
+    expect(res.body.courses[0]).toMatchObject({ courseId: 'noc25-cs52', courseName: 'Compiler Design', count: 2 });
+  });
+
+  it('shows due weeks and upcoming weeks on the grid', async () => {
+    const res = await accounts.viewer.api.get(`/api/faculty/${faculty._id}/grid`);
+    expect(res.status).toBe(200);
+
+    const [course] = res.body.courses;
+    expect(course.weeks).toEqual(['Week 1 Assignment', 'Week 2 Assignment', 'Week 3 Assignment']);
+    const bala = course.rows.find(r => r.rollNumber === '21CS002');
+    expect(bala.weeks.map(w => w.status)).toEqual(['not-submitted', 'not-submitted', 'upcoming']);
+  });
+
+  it('lists at-risk mentees and follow-ups', async () => {
+    const atRisk = await accounts.viewer.api.get(`/api/faculty/${faculty._id}/at-risk`);
+    expect(atRisk.status).toBe(200);
+    expect(atRisk.body.students.map(s => s.rollNumber)).toEqual(['21CS002']);
+
+    const followUps = await accounts.viewer.api.get(`/api/faculty/${faculty._id}/follow-ups`);
+    expect(followUps.status).toBe(200);
+    expect(followUps.body.count).toBe(2);
+    expect(followUps.body.followUps.map(f => f.week)).toEqual(['Week 1 Assignment', 'Week 2 Assignment']);
+  });
+
+  it('lets a mentor open only their own dashboard', async () => {
+    const { token } = await createAccount('mentor', { faculty: faculty._id });
+    expect((await client(token).get(`/api/faculty/${faculty._id}/mentees`)).status).toBe(200);
+
+    const other = await accounts.coordinator.api.post('/api/faculty').send({ name: 'Dr. Other' });
+    expect((await client(token).get(`/api/faculty/${other.body._id}/mentees`)).status).toBe(403);
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Faculty = require('../src/models/Faculty');
+const Course = require('../src/models/Course');
+const Student = require('../src/models/Student');
+const { signToken } = require('../src/middleware/auth');
+
+// One in-memory mongod per test file. MONGOMS_SYSTEM_BINARY points it at a local mongod
+// instead of the downloaded one.
+let server;
+
+const startDatabase = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Unique and partial indexes are part of what the routes rely on
+  await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+};
+
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+};
+
+const clearDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+// An active account of the given role with a session token for it. Mentor accounts must act as a
+// faculty record, so one is created when none is given.
+const createAccount = async (role, fields = {}) => {
+  const username = fields.username || `${role}-${new mongoose.Types.ObjectId()}`;
+  if (role === 'mentor' && !fields.faculty) {
+    fields = { ...fields, faculty: (await Faculty.create({ name: `Mentor ${username}` }))._id };
+  }
+  const user = new User({ username, role, ...fields });
+  await user.setPassword(fields.password || 'password123');
+  await user.save();
+  return { user, token: signToken(user) };
+};
+
+// supertest bound to the app, sending the token on every request
+const client = (token) => {
+  const agent = {};
+  ['get', 'post', 'put', 'delete'].forEach(method => {
+    agent[method] = (path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+  });
+  return agent;
+};
+
+// Accounts for every role, each with its own client
+const signInAll = async () => {
+  const entries = await Promise.all(['admin', 'coordinator', 'mentor', 'viewer'].map(async role => {
+    const { user, token } = await createAccount(role);
+    return [role, { user, token, api: client(token) }];
+  }));
+  return Object.fromEntries(entries);
+};
+
+// Poll an import job until it finishes
+const waitForJob = async (api, jobId, { timeout = 20000 } = {}) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const res = await api.get(`/api/import-jobs/${jobId}`);
+    if (['completed', 'failed', 'cancelled'].includes(res.body.status)) return res.body;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Import job ${jobId} did not finish within ${timeout}ms`);
+};
+
+// Body of a CSV upload
+const csv = (rows) => Buffer.from(rows.map(row => row.join(',')).join('\n'));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A registered course with a mentor, weeks 1 and 2 past due and week 3 upcoming, and two active
+// enrollments: 21CS001 submitted both due weeks, 21CS002 submitted neither
+const seedCourse = async ({ courseId = 'noc25-cs52', title = 'Compiler Design', mentorName = 'Dr. Rao' } = {}) => {
+  const faculty = await Faculty.create({ name: mentorName, email: 'rao@example.edu' });
+  const course = await Course.create({
+    courseId,
+    title,
+    mentor: faculty._id,
+    assignments: [
+      { week: 'Week 1', dueDate: new Date(Date.now() - 14 * DAY), maxMarks: 100 },
+      { week: 'Week 2', dueDate: new Date(Date.now() - 7 * DAY), maxMarks: 100 },
+      { week: 'Week 3', dueDate: new Date(Date.now() + 7 * DAY), maxMarks: 100 }
+    ]
+  });
+
+  const enrollment = (results) => Student.newEnrollment({
+    course: course._id,
+    courseId,
+    courseName: title,
+    subjectMentor: faculty.name,
+    mentor: faculty._id,
+    results
+  }, { by: 'test' });
+
+  const students = await Student.create([
+    {
+      rollNumber: '21CS001',
+      name: 'Asha',
+      email: 'asha@example.edu',
+      branch: 'CSE',
+      year: '3',
+      courses: [enrollment([
+        { week: 'Week 1 Assignment', score: 80, status: 'submitted', maxMarks: 100 },
+        { week: 'Week 2 Assignment', score: 90, status: 'submitted', maxMarks: 100 }
+      ])]
+    },
+    {
+      rollNumber: '21CS002',
+      name: 'Bala',
+      email: 'bala@example.edu',
+      branch: 'ECE',
+      year: '3',
+      courses: [enrollment([
+        { week: 'Week 1 Assignment', score: null, status: 'not-submitted', maxMarks: 100 },
+        { week: 'Week 2 Assignment', score: null, status: 'not-submitted', maxMarks: 100 }
+      ])]
+    }
+  ]);
+
+  return { faculty, course, students };
+};
+
+module.exports = {
+  app,
+  request,
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createAccount,
+  client,
+  signInAll,
+  waitForJob,
+  csv,
+  seedCourse
+};
@@ -0,0 +1,81 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, waitForJob, csv, seedCourse } = require('./helpers');
+const ImportJob = require('../src/models/ImportJob');
+const ImportRowChunk = require('../src/models/ImportRowChunk');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+  await seedCourse();
+});
+afterEach(clearDatabase);
+
+const queueScores = (api) => api.post('/api/students/updateweekscore')
+  .attach('file', csv([
+    ['S.No', 'Name', 'Email', 'Roll Number', 'Week 1'],
+    ['1', 'Asha', 'asha@example.edu', '21CS001', '85']
+  ]), 'mentee-report.csv')
+  .field('courseId', 'noc25-cs52');
+
+describe('/api/import-jobs', () => {
+  it('lists jobs and reports progress and the final report', async () => {
+    const { api } = accounts.coordinator;
+    const queued = await queueScores(api);
+    const job = await waitForJob(api, queued.body.jobId);
+    expect(job).toMatchObject({ kind: 'scores', status: 'completed', progress: { total: 1, processed: 1 } });
+    expect(job.payload).toBeUndefined();
+
+    const list = await accounts.viewer.api.get('/api/import-jobs?kind=scores');
+    expect(list.body.map(j => j._id)).toEqual([queued.body.jobId]);
+
+    const report = await accounts.viewer.api.get(`/api/import-jobs/${queued.body.jobId}/report`);
+    expect(report.body).toMatchObject({ status: 'completed', report: { successful: 1 } });
+
+    // Staged rows are removed once the job has run
+    expect(await ImportRowChunk.countDocuments()).toBe(0);
+  });
+
+  it('ends the event stream of a finished job straight away', async () => {
+    const { api } = accounts.coordinator;
+    const queued = await queueScores(api);
+    await waitForJob(api, queued.body.jobId);
+
+    const res = await accounts.viewer.api.get(`/api/import-jobs/${queued.body.jobId}/events`);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.text).toMatch(/^event: end\ndata: /);
+  });
+
+  it('ends the event stream of a job that finishes while the stream opens', async () => {
+    const job = await ImportJob.create({ kind: 'scores', status: 'running', createdBy: 'test' });
+
+    // The job finishes right after the route first reads it, before it listens for updates
+    const findById = ImportJob.findById;
+    const spy = jest.spyOn(ImportJob, 'findById').mockImplementationOnce(function (...args) {
+      const query = findById.apply(this, args);
+      const exec = query.exec.bind(query);
+      query.exec = async () => {
+        const found = await exec();
+        await ImportJob.updateOne({ _id: job._id }, { status: 'completed' });
+        return found;
+      };
+      return query;
+    });
+
+    const res = await accounts.viewer.api.get(`/api/import-jobs/${job._id}/events`);
+    spy.mockRestore();
+    expect(res.text).toMatch(/^event: end\ndata: .*"status":"completed"/);
+  });
+
+  it('does not report or cancel a job that is not in the right state', async () => {
+    const { api } = accounts.coordinator;
+    const queued = await ImportJob.create({ kind: 'scores', status: 'running', createdBy: 'test' });
+    expect((await api.get(`/api/import-jobs/${queued._id}/report`)).status).toBe(409);
+
+    const finished = await queueScores(api);
+    await waitForJob(api, finished.body.jobId);
+    expect((await api.post(`/api/import-jobs/${finished.body.jobId}/cancel`)).status).toBe(409);
+    expect((await api.get('/api/import-jobs/000000000000000000000000')).status).toBe(404);
+  });
+});
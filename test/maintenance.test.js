@@ -0,0 +1,79 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+let duplicate;
+beforeEach(async () => {
+  accounts = await signInAll();
+  await seedCourse();
+  // The same student entered again with a lower-case roll number and another course
+  duplicate = await Student.create({
+    rollNumber: '21cs001',
+    courses: [Student.newEnrollment({ courseId: 'noc25-cs61', courseName: 'Operating Systems' }, { by: 'test' })]
+  });
+});
+afterEach(clearDatabase);
+
+describe('/api/students/maintenance/duplicates', () => {
+  it('reports duplicate roll numbers', async () => {
+    const res = await accounts.coordinator.api.get('/api/students/maintenance/duplicates');
+    expect(res.status).toBe(200);
+    expect(res.body.counts).toEqual({ students: 1, enrollments: 0, sharedEmails: 0 });
+    expect(res.body.students[0]).toMatchObject({ rollNumber: '21CS001' });
+  });
+
+  it('previews a merge on a dry run without writing', async () => {
+    const res = await accounts.admin.api.post('/api/students/maintenance/duplicates/merge').send({ dryRun: true });
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(await Student.countDocuments()).toBe(3);
+  });
+
+  it('merges after confirmation and restores through the batch', async () => {
+    const { api } = accounts.admin;
+
+    const preview = await api.post('/api/students/maintenance/duplicates/merge').send({});
+    expect(preview.body).toMatchObject({ confirmationRequired: true, affected: { students: 1, enrollments: 0 } });
+    expect(await Student.countDocuments()).toBe(3);
+
+    const merged = await api.post('/api/students/maintenance/duplicates/merge').send({ confirm: preview.body.confirmToken });
+    expect(merged.status).toBe(200);
+    expect(merged.body.batchId).toBeTruthy();
+
+    const kept = await Student.findOne({ rollNumber: '21CS001' });
+    expect(kept.courses.map(c => c.courseId)).toEqual(['noc25-cs52', 'noc25-cs61']);
+    const archived = await Student.findById(duplicate._id).setOptions({ includeArchived: true });
+    expect(archived.archivedAt).not.toBeNull();
+    expect(archived.mergedInto.toString()).toBe(kept._id.toString());
+
+    const changes = await accounts.viewer.api.get(`/api/score-batches/${merged.body.batchId}/changes`);
+    expect(changes.body.changes[0]).toMatchObject({
+      rollNumber: '21CS001',
+      courses: { before: ['noc25-cs52'], after: ['noc25-cs52', 'noc25-cs61'] }
+    });
+
+    const rollback = await api.post(`/api/score-batches/${merged.body.batchId}/rollback`);
+    expect(rollback.status).toBe(200);
+    expect((await Student.findOne({ rollNumber: '21CS001' })).courses.map(c => c.courseId)).toEqual(['noc25-cs52']);
+    expect(await Student.countDocuments()).toBe(3);
+  });
+
+  it('does not accept a session token or another operation as confirmation', async () => {
+    const { api, token } = accounts.admin;
+
+    const withSession = await api.post('/api/students/maintenance/duplicates/merge').send({ confirm: token });
+    expect(withSession.status).toBe(409);
+    expect(withSession.body.error.code).toBe('CONFIRMATION_INVALID');
+
+    const archive = await api.delete('/api/students/bulk');
+    const withArchive = await api.post('/api/students/maintenance/duplicates/merge').send({ confirm: archive.body.confirmToken });
+    expect(withArchive.body.error.code).toBe('CONFIRMATION_MISMATCH');
+  });
+
+  it('is limited to admins', async () => {
+    expect((await accounts.coordinator.api.post('/api/students/maintenance/duplicates/merge').send({})).status).toBe(403);
+  });
+});
@@ -0,0 +1,69 @@
+const XLSX = require('xlsx');
+const { startDatabase, stopDatabase, clearDatabase, signInAll } = require('./helpers');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+});
+afterEach(clearDatabase);
+
+const workbook = (rows) => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+};
+
+describe('/api/mapping-profiles', () => {
+  it('lists the mappable fields and default layouts', async () => {
+    const res = await accounts.viewer.api.get('/api/mapping-profiles/fields');
+    expect(res.status).toBe(200);
+    expect(res.body.fields.enrollment).toContain('rollNumber');
+    expect(res.body.defaults.score).toEqual([{ field: 'email', index: 2 }, { field: 'rollNumber', index: 3 }]);
+  });
+
+  it('detects a mapping from a JSON header list', async () => {
+    const res = await accounts.coordinator.api.post('/api/mapping-profiles/detect')
+      .send({ kind: 'enrollment', headers: ['Roll No', 'Student Name', 'Dept', 'Course Code', 'Remarks'] });
+    expect(res.status).toBe(200);
+    expect(res.body.mappings.map(m => m.field)).toEqual(['rollNumber', 'name', 'branch', 'courseId']);
+    expect(res.body.missingRequired).toEqual([]);
+    expect(res.body.unusedHeaders).toEqual(['Remarks']);
+  });
+
+  it('detects a mapping from an uploaded file', async () => {
+    const res = await accounts.coordinator.api.post('/api/mapping-profiles/detect')
+      .field('kind', 'score')
+      .attach('file', workbook([['S.No', 'Name', 'Email Id', 'Roll No', 'Week 1']]), 'scores.xlsx');
+    expect(res.status).toBe(200);
+    expect(res.body.headers).toEqual(['S.No', 'Name', 'Email Id', 'Roll No', 'Week 1']);
+    expect(res.body.mappings.map(m => m.field)).toEqual(['rollNumber', 'name', 'email']);
+  });
+
+  it('requires headers or a file to detect from', async () => {
+    const res = await accounts.coordinator.api.post('/api/mapping-profiles/detect').send({ kind: 'score' });
+    expect(res.status).toBe(400);
+  });
+
+  it('creates, lists, updates and deletes a profile', async () => {
+    const { api } = accounts.coordinator;
+
+    const created = await api.post('/api/mapping-profiles').send({
+      name: 'Dept sheet',
+      kind: 'enrollment',
+      mappings: [{ field: 'rollNumber', header: 'Regd No' }, { field: 'courseId', header: 'Course Code' }]
+    });
+    expect(created.status).toBe(201);
+
+    const list = await api.get('/api/mapping-profiles?kind=enrollment');
+    expect(list.body.map(p => p.name)).toEqual(['Dept sheet']);
+
+    const updated = await api.put(`/api/mapping-profiles/${created.body._id}`).send({ description: 'From the CSE office' });
+    expect(updated.body.description).toBe('From the CSE office');
+
+    expect((await accounts.admin.api.delete(`/api/mapping-profiles/${created.body._id}`)).status).toBe(200);
+    expect((await api.get(`/api/mapping-profiles/${created.body._id}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,61 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+  await seedCourse();
+  await Student.create({ rollNumber: '21CS003', branch: 'Computer Science', year: '3' });
+});
+afterEach(clearDatabase);
+
+describe('/api/departments', () => {
+  it('creates, lists, updates and deletes entries', async () => {
+    const { api } = accounts.coordinator;
+
+    const created = await api.post('/api/departments').send({ code: 'cse', name: 'Computer Science and Engineering' });
+    expect(created.status).toBe(201);
+    expect(created.body.code).toBe('CSE');
+
+    expect((await api.get('/api/departments?active=true')).body.map(d => d.code)).toEqual(['CSE']);
+
+    const updated = await api.put(`/api/departments/${created.body._id}`).send({ aliases: ['Computer Science'] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.aliases).toEqual(['Computer Science']);
+
+    expect((await accounts.admin.api.delete(`/api/departments/${created.body._id}`)).status).toBe(200);
+    expect((await api.get(`/api/departments/${created.body._id}`)).status).toBe(404);
+  });
+
+  it('sorts stored branches into codes, aliases and unmapped values, and migrates aliases', async () => {
+    const { api } = accounts.coordinator;
+    await api.post('/api/departments').send({ code: 'CSE', name: 'Computer Science and Engineering', aliases: ['Computer Science'] });
+
+    const report = await accounts.viewer.api.get('/api/departments/unmapped');
+    expect(report.status).toBe(200);
+    expect(report.body.canonical).toEqual([{ value: 'CSE', students: 1 }]);
+    expect(report.body.aliases).toEqual([{ value: 'Computer Science', code: 'CSE', students: 1 }]);
+    expect(report.body.unmapped).toEqual([{ value: 'ECE', students: 1 }]);
+
+    const preview = await api.post('/api/departments/migrate').send({ dryRun: true });
+    expect(preview.body.changes).toEqual([{ from: 'Computer Science', to: 'CSE', students: 1 }]);
+    expect((await Student.findOne({ rollNumber: '21CS003' })).branch).toBe('Computer Science');
+
+    const migrated = await api.post('/api/departments/migrate').send({});
+    expect(migrated.body.modified).toBe(1);
+    expect((await Student.findOne({ rollNumber: '21CS003' })).branch).toBe('CSE');
+  });
+});
+
+describe('/api/batches', () => {
+  it('reports year values against batch codes', async () => {
+    const created = await accounts.coordinator.api.post('/api/batches').send({ code: '3', name: 'Third year', aliases: ['III'] });
+    expect(created.status).toBe(201);
+
+    const report = await accounts.viewer.api.get('/api/batches/unmapped');
+    expect(report.body).toMatchObject({ field: 'year', entries: 1, canonical: [{ value: '3', students: 3 }] });
+  });
+});
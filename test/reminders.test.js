@@ -0,0 +1,135 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, seedCourse } = require('./helpers');
+const { startSmtpStandIn } = require('../scripts/smtp-stand-in');
+const { runScheduledReminders } = require('../src/jobs/reminderScheduler');
+const { sendWeekReminders } = require('../src/utils/reminders');
+const Course = require('../src/models/Course');
+const Reminder = require('../src/models/Reminder');
+
+// Mail goes to a stand-in SMTP server on a free port; the mailer reads these on its first send
+let smtp;
+beforeAll(async () => {
+  smtp = await startSmtpStandIn({ port: 0 });
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.port);
+  await startDatabase();
+});
+afterAll(async () => {
+  await stopDatabase();
+  await smtp.stop();
+});
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+  await seedCourse();
+});
+afterEach(async () => {
+  smtp.messages.length = 0;
+  await clearDatabase();
+});
+
+const subjectOf = (message) => message.raw.match(/^Subject: (.*)$/m)[1];
+
+describe('POST /api/reminders/send', () => {
+  it('previews recipients on a dry run without sending', async () => {
+    const res = await accounts.coordinator.api.post('/api/reminders/send')
+      .send({ courseId: 'noc25-cs52', week: '1', ccMentor: true, dryRun: true });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ week: 'Week 1 Assignment', pending: 1, sent: 0 });
+    expect(res.body.recipients).toEqual([{
+      rollNumber: '21CS002',
+      to: 'bala@example.edu',
+      cc: ['rao@example.edu'],
+      subject: 'Reminder: Compiler Design Week 1 Assignment is pending'
+    }]);
+    expect(smtp.messages).toHaveLength(0);
+  });
+
+  it('rejects a malformed week and one the course does not have', async () => {
+    const { api } = accounts.coordinator;
+    const malformed = await api.post('/api/reminders/send').send({ courseId: 'noc25-cs52', week: 'foo' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.fields[0].field).toBe('week');
+
+    const unscheduled = await api.post('/api/reminders/send').send({ courseId: 'noc25-cs52', week: '33' });
+    expect(unscheduled.status).toBe(400);
+    expect(unscheduled.body.error.fields[0].field).toBe('week');
+    expect(smtp.messages).toHaveLength(0);
+  });
+
+  it('emails non-submitters once and logs the delivery', async () => {
+    const { api } = accounts.coordinator;
+
+    const first = await api.post('/api/reminders/send').send({ courseId: 'noc25-cs52', week: 'Week 2', ccMentor: true });
+    expect(first.body).toMatchObject({ sent: 1, failed: 0, alreadyReminded: 0 });
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0].to).toEqual(['bala@example.edu', 'rao@example.edu']);
+    expect(subjectOf(smtp.messages[0])).toBe('Reminder: Compiler Design Week 2 Assignment is pending');
+
+    const again = await api.post('/api/reminders/send').send({ courseId: 'noc25-cs52', week: 'Week 2' });
+    expect(again.body).toMatchObject({ sent: 0, alreadyReminded: 1 });
+
+    const resent = await api.post('/api/reminders/send').send({ courseId: 'noc25-cs52', week: 'Week 2', resend: true });
+    expect(resent.body.sent).toBe(1);
+    expect(smtp.messages).toHaveLength(2);
+
+    const log = await accounts.viewer.api.get('/api/reminders?courseId=noc25-cs52&status=sent');
+    expect(log.body.count).toBe(2);
+    expect(log.body.reminders[0]).toMatchObject({ rollNumber: '21CS002', trigger: 'manual', sentBy: accounts.coordinator.user.username });
+  });
+
+  it('sends one reminder when runs overlap', async () => {
+    const reports = await Promise.all([
+      sendWeekReminders({ courseId: 'noc25-cs52', week: '1' }),
+      sendWeekReminders({ courseId: 'noc25-cs52', week: '1' })
+    ]);
+    expect(reports.map(r => r.sent).sort()).toEqual([0, 1]);
+    expect(reports.map(r => r.alreadyReminded).sort()).toEqual([0, 1]);
+    expect(smtp.messages).toHaveLength(1);
+  });
+
+  it('gives the claim up when sending fails, and retries next time', async () => {
+    await smtp.stop();
+    const failed = await sendWeekReminders({ courseId: 'noc25-cs52', week: '1' });
+    expect(failed.failed).toBe(1);
+    const entry = await Reminder.findOne({ status: 'failed' }).lean();
+    expect(entry.claimed).toBeUndefined();
+
+    smtp = await startSmtpStandIn({ port: smtp.port });
+    const retried = await sendWeekReminders({ courseId: 'noc25-cs52', week: '1' });
+    expect(retried.sent).toBe(1);
+  });
+
+  it('uses a custom template', async () => {
+    await accounts.coordinator.api.post('/api/reminders/send').send({
+      courseId: 'noc25-cs52',
+      week: '1',
+      subject: '{{rollNumber}}: {{week}} due {{dueDate}}'
+    });
+    expect(subjectOf(smtp.messages[0])).toMatch(/^21CS002: Week 1 Assignment due /);
+  });
+
+  it('lists the template placeholders', async () => {
+    const res = await accounts.viewer.api.get('/api/reminders/template');
+    expect(res.body.placeholders).toContain('mentorName');
+  });
+});
+
+describe('scheduled reminders', () => {
+  it('reminds only for assignments due within the window', async () => {
+    // Week 3 is due in a week; move it inside the default two-day window
+    await Course.updateOne(
+      { courseId: 'noc25-cs52', 'assignments.week': 'Week 3 Assignment' },
+      { $set: { 'assignments.$.dueDate': new Date(Date.now() + 24 * 60 * 60 * 1000) } }
+    );
+
+    const res = await accounts.coordinator.api.post('/api/reminders/run-scheduled');
+    expect(res.status).toBe(200);
+    expect(res.body.reports.map(r => r.week)).toEqual(['Week 3 Assignment']);
+    expect(res.body.reports[0].sent).toBe(2);
+
+    const rerun = await runScheduledReminders();
+    expect(rerun[0]).toMatchObject({ sent: 0, alreadyReminded: 2 });
+    expect(await Reminder.countDocuments({ trigger: 'scheduled', status: 'sent' })).toBe(2);
+  });
+});
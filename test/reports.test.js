@@ -0,0 +1,143 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, createAccount, client, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+let seeded;
+beforeEach(async () => {
+  accounts = await signInAll();
+  seeded = await seedCourse();
+});
+afterEach(clearDatabase);
+
+const evaluate = () => accounts.coordinator.api.post('/api/students/at-risk/evaluate').send({ courseId: 'noc25-cs52' });
+
+describe('/api/students/at-risk', () => {
+  it('flags students behind on due weeks only', async () => {
+    expect((await evaluate()).status).toBe(200);
+
+    const res = await accounts.viewer.api.get('/api/students/at-risk?courseId=noc25-cs52');
+    expect(res.status).toBe(200);
+    expect(res.body.students.map(s => s.rollNumber)).toEqual(['21CS002']);
+    expect(res.body.students[0].flags.map(f => f.rule)).toEqual(expect.arrayContaining(['consecutive-misses', 'low-submission-rate']));
+    expect(res.body.students[0].mentor.name).toBe('Dr. Rao');
+  });
+
+  it('shows mentors only their own mentees', async () => {
+    await evaluate();
+    const { token } = await createAccount('mentor', { faculty: seeded.faculty._id });
+
+    expect((await client(token).get('/api/students/at-risk')).body.count).toBe(1);
+    expect((await accounts.mentor.api.get('/api/students/at-risk')).body.count).toBe(0);
+  });
+
+  it('clears flags when a rule is disabled', async () => {
+    await evaluate();
+
+    const settings = await accounts.coordinator.api.put('/api/students/at-risk/settings')
+      .send({ disabledRules: ['consecutive-misses'] });
+    expect(settings.status).toBe(200);
+
+    const rules = await accounts.viewer.api.get('/api/students/at-risk/settings');
+    expect(rules.body.rules.find(r => r.id === 'consecutive-misses').enabled).toBe(false);
+
+    const history = await accounts.viewer.api.get('/api/students/at-risk/history?rule=consecutive-misses');
+    expect(history.body).toHaveLength(1);
+    expect(history.body[0].clearedAt).toBeTruthy();
+  });
+
+  it('rejects an unknown rule', async () => {
+    const res = await accounts.coordinator.api.put('/api/students/at-risk/settings').send({ disabledRules: ['made-up'] });
+    expect(res.status).toBe(400);
+  });
+
+  it('exports as CSV with formula-like cells escaped', async () => {
+    await Student.updateOne({ rollNumber: '21CS002' }, { $set: { name: '=HYPERLINK("http://example.com")' } });
+    await evaluate();
+
+    const res = await accounts.viewer.api.get('/api/students/at-risk?format=csv');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.text).toContain(`'=HYPERLINK`);
+    expect(res.text).not.toMatch(/(^|,)"?=HYPERLINK/m);
+  });
+});
+
+describe('reports', () => {
+  it('computes upload statistics by course, branch and week', async () => {
+    const res = await accounts.viewer.api.get('/api/students/upload-statistics?fresh=true');
+    expect(res.status).toBe(200);
+    expect(res.body.totalStudents).toBe(2);
+    expect(Object.keys(res.body.courseStats)).toEqual(['noc25-cs52']);
+    expect(res.body.refreshedAt).toBeTruthy();
+  });
+
+  it('merges legacy week labels and counts unregistered courses under Unknown', async () => {
+    await Student.create({
+      rollNumber: '21CS003',
+      name: 'Chitra',
+      courses: [{
+        courseId: 'noc25-zz01',
+        courseName: 'Unlisted Course',
+        results: [
+          { week: 'week 1', score: 70, status: 'submitted' },
+          { week: 'Week 01', score: 0, status: 'not-submitted' }
+        ]
+      }]
+    });
+
+    const res = await accounts.viewer.api.get('/api/students/upload-statistics?fresh=true');
+    expect(Object.keys(res.body.weekStats)).toEqual(['Week 1 Assignment', 'Week 2 Assignment']);
+    expect(res.body.weekStats['Week 1 Assignment'].byBranch).toEqual({ CS: { students: 1 }, Unknown: { students: 1 } });
+    expect(res.body.branchStats.Unknown).toMatchObject({ totalStudents: 1, totalSubmissions: 1 });
+    expect(res.body.branchStats.undefined).toBeUndefined();
+  });
+
+  it('exports course stats as a workbook', async () => {
+    const res = await accounts.viewer.api.get('/api/students/courses/stats?format=xlsx')
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/spreadsheetml/);
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  it('leaves dropped enrollments out of the unsubmitted reports', async () => {
+    const bala = seeded.students.find(s => s.rollNumber === '21CS002')._id;
+    expect((await accounts.coordinator.api.post(`/api/students/${bala}/courses/noc25-cs52/drop`)).status).toBe(200);
+
+    const byCourse = await accounts.viewer.api.get('/api/students/courses/noc25-cs52/unsubmitted?week=2');
+    expect(byCourse.body.stats).toMatchObject({ totalEnrolled: 1, totalUnsubmitted: 0 });
+
+    const filtered = await accounts.viewer.api.get('/api/students/unsubmitted?courseId=noc25-cs52&week=Week%201');
+    expect(filtered.body.count).toBe(0);
+  });
+
+  it('reports no submission rate for a course without enrollments', async () => {
+    const res = await accounts.viewer.api.get('/api/students/courses/noc25-cs99/unsubmitted?week=1');
+    expect(res.status).toBe(200);
+    expect(res.body.stats).toMatchObject({ totalEnrolled: 0, submissionRate: null });
+  });
+
+  it('is not open to mentors', async () => {
+    expect((await accounts.mentor.api.get('/api/students/upload-statistics')).status).toBe(403);
+  });
+
+  it('returns submission trends per week', async () => {
+    const res = await accounts.viewer.api.get('/api/students/analytics/trends?courseId=noc25-cs52&groupBy=branch');
+    expect(res.status).toBe(200);
+    expect(res.body.weeks.length).toBeGreaterThan(0);
+    expect(res.body.slices.map(s => s.label).sort()).toEqual(['CSE', 'ECE']);
+  });
+
+  it('rejects an unknown export format', async () => {
+    const res = await accounts.viewer.api.get('/api/students/upload-statistics?format=pdf');
+    expect(res.status).toBe(400);
+  });
+});
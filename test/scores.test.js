@@ -0,0 +1,177 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, waitForJob, csv, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+  await seedCourse();
+});
+afterEach(clearDatabase);
+
+// The NPTEL mentee report layout: email in the third column, roll number in the fourth
+const scoreFile = csv([
+  ['S.No', 'Name', 'Email', 'Roll Number', 'Week 1', 'Week 2', 'Week 3'],
+  ['1', 'Asha', 'asha@example.edu', '21CS001', '85', '90', '70'],
+  ['2', 'Bala', 'bala@example.edu', '21cs002', '40', '-', ''],
+  ['3', 'Stranger', 'stranger@example.edu', '21CS999', '50', '', '']
+]);
+
+const uploadScores = (api, fields = { courseId: 'noc25-cs52' }) => {
+  const req = api.post('/api/students/updateweekscore').attach('file', scoreFile, 'mentee-report.csv');
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req;
+};
+
+const weekScores = async (rollNumber) => {
+  const student = await Student.findOne({ rollNumber });
+  return Object.fromEntries(student.courses[0].results.map(r => [r.week, r.score]));
+};
+
+// Upload the file and wait for its job; returns the job's report
+const importScores = async (api) => {
+  const queued = await uploadScores(api);
+  expect(queued.status).toBe(202);
+  const job = await waitForJob(api, queued.body.jobId);
+  expect(job.status).toBe('completed');
+  return (await api.get(`/api/import-jobs/${queued.body.jobId}/report`)).body.report;
+};
+
+describe('POST /api/students/updateweekscore', () => {
+  it('previews matching on a dry run without writing', async () => {
+    const res = await uploadScores(accounts.coordinator.api, { courseId: 'noc25-cs52', dryRun: 'true' });
+    expect(res.status).toBe(200);
+    expect(res.body.matching).toEqual({ matched: 2, ambiguous: 0, unmatched: 1 });
+    expect(res.body.weekColumns.map(c => c.week)).toEqual(['Week 1 Assignment', 'Week 2 Assignment', 'Week 3 Assignment']);
+    expect(await weekScores('21CS001')).toEqual({ 'Week 1 Assignment': 80, 'Week 2 Assignment': 90 });
+  });
+
+  it('rejects an unregistered course and a file without week columns', async () => {
+    const unregistered = await uploadScores(accounts.coordinator.api, { courseId: 'noc25-zz99' });
+    expect(unregistered.status).toBe(404);
+    expect(unregistered.body.error.code).toBe('COURSE_NOT_REGISTERED');
+
+    const noWeeks = await accounts.coordinator.api.post('/api/students/updateweekscore')
+      .attach('file', csv([['S.No', 'Name', 'Email', 'Roll Number'], ['1', 'Asha', 'asha@example.edu', '21CS001']]), 'report.csv')
+      .field('courseId', 'noc25-cs52');
+    expect(noWeeks.status).toBe(400);
+    expect(noWeeks.body.error.code).toBe('MISSING_COLUMNS');
+  });
+
+  it('imports scores in a job and queues rows without a student', async () => {
+    const report = await importScores(accounts.coordinator.api);
+    expect(report).toMatchObject({ successful: 2, queued: 1, matchedBy: { rollNumber: 2 } });
+
+    expect(await weekScores('21CS001')).toEqual({
+      'Week 1 Assignment': 85,
+      'Week 2 Assignment': 90,
+      'Week 3 Assignment': 70
+    });
+    expect((await weekScores('21CS002'))['Week 1 Assignment']).toBe(40);
+  });
+
+  it('records the changes of a batch and rolls them back', async () => {
+    const { batchId } = await importScores(accounts.coordinator.api);
+
+    const changes = await accounts.viewer.api.get(`/api/score-batches/${batchId}/changes?rollNumber=21CS001`);
+    expect(changes.status).toBe(200);
+    expect(changes.body.changes[0].weeks).toEqual([
+      { week: 'Week 1 Assignment', before: { score: 80, status: 'submitted' }, after: { score: 85, status: 'submitted' } },
+      { week: 'Week 3 Assignment', before: null, after: { score: 70, status: 'submitted' } }
+    ]);
+
+    const rollback = await accounts.admin.api.post(`/api/score-batches/${batchId}/rollback`);
+    expect(rollback.status).toBe(200);
+    expect(await weekScores('21CS001')).toEqual({ 'Week 1 Assignment': 80, 'Week 2 Assignment': 90 });
+
+    const batch = await accounts.viewer.api.get(`/api/score-batches/${batchId}`);
+    expect(batch.body.status).toBe('rolled-back');
+    expect((await accounts.admin.api.post(`/api/score-batches/${batchId}/rollback`)).status).toBe(409);
+  });
+
+  it('refuses to roll back over later changes unless forced', async () => {
+    const { batchId } = await importScores(accounts.coordinator.api);
+    await Student.updateOne(
+      { rollNumber: '21CS001' },
+      { $set: { 'courses.0.results.0.score': 95 } }
+    );
+
+    const blocked = await accounts.admin.api.post(`/api/score-batches/${batchId}/rollback`);
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.error.details.conflicts).toHaveLength(1);
+
+    const forced = await accounts.admin.api.post(`/api/score-batches/${batchId}/rollback`).send({ force: true });
+    expect(forced.status).toBe(200);
+    expect(await weekScores('21CS002')).toEqual({ 'Week 1 Assignment': null, 'Week 2 Assignment': null });
+  });
+});
+
+describe('/api/unmatched-scores', () => {
+  it('resolves a queued row to a student, enrolling them', async () => {
+    await importScores(accounts.coordinator.api);
+    await Student.create({ rollNumber: '21CS003', name: 'Chitra' });
+
+    const list = await accounts.viewer.api.get('/api/unmatched-scores?status=open');
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0]).toMatchObject({ reason: 'unmatched', input: { rollNumber: '21CS999' } });
+
+    expect((await accounts.coordinator.api.post(`/api/unmatched-scores/${list.body[0]._id}/resolve`).send({})).status).toBe(400);
+
+    const resolved = await accounts.coordinator.api.post(`/api/unmatched-scores/${list.body[0]._id}/resolve`)
+      .send({ rollNumber: '21cs003' });
+    expect(resolved.status).toBe(200);
+    expect(resolved.body).toMatchObject({ status: 'resolved', rollNumber: '21CS003' });
+
+    const chitra = await Student.findOne({ rollNumber: '21CS003' });
+    expect(chitra.courses[0]).toMatchObject({ courseId: 'noc25-cs52', status: 'active' });
+    expect(chitra.courses[0].statusHistory[0].by).toBe(accounts.coordinator.user.username);
+    expect(chitra.courses[0].results.find(r => r.week === 'Week 1 Assignment').score).toBe(50);
+  });
+
+  it('dismisses a queued row', async () => {
+    await importScores(accounts.coordinator.api);
+    const [row] = (await accounts.viewer.api.get('/api/unmatched-scores')).body;
+
+    const dismissed = await accounts.coordinator.api.post(`/api/unmatched-scores/${row._id}/dismiss`).send({ note: 'Not our student' });
+    expect(dismissed.status).toBe(200);
+    expect(dismissed.body.status).toBe('dismissed');
+    expect((await accounts.coordinator.api.post(`/api/unmatched-scores/${row._id}/dismiss`).send({})).status).toBe(409);
+  });
+});
+
+describe('POST /api/students/reset-results', () => {
+  it('clears a week after confirmation and restores it through the batch', async () => {
+    const { api } = accounts.admin;
+
+    const preview = await api.post('/api/students/reset-results').send({ courseId: 'noc25-cs52', week: 'Week 1' });
+    expect(preview.body).toMatchObject({
+      confirmationRequired: true,
+      affected: { students: 2, enrollments: 2, results: 2 }
+    });
+
+    const reset = await api.post('/api/students/reset-results')
+      .send({ courseId: 'noc25-cs52', week: 'Week 1', confirm: preview.body.confirmToken });
+    expect(reset.status).toBe(200);
+    expect(await weekScores('21CS001')).toEqual({ 'Week 2 Assignment': 90 });
+
+    expect((await api.post(`/api/score-batches/${reset.body.batchId}/rollback`)).status).toBe(200);
+    expect(await weekScores('21CS001')).toEqual({ 'Week 1 Assignment': 80, 'Week 2 Assignment': 90 });
+  });
+
+  it('refuses a stale confirmation', async () => {
+    const { api } = accounts.admin;
+    const preview = await api.post('/api/students/reset-all-scores').send({});
+    await Student.updateOne({ rollNumber: '21CS001' }, { $pop: { 'courses.0.results': 1 } });
+
+    const res = await api.post('/api/students/reset-all-scores').send({ confirm: preview.body.confirmToken });
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('CONFIRMATION_STALE');
+    expect(res.body.error.details.confirmToken).toBeTruthy();
+  });
+
+  it('is limited to admins', async () => {
+    expect((await accounts.coordinator.api.post('/api/students/reset-results').send({})).status).toBe(403);
+  });
+});
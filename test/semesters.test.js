@@ -0,0 +1,43 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll } = require('./helpers');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+});
+afterEach(clearDatabase);
+
+describe('/api/semesters', () => {
+  it('falls back to a default run when none is active', async () => {
+    const res = await accounts.viewer.api.get('/api/semesters/active');
+    expect(res.status).toBe(200);
+    expect(res.body.isDefault).toBe(true);
+  });
+
+  it('creates, activates, updates and deletes a run', async () => {
+    const { api } = accounts.coordinator;
+
+    const created = await api.post('/api/semesters').send({ run: 'NOC26', name: 'Jan 2026', isActive: true });
+    expect(created.status).toBe(201);
+    expect(created.body.run).toBe('noc26');
+
+    const active = await api.get('/api/semesters/active');
+    expect(active.body.run).toBe('noc26');
+
+    const updated = await api.put(`/api/semesters/${created.body._id}`).send({ disciplines: ['CS', 'ce'] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.disciplines).toEqual(['cs', 'ce']);
+
+    expect((await api.get('/api/semesters')).body).toHaveLength(1);
+    expect((await accounts.admin.api.delete(`/api/semesters/${created.body._id}`)).status).toBe(200);
+    expect((await api.get(`/api/semesters/${created.body._id}`)).status).toBe(404);
+  });
+
+  it('rejects a malformed run', async () => {
+    const res = await accounts.coordinator.api.post('/api/semesters').send({ run: 'spring-2026' });
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields[0].field).toBe('run');
+  });
+});
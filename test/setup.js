@@ -0,0 +1,4 @@
+// Runs before each test file loads the app, so the secrets are fixed rather than random
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.CONFIRM_SECRET = process.env.CONFIRM_SECRET || 'test-confirm-secret';
+process.env.STATS_SUMMARIES_ENABLED = 'false';
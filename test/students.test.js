@@ -0,0 +1,204 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, createAccount, client, seedCourse } = require('./helpers');
+const Student = require('../src/models/Student');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+let seeded;
+beforeEach(async () => {
+  accounts = await signInAll();
+  seeded = await seedCourse();
+});
+afterEach(clearDatabase);
+
+const idOf = (rollNumber) => seeded.students.find(s => s.rollNumber === rollNumber)._id;
+
+describe('GET /api/students', () => {
+  it('lists a page with paging metadata and without weekly results', async () => {
+    const res = await accounts.viewer.api.get('/api/students');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 2, page: 1, hasMore: false });
+    expect(res.body.students.map(s => s.rollNumber)).toEqual(['21CS001', '21CS002']);
+    expect(res.body.students[0].courses[0].results).toBeUndefined();
+  });
+
+  it('filters by branch, search and enrollment status', async () => {
+    const { api } = accounts.viewer;
+    expect((await api.get('/api/students?branch=ECE')).body.students.map(s => s.rollNumber)).toEqual(['21CS002']);
+    expect((await api.get('/api/students?search=asha')).body.students.map(s => s.rollNumber)).toEqual(['21CS001']);
+    expect((await api.get('/api/students?courseId=NOC25-CS52&status=dropped')).body.total).toBe(0);
+  });
+
+  it('pages with a cursor, sorted by a field left out of the projection', async () => {
+    const { api } = accounts.viewer;
+
+    const first = await api.get('/api/students?limit=1&sort=-name&fields=rollNumber');
+    expect(first.body.students).toEqual([{ _id: idOf('21CS002').toString(), rollNumber: '21CS002' }]);
+    expect(first.body.nextCursor).toBeTruthy();
+
+    const second = await api.get(`/api/students?limit=1&sort=-name&fields=rollNumber&cursor=${first.body.nextCursor}`);
+    expect(second.body.students.map(s => s.rollNumber)).toEqual(['21CS001']);
+    expect(second.body.hasMore).toBe(false);
+  });
+
+  it('keeps students without the sort field when paging with a cursor', async () => {
+    const { api } = accounts.viewer;
+    await Student.create({ rollNumber: '21CS003', name: 'Chitra' });
+
+    const pageThrough = async (sort) => {
+      const seen = [];
+      let cursor = '';
+      do {
+        const res = await api.get(`/api/students?limit=1&sort=${sort}&fields=rollNumber${cursor ? `&cursor=${cursor}` : ''}`);
+        seen.push(...res.body.students.map(s => s.rollNumber));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+      return seen;
+    };
+
+    expect(await pageThrough('year')).toEqual(['21CS003', '21CS001', '21CS002']);
+    expect(await pageThrough('-year')).toEqual(['21CS002', '21CS001', '21CS003']);
+  });
+
+  it('rejects an unknown sort field and a bad cursor', async () => {
+    expect((await accounts.viewer.api.get('/api/students?sort=password')).status).toBe(400);
+    expect((await accounts.viewer.api.get('/api/students?cursor=nonsense')).status).toBe(400);
+  });
+
+  it('limits mentors to their own mentees', async () => {
+    const { token } = await createAccount('mentor', { faculty: seeded.faculty._id });
+    expect((await client(token).get('/api/students')).body.total).toBe(2);
+
+    expect((await accounts.mentor.api.get('/api/students')).body.total).toBe(0);
+    expect((await accounts.mentor.api.get(`/api/students/${idOf('21CS001')}`)).status).toBe(404);
+  });
+});
+
+describe('GET /api/students/:id', () => {
+  it('returns the student', async () => {
+    const res = await accounts.viewer.api.get(`/api/students/${idOf('21CS001')}`);
+    expect(res.status).toBe(200);
+    expect(res.body.courses[0].results).toHaveLength(2);
+  });
+
+  it('returns 404 for unknown and malformed ids', async () => {
+    expect((await accounts.viewer.api.get('/api/students/000000000000000000000000')).status).toBe(404);
+
+    const malformed = await accounts.viewer.api.get('/api/students/not-an-id');
+    expect(malformed.status).toBe(404);
+    expect(malformed.body.error.message).toBe('Cannot GET /api/students/not-an-id');
+  });
+
+  it('reports progress against the course schedule', async () => {
+    const res = await accounts.viewer.api.get(`/api/students/${idOf('21CS001')}/progress?examScore=70`);
+    expect(res.status).toBe(200);
+    const [course] = res.body.courses;
+    expect(course).toMatchObject({ courseId: 'noc25-cs52', totalWeeks: 3, weeksDue: 2, weeksSubmitted: 2 });
+    expect(course.projection).not.toBeNull();
+  });
+
+  it('rejects an out-of-range per-course exam mark', async () => {
+    const res = await accounts.viewer.api.get(`/api/students/${idOf('21CS001')}/progress?exam[noc25-cs52]=140`);
+    expect(res.status).toBe(400);
+    expect(res.body.error.fields[0].field).toBe('exam.noc25-cs52');
+  });
+});
+
+describe('student writes', () => {
+  it('creates a student with an enrollment history', async () => {
+    const res = await accounts.coordinator.api.post('/api/students').send({
+      rollNumber: '21CS003',
+      name: 'Chitra',
+      courses: [{ courseId: 'noc25-cs52', courseName: 'Compiler Design' }]
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.courses[0].statusHistory[0]).toMatchObject({ status: 'active', by: accounts.coordinator.user.username });
+  });
+
+  it('rejects a course listed twice and a duplicate roll number', async () => {
+    const { api } = accounts.coordinator;
+
+    const twice = await api.post('/api/students').send({
+      rollNumber: '21CS003',
+      courses: [{ courseId: 'noc25-cs52', courseName: 'A' }, { courseId: 'NOC25-CS52', courseName: 'A' }]
+    });
+    expect(twice.status).toBe(400);
+
+    expect((await api.post('/api/students').send({ rollNumber: '21CS001' })).status).toBe(409);
+  });
+
+  it('updates a profile', async () => {
+    const res = await accounts.coordinator.api.put(`/api/students/${idOf('21CS002')}`).send({ year: '4' });
+    expect(res.status).toBe(200);
+    expect(res.body.year).toBe('4');
+  });
+
+  it('archives and restores a student', async () => {
+    const { api } = accounts.admin;
+    const id = idOf('21CS002');
+
+    expect((await api.delete(`/api/students/${id}`)).status).toBe(200);
+    expect((await api.get(`/api/students/${id}`)).status).toBe(404);
+    expect((await api.get('/api/students')).body.total).toBe(1);
+
+    const archived = await api.get('/api/students?archived=true');
+    expect(archived.body.students.map(s => s.rollNumber)).toEqual(['21CS002']);
+
+    const restored = await api.post(`/api/students/${id}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.student.archivedAt).toBeNull();
+    expect(await Student.countDocuments()).toBe(2);
+  });
+});
+
+// Fixed paths mounted on the students router must not be read as a student id
+describe('route order', () => {
+  it('serves /bulk/sessions', async () => {
+    const res = await accounts.viewer.api.get('/api/students/bulk/sessions');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+
+  it('serves /bulk uploads', async () => {
+    const res = await accounts.coordinator.api.post('/api/students/bulk');
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Please upload an Excel file');
+  });
+
+  it('serves /upload-statistics', async () => {
+    const res = await accounts.viewer.api.get('/api/students/upload-statistics');
+    expect(res.status).toBe(200);
+    expect(res.body.totalStudents).toBe(2);
+  });
+
+  it('serves /courses/stats', async () => {
+    const res = await accounts.viewer.api.get('/api/students/courses/stats');
+    expect(res.status).toBe(200);
+    expect(res.body.courses.map(c => c.courseId)).toEqual(['noc25-cs52']);
+  });
+
+  it('serves /courses/:courseId/unsubmitted', async () => {
+    const res = await accounts.viewer.api.get('/api/students/courses/noc25-cs52/unsubmitted?week=2');
+    expect(res.status).toBe(200);
+    expect(res.body.stats).toMatchObject({ totalEnrolled: 2, totalUnsubmitted: 1 });
+  });
+
+  it('serves /unsubmitted', async () => {
+    const res = await accounts.viewer.api.get('/api/students/unsubmitted?courseId=noc25-cs52&week=Week%201');
+    expect(res.status).toBe(200);
+    expect(res.body.students.map(s => s.rollNumber)).toEqual(['21CS002']);
+  });
+
+  it('serves /at-risk, /analytics and /maintenance', async () => {
+    expect((await accounts.viewer.api.get('/api/students/at-risk')).status).toBe(200);
+    expect((await accounts.viewer.api.get('/api/students/analytics/trends')).status).toBe(200);
+    expect((await accounts.coordinator.api.get('/api/students/maintenance/duplicates')).status).toBe(200);
+  });
+
+  it('still reaches enrollments under an id', async () => {
+    const res = await accounts.viewer.api.get(`/api/students/${idOf('21CS001')}/courses`);
+    expect(res.status).toBe(200);
+    expect(res.body.map(c => c.courseId)).toEqual(['noc25-cs52']);
+  });
+});
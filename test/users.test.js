@@ -0,0 +1,68 @@
+const { startDatabase, stopDatabase, clearDatabase, signInAll, client } = require('./helpers');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+let accounts;
+beforeEach(async () => {
+  accounts = await signInAll();
+});
+afterEach(clearDatabase);
+
+describe('/api/users', () => {
+  it('is limited to admins', async () => {
+    expect((await accounts.coordinator.api.get('/api/users')).status).toBe(403);
+    expect((await accounts.admin.api.get('/api/users')).status).toBe(200);
+  });
+
+  it('creates, lists, updates and deletes accounts', async () => {
+    const { api } = accounts.admin;
+
+    const created = await api.post('/api/users').send({ username: 'NewViewer', password: 'password123', role: 'viewer' });
+    expect(created.status).toBe(201);
+    expect(created.body.username).toBe('newviewer');
+
+    const list = await api.get('/api/users');
+    expect(list.body.map(u => u.username)).toContain('newviewer');
+
+    const updated = await api.put(`/api/users/${created.body._id}`).send({ role: 'coordinator' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.role).toBe('coordinator');
+
+    const deleted = await api.delete(`/api/users/${created.body._id}`);
+    expect(deleted.status).toBe(200);
+    expect((await api.get(`/api/users/${created.body._id}`)).status).toBe(404);
+  });
+
+  it('rejects a duplicate username', async () => {
+    const { api } = accounts.admin;
+    await api.post('/api/users').send({ username: 'twice', password: 'password123', role: 'viewer' });
+
+    const res = await api.post('/api/users').send({ username: 'twice', password: 'password123', role: 'viewer' });
+    expect(res.status).toBe(409);
+  });
+
+  it('does not let an admin demote, deactivate or delete their own account', async () => {
+    const { api, user } = accounts.admin;
+
+    expect((await api.put(`/api/users/${user._id}`).send({ role: 'viewer' })).status).toBe(400);
+    expect((await api.put(`/api/users/${user._id}`).send({ active: false })).status).toBe(400);
+    expect((await api.delete(`/api/users/${user._id}`)).status).toBe(400);
+    expect((await api.put(`/api/users/${user._id}`).send({ name: 'Still Admin' })).status).toBe(200);
+  });
+
+  it('revokes sessions of a deactivated account or on a password reset', async () => {
+    const { api } = accounts.admin;
+
+    await api.put(`/api/users/${accounts.viewer.user._id}`).send({ active: false });
+    expect((await accounts.viewer.api.get('/api/auth/me')).status).toBe(401);
+
+    await api.put(`/api/users/${accounts.mentor.user._id}`).send({ password: 'reset password' });
+    expect((await accounts.mentor.api.get('/api/auth/me')).status).toBe(401);
+  });
+
+  it('returns 404 for an unknown account', async () => {
+    const res = await client(accounts.admin.token).get('/api/users/000000000000000000000000');
+    expect(res.status).toBe(404);
+  });
+});